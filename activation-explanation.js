@@ -0,0 +1,276 @@
+/**
+ * Activation Explanation for Concept Networks
+ *
+ * Attributes the activation of a concept to the terms of its net input on
+ * every recorded iteration, and traces the paths along which activation
+ * travelled from the seed concepts to it.
+ *
+ * The net input of a concept at iteration t is rebuilt from the activations
+ * recorded at iteration t - 1 and the current connection weights:
+ * - decay, fanout: its decayed previous activation, one term per incoming
+ *   connection (source activation times effective weight, divided among the
+ *   source's connections for fanout), its bias and lateral inhibition
+ * - pagerank, heat: one term per incoming excitatory connection (source
+ *   activation times the source's transition probability) and, for seed
+ *   concepts, the activation returning to the seed
+ * The attribution is exact for decay and fanout as long as the weights have
+ * not changed since the run; for pagerank and heat it approximates the walk.
+ *
+ * Paths are found by following the positive terms backwards from the
+ * concept to iteration 0, multiplying the shares of the terms taken. A
+ * path's share is the fraction of the concept's final net input that
+ * reached it from its seed along that path. Bias, resting level, cycles
+ * and paths beyond the search width are not attributed to any path.
+ *
+ * Only the most recent run of consecutive recorded iterations is used, so
+ * with a bounded history retention (see activation-history.js) activation
+ * present at the start of that run is not traced further back.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Number of partial paths kept per iteration, per requested path
+ */
+const BEAM_WIDTH_PER_PATH = 20;
+
+/**
+ * Build the incoming connections of every concept for a relation type
+ * filter, with the outgoing totals the algorithms normalize by
+ * @param {ConceptNetwork} network The network
+ * @param {Array<string>|null} relationTypes Relation types to include
+ * @returns {Object} { incoming: Map of target ID to [{ sourceId, weight, relation }], absTotals, positiveTotals }
+ * @private
+ */
+function buildIncomingIndex(network, relationTypes) {
+  const incoming = new Map();
+  const absTotals = new Map();
+  const positiveTotals = new Map();
+
+  for (const node of network.nodes.values()) {
+    let absTotal = 0;
+    let positiveTotal = 0;
+    for (const [targetId, weight] of network.getEffectiveConnections(node, relationTypes)) {
+      if (!incoming.has(targetId)) {
+        incoming.set(targetId, []);
+      }
+      incoming.get(targetId).push({ sourceId: node.id, weight, relation: node.getRelation(targetId).type });
+      absTotal += Math.abs(weight);
+      if (weight > 0) positiveTotal += weight;
+    }
+    absTotals.set(node.id, absTotal);
+    positiveTotals.set(node.id, positiveTotal);
+  }
+
+  return { incoming, absTotals, positiveTotals };
+}
+
+/**
+ * Compute the terms of a concept's net input at one iteration
+ * @param {ConceptNetwork} network The network
+ * @param {Object} index Incoming index from buildIncomingIndex
+ * @param {string} conceptId Concept ID
+ * @param {Map<string, number>} previous Activations at the previous iteration
+ * @param {Object} step Settings of the step ({ algorithm, decayRate })
+ * @param {Map<string, number>} categoryTotals Activation per category at the previous iteration
+ * @returns {Array<Object>} Terms ({ kind, sourceId, relation, weight, sourceActivation, value })
+ * @private
+ */
+function inputTerms(network, index, conceptId, previous, step, categoryTotals) {
+  const node = network.nodes.get(conceptId);
+  const params = network.params;
+  const walk = step.algorithm === 'pagerank' || step.algorithm === 'heat';
+  const terms = [];
+
+  if (!walk) {
+    const restingLevel = params.restingLevel;
+    const decayRate = step.decayRate ?? params.decayRate;
+    const own = previous.get(conceptId) ?? restingLevel;
+    terms.push({ kind: 'previous', sourceId: conceptId, value: restingLevel + (own - restingLevel) * (1 - decayRate) });
+  }
+
+  for (const { sourceId, weight, relation } of index.incoming.get(conceptId) || []) {
+    const sourceActivation = previous.get(sourceId) ?? 0;
+    let share = 1;
+    if (walk) {
+      if (weight <= 0) continue;
+      share = 1 / index.positiveTotals.get(sourceId);
+    } else if (step.algorithm === 'fanout') {
+      const total = index.absTotals.get(sourceId);
+      share = total > 0 ? 1 / total : 0;
+    }
+    terms.push({ kind: 'connection', sourceId, relation, weight, sourceActivation, value: sourceActivation * weight * share });
+  }
+
+  if (walk) {
+    const seed = network.seedActivations.get(conceptId) || 0;
+    if (seed > 0) {
+      const retained = step.algorithm === 'pagerank' ? params.restartProbability : Math.exp(-params.diffusionTime);
+      terms.push({ kind: 'seed', sourceId: conceptId, value: seed * retained });
+    }
+  } else {
+    if (node.bias !== 0) {
+      terms.push({ kind: 'bias', value: node.bias });
+    }
+    const lateralInhibition = params.lateralInhibition || 0;
+    if (lateralInhibition > 0 && node.category !== null) {
+      const competitors = (categoryTotals.get(node.category) || 0) - (previous.get(conceptId) ?? 0);
+      if (competitors !== 0) {
+        terms.push({ kind: 'inhibition', value: -lateralInhibition * competitors });
+      }
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Explain the activation of a concept from the recorded activation history
+ * @param {ConceptNetwork} network The network
+ * @param {string} conceptId Concept ID
+ * @param {Object} options Explanation options
+ * @param {number} options.maxPaths Maximum number of paths to return
+ * @param {number} options.maxContributors Maximum number of contributors reported per iteration
+ * @returns {Object} { conceptId, label, activation, iteration, iterations, paths, seeds, attributedShare }
+ * @throws {NotFoundError} If the concept does not exist
+ * @throws {ValidationError} If no activation has been recorded
+ */
+export function explainActivation(network, conceptId, { maxPaths = 5, maxContributors = 5 } = {}) {
+  const concept = network.getConcept(conceptId);
+  const recorded = network.getActivationHistory();
+  if (recorded.length === 0) {
+    throw new ValidationError('No activation recorded; set an initial activation and spread it first');
+  }
+
+  // Each step is explained from the state recorded just before it
+  let first = recorded.length - 1;
+  while (first > 0 && recorded[first - 1].iteration === recorded[first].iteration - 1) {
+    first--;
+  }
+  const history = recorded.slice(first);
+  const fromStart = history[0].iteration === 0;
+
+  const label = id => network.nodes.get(id)?.label ?? null;
+  const states = history.map(entry => new Map(entry.activations.map(a => [a.id, a.activation])));
+  const last = history.length - 1;
+
+  // Net input terms per iteration, computed on demand and shared by the
+  // per-iteration report and the path search
+  const indexes = new Map();
+  const categoryTotals = new Map();
+  const termCache = new Map();
+  const termsAt = (id, t) => {
+    const key = `${t}\u0000${id}`;
+    if (!termCache.has(key)) {
+      const step = history[t].step || { algorithm: network.params.algorithm, decayRate: network.params.decayRate };
+      const relationTypes = step.relationTypes || null;
+      const indexKey = relationTypes ? JSON.stringify(relationTypes) : '*';
+      if (!indexes.has(indexKey)) {
+        indexes.set(indexKey, buildIncomingIndex(network, relationTypes));
+      }
+      if (!categoryTotals.has(t)) {
+        const totals = new Map();
+        for (const entry of history[t - 1].activations) {
+          if (entry.category !== null && entry.category !== undefined) {
+            totals.set(entry.category, (totals.get(entry.category) || 0) + entry.activation);
+          }
+        }
+        categoryTotals.set(t, totals);
+      }
+      termCache.set(key, inputTerms(network, indexes.get(indexKey), id, states[t - 1], step, categoryTotals.get(t)));
+    }
+    return termCache.get(key);
+  };
+
+  // Contributors of every iteration
+  const iterations = [];
+  for (let t = 1; t <= last; t++) {
+    const terms = termsAt(conceptId, t);
+    const magnitude = terms.reduce((sum, term) => sum + Math.abs(term.value), 0);
+    iterations.push({
+      iteration: history[t].iteration,
+      activation: states[t].get(conceptId) ?? 0,
+      netInput: terms.reduce((sum, term) => sum + term.value, 0),
+      contributors: terms
+        .map(term => ({
+          ...term,
+          ...(term.sourceId !== undefined ? { label: label(term.sourceId) } : {}),
+          share: magnitude > 0 ? term.value / magnitude : 0
+        }))
+        .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+        .slice(0, maxContributors)
+    });
+  }
+
+  // Follow the positive terms back to iteration 0, keeping the most
+  // significant partial paths; a path is keyed by its concepts, so paths
+  // that only differ in when activation travelled along them are merged
+  const beamWidth = Math.max(1, maxPaths) * BEAM_WIDTH_PER_PATH;
+  const completed = new Map();
+  const complete = (path, share) => {
+    const key = path.join('\u0000');
+    completed.set(key, { path, share: (completed.get(key)?.share || 0) + share });
+  };
+
+  let frontier = new Map([[conceptId, { path: [conceptId], share: 1 }]]);
+  for (let t = last; t >= 1 && frontier.size > 0; t--) {
+    const next = new Map();
+    const extend = (path, share) => {
+      const key = path.join('\u0000');
+      next.set(key, { path, share: (next.get(key)?.share || 0) + share });
+    };
+
+    for (const { path, share } of frontier.values()) {
+      const terms = termsAt(path[0], t);
+      const magnitude = terms.reduce((sum, term) => sum + Math.abs(term.value), 0);
+      if (magnitude === 0) continue;
+
+      for (const term of terms) {
+        if (term.value <= 0) continue;
+        const termShare = share * term.value / magnitude;
+        if (term.kind === 'previous') {
+          extend(path, termShare);
+        } else if (term.kind === 'connection' && !path.includes(term.sourceId)) {
+          extend([term.sourceId, ...path], termShare);
+        } else if (term.kind === 'seed') {
+          complete(path, termShare);
+        }
+      }
+    }
+
+    frontier = new Map(Array.from(next.entries())
+      .sort((a, b) => b[1].share - a[1].share)
+      .slice(0, beamWidth));
+  }
+
+  // Activation still held at iteration 0 came from the seeds
+  for (const { path, share } of frontier.values()) {
+    if (fromStart && (network.seedActivations.get(path[0]) || 0) > 0) {
+      complete(path, share);
+    }
+  }
+
+  const allPaths = Array.from(completed.values()).sort((a, b) => b.share - a.share);
+  const seeds = new Map();
+  for (const { path, share } of allPaths) {
+    seeds.set(path[0], (seeds.get(path[0]) || 0) + share);
+  }
+
+  return {
+    conceptId,
+    label: concept.label,
+    activation: states[last].get(conceptId) ?? concept.activation,
+    iteration: history[last].iteration,
+    iterations,
+    paths: allPaths.slice(0, maxPaths).map(({ path, share }) => ({
+      seedId: path[0],
+      concepts: path.map(id => ({ id, label: label(id) })),
+      relations: path.slice(1).map((id, i) => network.nodes.get(path[i])?.getRelation(id).type ?? null),
+      share
+    })),
+    seeds: Array.from(seeds.entries())
+      .map(([id, share]) => ({ id, label: label(id), share }))
+      .sort((a, b) => b.share - a.share),
+    attributedShare: allPaths.reduce((sum, { share }) => sum + share, 0)
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Checks that activation explanations attribute a concept's activation to
+ * its contributors and to the paths from the seeds
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+/**
+ * Two seeds reaching b: s1 strongly through a, s2 weakly through c
+ */
+function twoPathNetwork(algorithm = 'decay') {
+  const network = new ConceptNetwork();
+  for (const id of ['s1', 's2', 'a', 'b', 'c']) network.addConcept(id, null, id);
+  network.addConnection('s1', 'a', 0.9, false);
+  network.addConnection('a', 'b', 0.8, false, { type: 'causes' });
+  network.addConnection('s2', 'c', 0.3, false);
+  network.addConnection('c', 'b', 0.3, false);
+  network.setParameters({ algorithm });
+  network.setInitialActivation(['s1', 's2']);
+  network.runUntilConvergence({ maxIterations: 4, convergenceThreshold: 0 });
+  return network;
+}
+
+describe('explainActivation', () => {
+  test('traces the paths from the seeds, strongest first', () => {
+    const explanation = twoPathNetwork().explainActivation('b');
+
+    expect(explanation.paths.map(path => path.concepts.map(c => c.id))).toEqual([
+      ['s1', 'a', 'b'],
+      ['s2', 'c', 'b']
+    ]);
+    expect(explanation.paths[0].relations).toEqual(['related', 'causes']);
+    expect(explanation.paths[0].share).toBeGreaterThan(explanation.paths[1].share);
+    expect(explanation.seeds.map(seed => seed.id)).toEqual(['s1', 's2']);
+    expect(explanation.attributedShare).toBeCloseTo(1, 10);
+  });
+
+  test('reports the contributors of every iteration, which add up to the net input', () => {
+    const network = twoPathNetwork();
+    const explanation = network.explainActivation('b', { maxContributors: 10 });
+
+    expect(explanation.iterations.map(entry => entry.iteration)).toEqual([1, 2, 3, 4]);
+    expect(explanation.activation).toBe(network.getConcept('b').activation);
+    for (const { netInput, contributors } of explanation.iterations) {
+      expect(contributors.reduce((sum, term) => sum + term.value, 0)).toBeCloseTo(netInput, 10);
+    }
+    const [top] = explanation.iterations[1].contributors;
+    expect(top).toMatchObject({ kind: 'connection', sourceId: 'a', weight: 0.8 });
+  });
+
+  test('limits paths and contributors', () => {
+    const explanation = twoPathNetwork().explainActivation('b', { maxPaths: 1, maxContributors: 1 });
+
+    expect(explanation.paths).toHaveLength(1);
+    expect(explanation.iterations.every(entry => entry.contributors.length === 1)).toBe(true);
+  });
+
+  test('attributes seed activation to the seed itself with pagerank', () => {
+    const explanation = twoPathNetwork('pagerank').explainActivation('s1');
+
+    expect(explanation.seeds[0].id).toBe('s1');
+    expect(explanation.paths[0].concepts.map(c => c.id)).toEqual(['s1']);
+  });
+
+  test('needs recorded activation and an existing concept', () => {
+    const network = new ConceptNetwork();
+    network.addConcept('a', null, 'a');
+
+    expect(() => network.explainActivation('a')).toThrow(ValidationError);
+    expect(() => twoPathNetwork().explainActivation('missing')).toThrow(NotFoundError);
+  });
+});
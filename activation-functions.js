@@ -0,0 +1,178 @@
+/**
+ * Activation Functions for Concept Networks
+ *
+ * Registry of transfer functions used by the activation spreading
+ * algorithm to turn each concept's net input into its new activation.
+ * Functions operate on the whole vector of inputs at once so that
+ * network-wide normalizations (softmax) fit the same interface as
+ * element-wise functions.
+ *
+ * Element-wise functions act on the excitation, the input above the
+ * resting level, and return the resting level for zero excitation, so a
+ * concept at rest without input stays at rest.
+ *
+ * Every function receives the network parameters and may use:
+ * - restingLevel: Output for zero excitation (default 0.0)
+ * - activationGain: Slope applied to the input (default 1.0)
+ * - activationBias: Shift of the excitation; non-zero values move the output at rest off the resting level (default 0.0)
+ * - activationCeiling: Saturation level for ReLU (default 1.0)
+ */
+
+import { ValidationError } from './errors.js';
+
+const registry = new Map();
+
+/**
+ * Wrap a scalar function so it applies to every input
+ * @param {Function} fn Function of (input, params) returning an activation
+ * @returns {Function} Function of (inputs, params) returning activations
+ * @private
+ */
+function elementwise(fn) {
+  return (inputs, params) => inputs.map(x => fn(x, params));
+}
+
+/**
+ * Get the gain parameter
+ * @param {Object} params Network parameters
+ * @returns {number} Gain
+ * @private
+ */
+function gainOf(params) {
+  return params.activationGain ?? 1.0;
+}
+
+/**
+ * Get the resting level
+ * @param {Object} params Network parameters
+ * @returns {number} Resting level
+ * @private
+ */
+function restingOf(params) {
+  return params.restingLevel ?? 0.0;
+}
+
+/**
+ * Get the excitation (x - restingLevel - bias) scaled by the gain
+ * @param {number} x Input value
+ * @param {Object} params Network parameters
+ * @returns {number} Scaled excitation
+ * @private
+ */
+function scaled(x, params) {
+  return gainOf(params) * (x - restingOf(params) - (params.activationBias ?? 0.0));
+}
+
+/**
+ * Map a response in [-1,1] onto [low,high] so that 0 maps to the resting
+ * level, stretching each side separately
+ * @param {number} response Response in [-1,1]
+ * @param {Object} params Network parameters
+ * @param {number} low Lowest output
+ * @param {number} high Highest output
+ * @returns {number} Output in [low,high]
+ * @private
+ */
+function aroundResting(response, params, low, high) {
+  const resting = Math.max(low, Math.min(high, restingOf(params)));
+  return response >= 0
+    ? resting + (high - resting) * response
+    : resting + (resting - low) * response;
+}
+
+/**
+ * Add a scaled excitation to the resting level and clamp the result. The
+ * lower bound is 0, or a negative resting level so it stays a fixed point.
+ * @param {number} x Input value
+ * @param {Object} params Network parameters
+ * @param {number} high Highest output
+ * @returns {number} Output in [min(0,restingLevel),high]
+ * @private
+ */
+function linearFromResting(x, params, high) {
+  const resting = restingOf(params);
+  return Math.max(Math.min(0, resting), Math.min(high, resting + scaled(x, params)));
+}
+
+/**
+ * Register an activation function
+ * @param {string} name Function name used in the activationFunction parameter
+ * @param {Function} fn Function of (inputs, params) returning an array of activations
+ * @param {string} description Human-readable description
+ */
+export function registerActivationFunction(name, fn, description = '') {
+  registry.set(name, { fn, description });
+}
+
+/**
+ * Check whether an activation function is registered
+ * @param {string} name Function name
+ * @returns {boolean} True if registered
+ */
+export function hasActivationFunction(name) {
+  return registry.has(name);
+}
+
+/**
+ * List the registered activation functions
+ * @returns {Array<Object>} Function names and descriptions
+ */
+export function listActivationFunctions() {
+  return Array.from(registry.entries()).map(([name, { description }]) => ({ name, description }));
+}
+
+/**
+ * Apply a registered activation function to a vector of inputs
+ * @param {string} name Function name
+ * @param {Array<number>} inputs Net input of every concept
+ * @param {Object} params Network parameters
+ * @returns {Array<number>} New activation of every concept
+ */
+export function applyActivationFunction(name, inputs, params) {
+  const entry = registry.get(name);
+  if (!entry) {
+    throw new ValidationError(`Unknown activation function ${name}`);
+  }
+  return entry.fn(inputs, params);
+}
+
+registerActivationFunction(
+  'sigmoid',
+  // tanh(z / 2) is the logistic sigmoid rescaled to [-1,1]
+  elementwise((x, params) => aroundResting(Math.tanh(scaled(x, params) / 2), params, 0, 1)),
+  'Logistic sigmoid in [0,1] through the resting level, with slope activationGain (the standard logistic for restingLevel 0.5)'
+);
+
+registerActivationFunction(
+  'tanh',
+  elementwise((x, params) => aroundResting(Math.tanh(scaled(x, params)), params, -1, 1)),
+  'Hyperbolic tangent in [-1,1] through the resting level, with slope activationGain'
+);
+
+registerActivationFunction(
+  'linear',
+  elementwise((x, params) => linearFromResting(x, params, 1)),
+  'Linear response from the resting level, clamped to [0,1] (or down to a negative resting level)'
+);
+
+registerActivationFunction(
+  'relu',
+  elementwise((x, params) => linearFromResting(x, params, params.activationCeiling ?? 1.0)),
+  'Rectified linear response from the resting level (or a negative resting level), saturating at activationCeiling'
+);
+
+registerActivationFunction(
+  'softmax',
+  (inputs, params) => {
+    if (inputs.length === 0) {
+      return [];
+    }
+    // Subtract the maximum for numerical stability
+    const gain = gainOf(params);
+    const max = inputs.reduce((best, x) => Math.max(best, gain * x), -Infinity);
+    const exponentials = inputs.map(x => Math.exp(gain * x - max));
+    const total = exponentials.reduce((sum, value) => sum + value, 0);
+    return exponentials.map(value => value / total);
+  },
+  'Normalizes activations across the whole network so they sum to 1 (activationGain acts as inverse temperature; ignores restingLevel)'
+);
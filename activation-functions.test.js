@@ -0,0 +1,32 @@
+/**
+ * Checks that the resting level is a fixed point of every element-wise
+ * activation function, so concepts without input stay at rest
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+
+describe('resting level', () => {
+  test.each([
+    ['sigmoid', 0],
+    ['sigmoid', 0.2],
+    ['tanh', 0],
+    ['tanh', -0.3],
+    ['linear', 0.1],
+    ['linear', -0.2],
+    ['relu', 0],
+    ['relu', -0.1]
+  ])('isolated concepts stay at rest with %s and restingLevel %d', (activationFunction, restingLevel) => {
+    const network = new ConceptNetwork();
+    network.setParameters({ activationFunction, restingLevel });
+    network.addConcept('seed', null, 'seed');
+    network.addConcept('neighbour', null, 'neighbour');
+    network.addConcept('isolated', null, 'isolated');
+    network.addConnection('seed', 'neighbour', 0.8);
+
+    network.setInitialActivation(['seed']);
+    network.runUntilConvergence({ maxIterations: 5 });
+
+    expect(network.getConcept('isolated').activation).toBeCloseTo(restingLevel, 10);
+    expect(network.getConcept('neighbour').activation).toBeGreaterThan(restingLevel);
+  });
+});
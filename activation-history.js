@@ -0,0 +1,303 @@
+/**
+ * Activation History for Concept Networks
+ *
+ * Stores the activation state recorded at each iteration, delta-encoded:
+ * an entry only holds the activations that changed since the previous
+ * entry, plus the concepts that disappeared. Every KEYFRAME_INTERVAL
+ * entries, and always for the oldest entry, the full state is stored, so
+ * any entry can be rebuilt from the closest keyframe before it.
+ *
+ * The retention policy comes from the network parameters:
+ * - historyRetention: 'all' (unbounded), 'ring' (the last historyLimit
+ *   entries), 'interval' (every historyInterval-th iteration, at most
+ *   historyLimit entries) or 'off'
+ * - historyLimit: maximum number of entries for 'ring' and 'interval'
+ * - historyInterval: iterations between the entries kept by 'interval'
+ *
+ * Whatever the policy, the oldest entries are also dropped while the
+ * entries store more than MAX_HISTORY_VALUES activation values, so the
+ * memory used stays bounded for large networks.
+ *
+ * Labels and categories are not stored; materialized entries take them
+ * from the network's current concepts.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Supported retention policies
+ */
+export const HISTORY_RETENTION_MODES = ['all', 'ring', 'interval', 'off'];
+
+/**
+ * Default retention parameters
+ */
+export const DEFAULT_HISTORY_OPTIONS = {
+  historyRetention: 'ring',
+  historyLimit: 1000,
+  historyInterval: 10
+};
+
+/**
+ * Most activation values stored across all entries
+ */
+export const MAX_HISTORY_VALUES = 1000000;
+
+/**
+ * Number of entries between full states
+ */
+const KEYFRAME_INTERVAL = 32;
+
+export class ActivationHistory {
+  constructor() {
+    this.entries = []; // { iteration, timestamp, step?, patterns?, keyframe, values, removed }
+    this.latest = new Map(); // State of the newest entry, the reference for the next delta
+    this.sinceKeyframe = 0;
+    this.valueCount = 0; // Activation values stored across all entries
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {number} Entry count
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Drop all entries
+   */
+  reset() {
+    this.entries = [];
+    this.latest = new Map();
+    this.sinceKeyframe = 0;
+    this.valueCount = 0;
+  }
+
+  /**
+   * Check whether the retention policy keeps the state of an iteration
+   * @param {number} iteration Iteration number
+   * @param {Object} params Network parameters
+   * @returns {boolean} True if the state would be recorded
+   */
+  accepts(iteration, params) {
+    switch (params.historyRetention) {
+      case 'off':
+        return false;
+      case 'interval':
+        return iteration % params.historyInterval === 0;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Record the state of an iteration, if the retention policy keeps it
+   * @param {Object} info Entry information ({ iteration, timestamp, step, patterns })
+   * @param {Map<string, number>} activations Activation of every concept
+   * @param {Object} params Network parameters
+   * @returns {boolean} True if the state was recorded
+   */
+  record(info, activations, params) {
+    if (!this.accepts(info.iteration, params)) {
+      return false;
+    }
+
+    const keyframe = this.entries.length === 0 || this.sinceKeyframe >= KEYFRAME_INTERVAL;
+    const values = {};
+    const removed = [];
+    for (const [id, activation] of activations) {
+      if (keyframe || this.latest.get(id) !== activation) {
+        values[id] = activation;
+      }
+    }
+    if (!keyframe) {
+      for (const id of this.latest.keys()) {
+        if (!activations.has(id)) removed.push(id);
+      }
+    }
+
+    this.entries.push({ ...info, keyframe, values, removed });
+    this.valueCount += Object.keys(values).length;
+    this.latest = new Map(activations);
+    this.sinceKeyframe = keyframe ? 1 : this.sinceKeyframe + 1;
+    this.trim(params);
+    return true;
+  }
+
+  /**
+   * Drop the oldest entries beyond the retention limit or MAX_HISTORY_VALUES
+   * @param {Object} params Network parameters
+   */
+  trim(params) {
+    if (params.historyRetention === 'off') {
+      this.reset();
+      return;
+    }
+
+    const limit = params.historyRetention === 'all' ? Infinity : params.historyLimit;
+    while (this.entries.length > limit || (this.entries.length > 1 && this.valueCount > MAX_HISTORY_VALUES)) {
+      const [oldest, next] = this.entries;
+      this.entries.shift();
+      this.valueCount -= Object.keys(oldest.values).length;
+
+      // The oldest entry is always a keyframe, so the next one becomes one
+      if (next && !next.keyframe) {
+        const values = { ...oldest.values, ...next.values };
+        for (const id of next.removed) {
+          delete values[id];
+        }
+        this.valueCount += Object.keys(values).length - Object.keys(next.values).length;
+        Object.assign(next, { keyframe: true, values, removed: [] });
+      }
+    }
+  }
+
+  /**
+   * Iterate over the states of a range of entries
+   * @param {number} start Index of the first entry
+   * @param {number} end Index after the last entry
+   * @yields {Array} [entry, state] where state maps concept IDs to activations;
+   *   the state is reused between entries
+   * @private
+   */
+  *states(start = 0, end = this.entries.length) {
+    if (start >= this.entries.length) {
+      return;
+    }
+    let first = Math.max(0, start);
+    while (first > 0 && !this.entries[first].keyframe) {
+      first--;
+    }
+
+    const state = new Map();
+    for (let i = first; i < Math.min(end, this.entries.length); i++) {
+      const entry = this.entries[i];
+      if (entry.keyframe) {
+        state.clear();
+      }
+      for (const id of entry.removed) {
+        state.delete(id);
+      }
+      for (const [id, activation] of Object.entries(entry.values)) {
+        state.set(id, activation);
+      }
+      if (i >= start) {
+        yield [entry, state];
+      }
+    }
+  }
+
+  /**
+   * Rebuild a range of entries with the full state of each
+   * @param {number} start Index of the first entry
+   * @param {number} end Index after the last entry
+   * @param {Function} describe Function returning { label, category } for a concept ID
+   * @returns {Array<Object>} Entries ({ iteration, timestamp, step?, patterns?, activations })
+   */
+  materialize(start, end, describe) {
+    const result = [];
+    for (const [entry, state] of this.states(start, end)) {
+      const { iteration, timestamp, step, patterns } = entry;
+      result.push({
+        iteration,
+        timestamp,
+        activations: Array.from(state, ([id, activation]) => ({ id, ...describe(id), activation })),
+        ...(step ? { step } : {}),
+        ...(patterns ? { patterns } : {})
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Find the index of the entry recorded at an iteration
+   * @param {number} iteration Iteration number
+   * @returns {number} Entry index, or -1 if not recorded
+   */
+  indexOf(iteration) {
+    return this.entries.findIndex(entry => entry.iteration === iteration);
+  }
+
+  /**
+   * Find the index of the first entry recorded at or after an iteration
+   * @param {number} iteration Iteration number
+   * @returns {number} Entry index, or the number of entries if there is none
+   */
+  indexFrom(iteration) {
+    const index = this.entries.findIndex(entry => entry.iteration >= iteration);
+    return index === -1 ? this.entries.length : index;
+  }
+
+  /**
+   * Get the activation time series of concepts
+   * @param {Array<string>} conceptIds Concept IDs
+   * @param {Object} options Range options
+   * @param {number|null} options.startIteration First iteration to include
+   * @param {number|null} options.endIteration Last iteration to include
+   * @returns {Object} { iterations, series } where series maps each concept ID to its
+   *   activations at those iterations (null where the concept did not exist)
+   */
+  trajectories(conceptIds, { startIteration = null, endIteration = null } = {}) {
+    const iterations = [];
+    const series = Object.fromEntries(conceptIds.map(id => [id, []]));
+    for (const [entry, state] of this.states()) {
+      if (startIteration !== null && entry.iteration < startIteration) continue;
+      if (endIteration !== null && entry.iteration > endIteration) break;
+      iterations.push(entry.iteration);
+      for (const id of conceptIds) {
+        series[id].push(state.has(id) ? state.get(id) : null);
+      }
+    }
+    return { iterations, series };
+  }
+
+  /**
+   * Get a serializable representation
+   * @returns {Object} Serialized history ({ format: 'delta', entries })
+   */
+  serialize() {
+    return {
+      format: 'delta',
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Restore a history from its serialized state. Histories saved as full
+   * snapshots (an array of entries with an activations list) are converted.
+   * @param {Object|Array|null} data Serialized history
+   * @returns {ActivationHistory} The restored history
+   * @throws {ValidationError} If the format is not supported
+   */
+  static deserialize(data) {
+    const history = new ActivationHistory();
+    if (!data) {
+      return history;
+    }
+
+    if (Array.isArray(data)) {
+      for (const { activations = [], ...info } of data) {
+        history.record(
+          { ...info, timestamp: new Date(info.timestamp) },
+          new Map(activations.map(a => [a.id, a.activation])),
+          { historyRetention: 'all' }
+        );
+      }
+      return history;
+    }
+
+    if (data.format !== 'delta') {
+      throw new ValidationError(`Unsupported activation history format ${data.format}`);
+    }
+    history.entries = (data.entries || []).map(entry => ({ ...entry, timestamp: new Date(entry.timestamp) }));
+    history.valueCount = history.entries.reduce((count, entry) => count + Object.keys(entry.values).length, 0);
+    let latest = new Map();
+    for (const [entry, state] of history.states()) {
+      latest = state;
+      history.sinceKeyframe = entry.keyframe ? 1 : history.sinceKeyframe + 1;
+    }
+    history.latest = new Map(latest);
+    return history;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Checks the delta-encoded activation history: rebuilding states,
+ * retention, serialization and the bound on stored values
+ */
+
+import { ActivationHistory, MAX_HISTORY_VALUES } from './activation-history.js';
+import { ConceptNetwork } from './concept-network.js';
+
+const RING = { historyRetention: 'ring', historyLimit: 1000, historyInterval: 10 };
+
+function describeConcept() {
+  return { label: null, category: null };
+}
+
+function stateOf(entry) {
+  return Object.fromEntries(entry.activations.map(({ id, activation }) => [id, activation]));
+}
+
+/**
+ * Record states in which concept `c<i>` has activation (i + step) % 7 / 10,
+ * except c4 which stays at 0.9, and concept c0 disappears at step 40
+ */
+function recordSteps(history, steps, params = RING) {
+  const expected = [];
+  for (let step = 0; step < steps; step++) {
+    const activations = new Map();
+    for (let i = step >= 40 ? 1 : 0; i < 4; i++) {
+      activations.set(`c${i}`, ((i + step) % 7) / 10);
+    }
+    activations.set('c4', 0.9);
+    if (history.record({ iteration: step, timestamp: new Date(0) }, activations, params)) {
+      expected.push(Object.fromEntries(activations));
+    }
+  }
+  return expected;
+}
+
+describe('ActivationHistory', () => {
+  test('rebuilds every recorded state from the deltas', () => {
+    const history = new ActivationHistory();
+    const expected = recordSteps(history, 70);
+
+    const entries = history.materialize(0, history.length, describeConcept);
+    expect(entries.map(stateOf)).toEqual(expected);
+    expect(history.entries.filter(entry => entry.keyframe)).toHaveLength(3);
+    expect(Object.keys(history.entries[1].values)).not.toContain('c4');
+  });
+
+  test('ring retention keeps the last historyLimit entries', () => {
+    const history = new ActivationHistory();
+    const expected = recordSteps(history, 70, { ...RING, historyLimit: 25 });
+
+    expect(history.length).toBe(25);
+    expect(history.entries[0].keyframe).toBe(true);
+    expect(history.materialize(0, 25, describeConcept).map(stateOf)).toEqual(expected.slice(-25));
+  });
+
+  test('interval retention keeps every historyInterval-th iteration', () => {
+    const history = new ActivationHistory();
+    recordSteps(history, 70, { historyRetention: 'interval', historyLimit: 5, historyInterval: 10 });
+
+    expect(history.entries.map(entry => entry.iteration)).toEqual([20, 30, 40, 50, 60]);
+  });
+
+  test('off retention records nothing', () => {
+    const history = new ActivationHistory();
+    recordSteps(history, 10, { ...RING, historyRetention: 'off' });
+    expect(history.length).toBe(0);
+  });
+
+  test('reads states from an iteration on and concept trajectories', () => {
+    const history = new ActivationHistory();
+    recordSteps(history, 50);
+
+    expect(history.indexFrom(45)).toBe(45);
+    expect(history.indexFrom(99)).toBe(50);
+    expect(Array.from(history.states(history.indexFrom(99)))).toEqual([]);
+
+    const { iterations, series } = history.trajectories(['c0', 'c1'], { startIteration: 38, endIteration: 41 });
+    expect(iterations).toEqual([38, 39, 40, 41]);
+    expect(series.c0).toEqual([(38 % 7) / 10, (39 % 7) / 10, null, null]);
+    expect(series.c1).toEqual([(39 % 7) / 10, (40 % 7) / 10, (41 % 7) / 10, (42 % 7) / 10]);
+  });
+
+  test('survives serialization, including the full snapshot format', () => {
+    const history = new ActivationHistory();
+    const expected = recordSteps(history, 70);
+
+    const restored = ActivationHistory.deserialize(JSON.parse(JSON.stringify(history.serialize())));
+    expect(restored.materialize(0, restored.length, describeConcept).map(stateOf)).toEqual(expected);
+    expect(restored.valueCount).toBe(history.valueCount);
+
+    const snapshots = history.materialize(0, history.length, describeConcept);
+    const converted = ActivationHistory.deserialize(snapshots);
+    expect(converted.materialize(0, converted.length, describeConcept).map(stateOf)).toEqual(expected);
+
+    expect(() => ActivationHistory.deserialize({ format: 'columnar' })).toThrow('Unsupported activation history format');
+  });
+
+  test('drops the oldest entries once more than MAX_HISTORY_VALUES values are stored', () => {
+    const history = new ActivationHistory();
+    const conceptCount = 20000;
+    const activations = new Map();
+    for (let step = 0; step * conceptCount <= MAX_HISTORY_VALUES + conceptCount; step++) {
+      for (let i = 0; i < conceptCount; i++) {
+        activations.set(`c${i}`, step);
+      }
+      history.record({ iteration: step, timestamp: new Date(0) }, activations, { ...RING, historyRetention: 'all' });
+    }
+
+    expect(history.valueCount).toBeLessThanOrEqual(MAX_HISTORY_VALUES);
+    expect(history.valueCount).toBe(history.entries.reduce((count, entry) => count + Object.keys(entry.values).length, 0));
+    expect(history.entries[0].keyframe).toBe(true);
+  });
+});
+
+describe('pattern tracking', () => {
+  test('is off by default and records patterns only for recorded entries', () => {
+    const network = new ConceptNetwork();
+    for (const id of ['a', 'b', 'c']) network.addConcept(id, null, id);
+    network.addConnection('a', 'b', 0.9);
+    network.addConnection('b', 'c', 0.9);
+    network.setInitialActivation(['a', 'b', 'c']);
+    network.runUntilConvergence({ maxIterations: 3, convergenceThreshold: 0 });
+    expect(network.activationHistory.entries.every(entry => entry.patterns === undefined)).toBe(true);
+
+    network.setParameters({ trackPatterns: true, historyRetention: 'interval', historyInterval: 2 });
+    network.runUntilConvergence({ maxIterations: 4, convergenceThreshold: 0 });
+    const tracked = network.activationHistory.entries.filter(entry => entry.patterns !== undefined);
+    expect(tracked.length).toBeGreaterThan(0);
+    expect(tracked.every(entry => entry.iteration % 2 === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Benchmark of the compact graph engine
+ *
+ * Builds a random network and compares the compact (CSR) engine used by
+ * ConceptNetwork with a reference implementation of the previous Map-based
+ * engine, for activation spreading and concept removal. Also reports the
+ * time of pattern detection. Results of both spreading implementations are
+ * compared to check they agree.
+ *
+ * Usage: node benchmark.js [--concepts 100000] [--degree 10] [--iterations 3] [--removals 100]
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+import { applyActivationFunction } from './activation-functions.js';
+
+/**
+ * Parse --name value command line options
+ * @param {Array<string>} args Command line arguments
+ * @returns {Object} Options
+ * @private
+ */
+function parseOptions(args) {
+  const options = { concepts: 100000, degree: 10, iterations: 3, removals: 100 };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in options) || !(Number(args[i + 1]) > 0)) {
+      throw new Error(`Usage: node benchmark.js [--concepts N] [--degree N] [--iterations N] [--removals N]`);
+    }
+    options[name] = Number(args[i + 1]);
+  }
+  return options;
+}
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ * @param {number} seed Seed
+ * @returns {Function} Generator
+ * @private
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Build a random network without recording it in the mutation log
+ * @param {Object} options Benchmark options
+ * @returns {ConceptNetwork} The network
+ * @private
+ */
+function buildNetwork({ concepts, degree }) {
+  const network = new ConceptNetwork();
+  const next = random(42);
+  const categories = ['entity', 'process', 'property', 'event'];
+
+  for (let i = 0; i < concepts; i++) {
+    const calls = [{ method: 'addConcept', args: [`concept ${i}`, categories[i % categories.length], `c${i}`] }];
+    network.mutationLog.apply(network, calls);
+  }
+  for (let i = 0; i < concepts; i++) {
+    const calls = [];
+    for (let k = 0; k < degree; k++) {
+      const target = Math.floor(next() * concepts);
+      if (target !== i) {
+        calls.push({ method: 'addConnection', args: [`c${i}`, `c${target}`, next() * 0.9 + 0.1, false] });
+      }
+    }
+    network.mutationLog.apply(network, calls);
+  }
+
+  network.setParameters({ historyRetention: 'off', trackPatterns: false, lateralInhibition: 0.01 });
+  const seeds = Array.from({ length: 10 }, (_, k) => `c${k * Math.floor(concepts / 10)}`);
+  network.setInitialActivation(seeds);
+  return network;
+}
+
+/**
+ * Reference implementation of one decay step over the per-concept Maps,
+ * as computed before the compact graph engine
+ * @param {ConceptNetwork} network The network
+ * @returns {Map<string, number>} New activations
+ * @private
+ */
+function referenceDecayStep(network) {
+  const params = network.params;
+  const categoryTotals = network.getCategoryActivationTotals();
+
+  const incoming = new Map();
+  for (const node of network.nodes.values()) {
+    for (const [targetId, weight] of network.getEffectiveConnections(node)) {
+      incoming.set(targetId, (incoming.get(targetId) || 0) + node.activation * weight);
+    }
+  }
+
+  const nodeIds = [];
+  const inputs = [];
+  for (const [nodeId, node] of network.nodes.entries()) {
+    let incomingActivation = incoming.get(nodeId) || 0;
+    if (node.category !== null) {
+      incomingActivation -= params.lateralInhibition * (categoryTotals.get(node.category) - node.activation);
+    }
+    const decayed = params.restingLevel + (node.activation - params.restingLevel) * (1 - params.decayRate);
+    nodeIds.push(nodeId);
+    inputs.push(decayed + incomingActivation + node.bias);
+  }
+
+  const outputs = applyActivationFunction(params.activationFunction, inputs, params);
+  return new Map(nodeIds.map((id, i) => [id, outputs[i]]));
+}
+
+/**
+ * Reference implementation of concept removal, scanning every concept for
+ * connections to the removed one
+ * @param {ConceptNetwork} network The network
+ * @param {string} conceptId Concept ID
+ * @private
+ */
+function referenceRemoveConcept(network, conceptId) {
+  for (const node of network.nodes.values()) {
+    node.removeConnection(conceptId);
+  }
+  network.nodes.delete(conceptId);
+  network.invalidateGraphCaches();
+}
+
+/**
+ * Time a function
+ * @param {Function} fn Function to run
+ * @returns {number} Elapsed milliseconds
+ * @private
+ */
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Format a duration
+ * @param {number} ms Milliseconds
+ * @returns {string} Formatted duration
+ * @private
+ */
+function formatMs(ms) {
+  return `${ms.toFixed(1)} ms`.padStart(12);
+}
+
+const options = parseOptions(process.argv.slice(2));
+console.log(`Building ${options.concepts} concepts with ${options.degree} connections each...`);
+let network;
+const buildTime = time(() => {
+  network = buildNetwork(options);
+});
+console.log(`Built in ${formatMs(buildTime).trim()}: ${JSON.stringify(network.getNetworkSize())}\n`);
+
+// Spreading: both engines start from the same state, one iteration at a time
+const graphTime = time(() => network.getCompactGraph());
+let referenceTotal = 0;
+let compactTotal = 0;
+let maxDifference = 0;
+for (let iteration = 0; iteration < options.iterations; iteration++) {
+  let expected;
+  referenceTotal += time(() => {
+    expected = referenceDecayStep(network);
+  });
+  compactTotal += time(() => network.spreadActivation());
+  for (const [id, activation] of expected) {
+    maxDifference = Math.max(maxDifference, Math.abs(activation - network.nodes.get(id).activation));
+  }
+}
+
+console.log('Spreading (decay, per iteration)');
+console.log(`  reference Map engine ${formatMs(referenceTotal / options.iterations)}`);
+console.log(`  compact engine       ${formatMs(compactTotal / options.iterations)}` +
+  `  (${(referenceTotal / compactTotal).toFixed(1)}x, plus ${graphTime.toFixed(1)} ms to build the graph once)`);
+console.log(`  largest difference   ${maxDifference.toExponential(2).padStart(12)}\n`);
+
+// Pattern detection on the activated network
+const patternTime = time(() => network.identifyEmergentPatterns(0.9, { method: 'components', track: false }));
+console.log(`Pattern detection (components, threshold 0.9) ${formatMs(patternTime)}\n`);
+
+// Removal: the reference scans every concept, the network uses its incoming index
+const removals = Math.min(options.removals, Math.floor(options.concepts / 4));
+const indexTime = time(() => network.getIncomingIndex());
+const compactRemoval = time(() => {
+  for (let k = 0; k < removals; k++) {
+    network.removeConcept(`c${k * 2 + 1}`);
+  }
+});
+const referenceRemoval = time(() => {
+  for (let k = 0; k < removals; k++) {
+    referenceRemoveConcept(network, `c${k * 2 + 2}`);
+  }
+});
+console.log(`Removing ${removals} concepts`);
+console.log(`  reference scan       ${formatMs(referenceRemoval)}`);
+console.log(`  incoming index       ${formatMs(compactRemoval)}` +
+  `  (${(referenceRemoval / compactRemoval).toFixed(1)}x, plus ${indexTime.toFixed(1)} ms to build the index once)`);
@@ -34,6 +34,31 @@ required_files=(
     "concept-network.js"
     "session-manager.js"
     "mcp-tools.js"
+    "session-store.js"
+    "graph-formats.js"
+    "activation-functions.js"
+    "spreading-algorithms.js"
+    "community-detection.js"
+    "hebbian-learning.js"
+    "errors.js"
+    "rest-api.js"
+    "openapi.js"
+    "mcp-http.js"
+    "mcp-resources.js"
+    "mcp-prompts.js"
+    "network-spec.js"
+    "concept-index.js"
+    "activation-explanation.js"
+    "network-diff.js"
+    "mutation-log.js"
+    "activation-history.js"
+    "compact-graph.js"
+    "parallel-spreading.js"
+    "spreading-worker.js"
+    "network-visualization.js"
+    "template-registry.js"
+    "text-ingestion.js"
+    "embedding-index.js"
     "package.json"
     "README.md"
 )
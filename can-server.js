@@ -9,22 +9,68 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 
 import { SessionManager } from './session-manager.js';
+import { FileSessionStore } from './session-store.js';
+import { TemplateRegistry, DEFAULT_TEMPLATE_DIR } from './template-registry.js';
 import { registerMCPTools } from './mcp-tools.js';
+import { createRestRouter, createVisualizationRouter, restErrorHandler, requireApiToken } from './rest-api.js';
+import { createMcpHttpRouter } from './mcp-http.js';
 
-// Initialize the MCP server
-const server = new McpServer({
-  name: "Concept Activation Network",
-  version: "1.0.0"
+// MCP transports to serve: stdio, http or both
+const TRANSPORTS = ['stdio', 'http', 'both'];
+const transportArg = process.argv.find(arg => arg.startsWith('--transport='));
+const TRANSPORT = transportArg ? transportArg.split('=')[1] : (process.env.CAN_TRANSPORT || 'stdio');
+if (!TRANSPORTS.includes(TRANSPORT)) {
+  console.error(`Unknown transport ${TRANSPORT}, expected one of: ${TRANSPORTS.join(', ')}`);
+  process.exit(1);
+}
+
+// The REST API is only served when asked for; HTTP binds to the loopback
+// interface unless HOST says otherwise
+const REST_ENABLED = process.argv.includes('--rest') || process.env.CAN_REST === 'true';
+const HOST = process.env.HOST || '127.0.0.1';
+const API_TOKEN = process.env.CAN_API_TOKEN || null;
+
+// Initialize session manager with file-system persistence
+const DATA_DIR = process.env.CAN_DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const TEMPLATE_DIR = process.env.CAN_TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR;
+const sessionManager = new SessionManager({
+  store: new FileSessionStore(DATA_DIR),
+  templates: new TemplateRegistry(TEMPLATE_DIR)
 });
 
-// Initialize session manager
-const sessionManager = new SessionManager();
+try {
+  const restored = await sessionManager.initialize();
+  console.error(`Restored ${restored} persisted session(s) from ${DATA_DIR}`);
+} catch (error) {
+  console.error('Error restoring persisted sessions:', error);
+}
 
-// Register all MCP tools
-registerMCPTools(server, sessionManager);
+try {
+  const templates = await sessionManager.templates.reload();
+  console.error(`Loaded ${templates} template(s) from ${TEMPLATE_DIR}`);
+} catch (error) {
+  console.error('Error loading templates:', error);
+}
+
+/**
+ * Create an MCP server with all tools registered. Each connected client
+ * gets its own server instance; all of them share the session manager.
+ * @returns {McpServer} The MCP server
+ */
+function createServer() {
+  const server = new McpServer({
+    name: "Concept Activation Network",
+    version: "1.0.0"
+  });
+  registerMCPTools(server, sessionManager);
+  return server;
+}
 
 // Create an Express app for HTTP endpoints
 const app = express();
@@ -39,18 +85,54 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Start the Express server
+// Everything but the health check needs the API token, if one is set
+if (API_TOKEN) {
+  app.use(requireApiToken(API_TOKEN));
+}
+
+// MCP over Streamable HTTP (/mcp) and legacy SSE (/sse, /messages)
+const mcpHttp = TRANSPORT === 'stdio' ? null : createMcpHttpRouter(createServer);
+if (mcpHttp) {
+  app.use(mcpHttp.router);
+}
+
+// REST API mirroring the MCP tools, which includes the visualization;
+// without it, the visualization is served next to the MCP HTTP transport
+if (REST_ENABLED) {
+  app.use(createRestRouter(sessionManager));
+} else if (mcpHttp) {
+  app.use(createVisualizationRouter(sessionManager));
+}
+app.use(restErrorHandler);
+
+// Start the Express server when something is served over HTTP
+// (stdout is reserved for the stdio transport)
 const PORT = process.env.PORT || 3900;
-app.listen(PORT, () => {
-  console.log(`CAN MCP Server running on port ${PORT}`);
-});
+if (mcpHttp || REST_ENABLED) {
+  app.listen(PORT, HOST, () => {
+    console.error(`CAN MCP Server listening on ${HOST}:${PORT} (transport: ${TRANSPORT}, REST API: ${REST_ENABLED ? 'on' : 'off'})`);
+  });
+}
 
 // Start processing MCP requests via stdio
-const transport = new StdioServerTransport();
-server.connect(transport).catch(error => {
-  console.error('Error connecting to transport:', error);
-  process.exit(1);
-});
+const server = TRANSPORT === 'http' ? null : createServer();
+if (server) {
+  const transport = new StdioServerTransport();
+  server.connect(transport).catch(error => {
+    console.error('Error connecting to transport:', error);
+    process.exit(1);
+  });
+}
+
+// Close MCP clients and save persisted sessions before shutting down
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    Promise.resolve(mcpHttp?.closeAll())
+      .then(() => sessionManager.flush())
+      .catch(error => console.error('Error saving sessions on shutdown:', error))
+      .finally(() => process.exit(0));
+  });
+}
 
 // Export for testing
-export { server, sessionManager };
+export { server, createServer, sessionManager };
@@ -0,0 +1,258 @@
+/**
+ * Community Detection for Concept Networks
+ *
+ * Weighted clustering used to find emergent patterns among activated
+ * concepts. Graphs are given as an undirected adjacency Map of node ID to
+ * Map of neighbour ID to (positive) weight, symmetric in both directions.
+ *
+ * Supported methods:
+ * - louvain: Multi-level modularity optimization
+ * - labelPropagation: Weighted label propagation
+ * - components: Connected components, ignoring weights
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Supported community detection methods
+ */
+export const COMMUNITY_METHODS = ['louvain', 'labelPropagation', 'components'];
+
+/**
+ * Split a graph into communities
+ * @param {Array<string>} nodeIds Node IDs, in a stable order
+ * @param {Map<string, Map<string, number>>} adjacency Symmetric weighted adjacency
+ * @param {Object} options Detection options
+ * @param {string} options.method One of COMMUNITY_METHODS
+ * @param {number} options.resolution Modularity resolution for louvain (higher gives smaller communities)
+ * @returns {Array<Array<string>>} Communities as lists of node IDs
+ */
+export function detectCommunities(nodeIds, adjacency, { method = 'louvain', resolution = 1.0 } = {}) {
+  switch (method) {
+    case 'louvain':
+      return louvain(nodeIds, adjacency, resolution);
+    case 'labelPropagation':
+      return labelPropagation(nodeIds, adjacency);
+    case 'components':
+      return connectedComponents(nodeIds, adjacency);
+    default:
+      throw new ValidationError(`Unknown community detection method ${method}`);
+  }
+}
+
+/**
+ * Group node IDs by their community label, preserving node order
+ * @param {Array<string>} nodeIds Node IDs
+ * @param {Map<string, *>} labels Community label of every node
+ * @returns {Array<Array<string>>} Communities
+ * @private
+ */
+function groupByLabel(nodeIds, labels) {
+  const groups = new Map();
+  for (const id of nodeIds) {
+    const label = labels.get(id);
+    if (!groups.has(label)) {
+      groups.set(label, []);
+    }
+    groups.get(label).push(id);
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Connected components of the graph
+ * @param {Array<string>} nodeIds Node IDs
+ * @param {Map<string, Map<string, number>>} adjacency Weighted adjacency
+ * @returns {Array<Array<string>>} Communities
+ * @private
+ */
+function connectedComponents(nodeIds, adjacency) {
+  const components = [];
+  const visited = new Set();
+
+  for (const start of nodeIds) {
+    if (visited.has(start)) continue;
+
+    const component = [];
+    const queue = [start];
+    visited.add(start);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      component.push(current);
+      for (const neighbour of (adjacency.get(current) || new Map()).keys()) {
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          queue.push(neighbour);
+        }
+      }
+    }
+    components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Weighted label propagation: every node repeatedly adopts the label with
+ * the largest total weight among its neighbours until labels stabilize
+ * @param {Array<string>} nodeIds Node IDs
+ * @param {Map<string, Map<string, number>>} adjacency Weighted adjacency
+ * @returns {Array<Array<string>>} Communities
+ * @private
+ */
+function labelPropagation(nodeIds, adjacency) {
+  const labels = new Map(nodeIds.map(id => [id, id]));
+  const maxRounds = 100;
+
+  for (let round = 0; round < maxRounds; round++) {
+    let changed = false;
+
+    for (const id of nodeIds) {
+      const scores = new Map();
+      for (const [neighbour, weight] of (adjacency.get(id) || new Map()).entries()) {
+        if (neighbour === id) continue;
+        const label = labels.get(neighbour);
+        scores.set(label, (scores.get(label) || 0) + weight);
+      }
+      if (scores.size === 0) continue;
+
+      // Prefer the current label on ties so the process settles
+      const current = labels.get(id);
+      let bestLabel = current;
+      let bestScore = scores.get(current) || 0;
+      for (const [label, score] of scores.entries()) {
+        if (score > bestScore) {
+          bestLabel = label;
+          bestScore = score;
+        }
+      }
+
+      if (bestLabel !== current) {
+        labels.set(id, bestLabel);
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return groupByLabel(nodeIds, labels);
+}
+
+/**
+ * Multi-level Louvain modularity optimization
+ * @param {Array<string>} nodeIds Node IDs
+ * @param {Map<string, Map<string, number>>} adjacency Weighted adjacency
+ * @param {number} resolution Modularity resolution
+ * @returns {Array<Array<string>>} Communities
+ * @private
+ */
+function louvain(nodeIds, adjacency, resolution) {
+  // membership maps every original node to its current super node
+  const membership = new Map(nodeIds.map(id => [id, id]));
+  let levelNodes = nodeIds.slice();
+  let levelAdjacency = adjacency;
+
+  for (;;) {
+    const communities = louvainLevel(levelNodes, levelAdjacency, resolution);
+    const moved = Array.from(communities.entries()).some(([node, community]) => node !== community);
+    if (!moved) break;
+
+    // Collapse each community into a super node
+    for (const [id, superNode] of membership.entries()) {
+      membership.set(id, communities.get(superNode));
+    }
+
+    const aggregated = new Map();
+    for (const [node, neighbours] of levelAdjacency.entries()) {
+      const from = communities.get(node);
+      if (from === undefined) continue;
+      if (!aggregated.has(from)) {
+        aggregated.set(from, new Map());
+      }
+      const row = aggregated.get(from);
+      for (const [neighbour, weight] of neighbours.entries()) {
+        const to = communities.get(neighbour);
+        if (to === undefined) continue;
+        row.set(to, (row.get(to) || 0) + weight);
+      }
+    }
+
+    levelNodes = Array.from(new Set(levelNodes.map(node => communities.get(node))));
+    levelAdjacency = aggregated;
+  }
+
+  return groupByLabel(nodeIds, membership);
+}
+
+/**
+ * One level of Louvain: move single nodes between communities while
+ * modularity improves
+ * @param {Array<string>} nodeIds Node IDs
+ * @param {Map<string, Map<string, number>>} adjacency Weighted adjacency (self-loops allowed)
+ * @param {number} resolution Modularity resolution
+ * @returns {Map<string, string>} Community of every node
+ * @private
+ */
+function louvainLevel(nodeIds, adjacency, resolution) {
+  const community = new Map(nodeIds.map(id => [id, id]));
+  const degree = new Map();
+  const communityTotal = new Map();
+  let totalWeight = 0;
+
+  for (const id of nodeIds) {
+    const nodeDegree = Array.from((adjacency.get(id) || new Map()).values())
+      .reduce((sum, weight) => sum + weight, 0);
+    degree.set(id, nodeDegree);
+    communityTotal.set(id, nodeDegree);
+    totalWeight += nodeDegree;
+  }
+
+  if (totalWeight === 0) {
+    return community;
+  }
+
+  const maxPasses = 100;
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    for (const id of nodeIds) {
+      const current = community.get(id);
+      const nodeDegree = degree.get(id);
+
+      // Weight from this node to each neighbouring community
+      const linkWeights = new Map();
+      for (const [neighbour, weight] of (adjacency.get(id) || new Map()).entries()) {
+        if (neighbour === id) continue;
+        const neighbourCommunity = community.get(neighbour);
+        linkWeights.set(neighbourCommunity, (linkWeights.get(neighbourCommunity) || 0) + weight);
+      }
+
+      // Take the node out of its community before evaluating gains
+      communityTotal.set(current, communityTotal.get(current) - nodeDegree);
+
+      const gain = target => (linkWeights.get(target) || 0) -
+        resolution * communityTotal.get(target) * nodeDegree / totalWeight;
+
+      let best = current;
+      let bestGain = gain(current);
+      for (const candidate of linkWeights.keys()) {
+        const candidateGain = gain(candidate);
+        if (candidateGain > bestGain + 1e-12) {
+          best = candidate;
+          bestGain = candidateGain;
+        }
+      }
+
+      communityTotal.set(best, communityTotal.get(best) + nodeDegree);
+      if (best !== current) {
+        community.set(id, best);
+        improved = true;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return community;
+}
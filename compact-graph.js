@@ -0,0 +1,230 @@
+/**
+ * Compact Graph for Concept Networks
+ *
+ * Read-only compressed sparse row (CSR) snapshot of a network's concepts
+ * and connections, used by the spreading algorithms and pattern detection
+ * so they run over typed arrays instead of per-concept Maps:
+ *
+ *   concept i:          ids[i], nodes[i]
+ *   outgoing edges:     outTargets[outOffsets[i] .. outOffsets[i + 1]]
+ *                       (with outWeights and outTypes at the same positions)
+ *   incoming edges:     inSources[inOffsets[i] .. inOffsets[i + 1]]
+ *                       (inEdges gives each one's position in the outgoing arrays)
+ *
+ * Incoming edges are ordered by source index, so sums over them add terms
+ * in the same order as a pass over the concepts would. Connections to
+ * concepts that no longer exist are left out.
+ *
+ * A ConceptNetwork builds the snapshot lazily and rebuilds it after its
+ * concepts or connections change (see ConceptNetwork.getCompactGraph).
+ *
+ * The incoming edge arrays and the effective weights are allocated on
+ * SharedArrayBuffers, so worker threads can read them without copies
+ * (see parallel-spreading.js).
+ */
+
+/**
+ * Allocate a typed array on a SharedArrayBuffer
+ * @param {Function} Type Typed array constructor
+ * @param {number} length Number of elements
+ * @returns {TypedArray} Zero-filled array
+ * @private
+ */
+function sharedArray(Type, length) {
+  return new Type(new SharedArrayBuffer(Type.BYTES_PER_ELEMENT * length));
+}
+
+/**
+ * Sum the values flowing into a range of concepts along their incoming
+ * edges: out[i] = sum over edges s -> i of vector[s] * weights[e] * scale[s]
+ * (or vector[s] * weights[e] / scale[s] when divide is set). Edges are
+ * visited in source order, so every caller adds terms in the same order.
+ * @param {Object} graph Incoming edge arrays ({ inOffsets, inSources, inEdges })
+ * @param {Object} request Propagation request
+ * @param {Float64Array} request.vector Value per source concept
+ * @param {Float64Array} request.weights Weight per edge (by outgoing edge position)
+ * @param {Float64Array} request.scale Factor (or divisor) per source concept
+ * @param {boolean} request.divide Whether to divide by scale instead of multiplying
+ * @param {boolean} request.positiveOnly Whether to skip edges without a positive weight
+ * @param {number} start Index of the first concept
+ * @param {number} end Index after the last concept
+ * @param {Float64Array} out Values by concept index, written for the range only
+ */
+export function propagateRange({ inOffsets, inSources, inEdges }, request, start, end, out) {
+  const { vector, weights, scale, divide, positiveOnly } = request;
+  for (let i = start; i < end; i++) {
+    let sum = 0;
+    for (let k = inOffsets[i]; k < inOffsets[i + 1]; k++) {
+      const source = inSources[k];
+      const weight = weights[inEdges[k]];
+      if (positiveOnly && !(weight > 0)) continue;
+      sum += divide ? vector[source] * weight / scale[source] : vector[source] * weight * scale[source];
+    }
+    out[i] = sum;
+  }
+}
+
+export class CompactGraph {
+  /**
+   * Build the snapshot of a network
+   * @param {ConceptNetwork} network The network
+   * @param {number} version Structure version of the network the snapshot reflects
+   */
+  constructor(network, version = 0) {
+    this.version = version;
+    this.nodes = Array.from(network.nodes.values());
+    this.ids = this.nodes.map(node => node.id);
+    this.indexOf = new Map(this.ids.map((id, i) => [id, i]));
+    this.size = this.nodes.length;
+    this.typeNames = [];
+    this.effectiveCache = new Map();
+
+    const typeIndex = new Map();
+    let edgeCount = 0;
+    for (const node of this.nodes) {
+      for (const targetId of node.connections.keys()) {
+        if (this.indexOf.has(targetId)) edgeCount++;
+      }
+    }
+
+    this.edgeCount = edgeCount;
+    this.outOffsets = new Uint32Array(this.size + 1);
+    this.outTargets = new Uint32Array(edgeCount);
+    this.outWeights = new Float64Array(edgeCount);
+    this.outTypes = new Uint32Array(edgeCount);
+    const inDegree = new Uint32Array(this.size);
+
+    let edge = 0;
+    for (let i = 0; i < this.size; i++) {
+      const node = this.nodes[i];
+      this.outOffsets[i] = edge;
+      for (const [targetId, weight] of node.connections) {
+        const target = this.indexOf.get(targetId);
+        if (target === undefined) continue;
+
+        const type = node.getRelation(targetId).type;
+        if (!typeIndex.has(type)) {
+          typeIndex.set(type, this.typeNames.length);
+          this.typeNames.push(type);
+        }
+        this.outTargets[edge] = target;
+        this.outWeights[edge] = weight;
+        this.outTypes[edge] = typeIndex.get(type);
+        inDegree[target]++;
+        edge++;
+      }
+    }
+    this.outOffsets[this.size] = edge;
+
+    // Transpose, visiting sources in index order
+    this.inOffsets = sharedArray(Uint32Array, this.size + 1);
+    for (let i = 0; i < this.size; i++) {
+      this.inOffsets[i + 1] = this.inOffsets[i] + inDegree[i];
+    }
+    this.inSources = sharedArray(Uint32Array, edgeCount);
+    this.inEdges = sharedArray(Uint32Array, edgeCount);
+    const fill = this.inOffsets.slice(0, this.size);
+    for (let i = 0; i < this.size; i++) {
+      for (let e = this.outOffsets[i]; e < this.outOffsets[i + 1]; e++) {
+        const position = fill[this.outTargets[e]]++;
+        this.inSources[position] = i;
+        this.inEdges[position] = e;
+      }
+    }
+
+    // Categories as indexes, -1 for none
+    this.categoryNames = [];
+    this.categories = new Int32Array(this.size);
+    const categoryIndex = new Map();
+    for (let i = 0; i < this.size; i++) {
+      const category = this.nodes[i].category;
+      if (category === null || category === undefined) {
+        this.categories[i] = -1;
+        continue;
+      }
+      if (!categoryIndex.has(category)) {
+        categoryIndex.set(category, this.categoryNames.length);
+        this.categoryNames.push(category);
+      }
+      this.categories[i] = categoryIndex.get(category);
+    }
+  }
+
+  /**
+   * Get the weights activation spreads with: each weight scaled by the
+   * multiplier of its relation type, and 0 for relation types that are
+   * filtered out
+   * @param {Array<string>|null} relationTypes Relation types to include (null for all)
+   * @param {Object} multipliers Weight multiplier per relation type (default 1)
+   * @returns {Object} { weights, absTotals, positiveTotals } where the totals are per source concept
+   */
+  getEffectiveWeights(relationTypes, multipliers = {}) {
+    const key = JSON.stringify([relationTypes, multipliers]);
+    if (this.effectiveCache.has(key)) {
+      return this.effectiveCache.get(key);
+    }
+
+    const allowed = relationTypes ? new Set(relationTypes) : null;
+    const factors = this.typeNames.map(type => {
+      if (allowed && !allowed.has(type)) return 0;
+      return multipliers[type] ?? 1;
+    });
+
+    const weights = sharedArray(Float64Array, this.edgeCount);
+    const absTotals = new Float64Array(this.size);
+    const positiveTotals = new Float64Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      for (let e = this.outOffsets[i]; e < this.outOffsets[i + 1]; e++) {
+        const weight = this.outWeights[e] * factors[this.outTypes[e]];
+        weights[e] = weight;
+        absTotals[i] += Math.abs(weight);
+        if (weight > 0) positiveTotals[i] += weight;
+      }
+    }
+
+    const result = { weights, absTotals, positiveTotals };
+    this.effectiveCache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Sum the values flowing into every concept along its incoming edges
+   * @param {Object} request Propagation request (see propagateRange)
+   * @returns {Float64Array} Values by concept index
+   */
+  propagate(request) {
+    const out = new Float64Array(this.size);
+    propagateRange(this, request, 0, this.size, out);
+    return out;
+  }
+
+  /**
+   * Get the current activation of every concept
+   * @returns {Float64Array} Activations by concept index
+   */
+  getActivations() {
+    const activations = new Float64Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      activations[i] = this.nodes[i].activation;
+    }
+    return activations;
+  }
+
+  /**
+   * Map values indexed by another snapshot's concepts onto this one's
+   * @param {Float64Array} values Values by concept index of the other snapshot
+   * @param {Array<string>} ids Concept IDs of the other snapshot
+   * @returns {Float64Array} Values by concept index, 0 for concepts the other snapshot lacked
+   */
+  align(values, ids) {
+    if (ids === this.ids) {
+      return values;
+    }
+    const aligned = new Float64Array(this.size);
+    for (let i = 0; i < ids.length; i++) {
+      const index = this.indexOf.get(ids[i]);
+      if (index !== undefined) aligned[index] = values[i];
+    }
+    return aligned;
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Concept Index
+ *
+ * Label and category index of a concept network, kept up to date by
+ * ConceptNetwork as concepts are added and removed. Supports the label
+ * match modes of findConcepts:
+ * - exact: label equals the query
+ * - caseInsensitive: label equals the query, ignoring case
+ * - prefix: label starts with the query, ignoring case
+ * - fuzzy: labels sharing trigrams with the query, scored by the best of
+ *   trigram similarity, edit-distance similarity and, for labels that
+ *   contain the query, the share of the label it covers (at least 0.5)
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Supported label match modes
+ */
+export const MATCH_MODES = ['exact', 'caseInsensitive', 'prefix', 'fuzzy'];
+
+/**
+ * Normalize a label for case-insensitive comparison
+ * @param {string} label The label
+ * @returns {string} Normalized label
+ * @private
+ */
+function normalize(label) {
+  return String(label).trim().toLowerCase();
+}
+
+/**
+ * Get the trigrams of a normalized label, padded so that short labels and
+ * word boundaries produce trigrams too
+ * @param {string} text Normalized label
+ * @returns {Set<string>} Trigrams
+ * @private
+ */
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.substring(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Edit distance
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Add a value to the set stored under a key
+ * @param {Map<string, Set>} map The map
+ * @param {string} key The key
+ * @param {*} value The value
+ * @private
+ */
+function addToSet(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
+  }
+  map.get(key).add(value);
+}
+
+/**
+ * Remove a value from the set stored under a key, dropping empty sets
+ * @param {Map<string, Set>} map The map
+ * @param {string} key The key
+ * @param {*} value The value
+ * @private
+ */
+function removeFromSet(map, key, value) {
+  const set = map.get(key);
+  if (set) {
+    set.delete(value);
+    if (set.size === 0) {
+      map.delete(key);
+    }
+  }
+}
+
+export class ConceptIndex {
+  constructor() {
+    this.entries = new Map(); // Concept ID to { label, normalized, category, trigrams }
+    this.labels = new Map(); // Normalized label to concept IDs
+    this.trigrams = new Map(); // Trigram to concept IDs
+    this.categories = new Map(); // Category to concept IDs
+  }
+
+  /**
+   * Index a concept, replacing any previous entry for its ID
+   * @param {Object} concept Concept with id, label and category
+   */
+  add({ id, label, category }) {
+    this.remove(id);
+
+    const normalized = normalize(label);
+    const entry = { label, normalized, category, trigrams: trigrams(normalized) };
+    this.entries.set(id, entry);
+
+    addToSet(this.labels, normalized, id);
+    for (const trigram of entry.trigrams) {
+      addToSet(this.trigrams, trigram, id);
+    }
+    if (category !== null && category !== undefined) {
+      addToSet(this.categories, category, id);
+    }
+  }
+
+  /**
+   * Remove a concept from the index
+   * @param {string} id Concept ID
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return;
+    }
+
+    removeFromSet(this.labels, entry.normalized, id);
+    for (const trigram of entry.trigrams) {
+      removeFromSet(this.trigrams, trigram, id);
+    }
+    if (entry.category !== null && entry.category !== undefined) {
+      removeFromSet(this.categories, entry.category, id);
+    }
+    this.entries.delete(id);
+  }
+
+  /**
+   * Remove every concept from the index
+   */
+  clear() {
+    this.entries.clear();
+    this.labels.clear();
+    this.trigrams.clear();
+    this.categories.clear();
+  }
+
+  /**
+   * Get the IDs of the concepts in a category
+   * @param {string} category The category
+   * @returns {Set<string>} Concept IDs
+   */
+  byCategory(category) {
+    return this.categories.get(category) || new Set();
+  }
+
+  /**
+   * Find concepts whose label matches a query
+   * @param {string} query The query
+   * @param {Object} options Search options
+   * @param {string} options.match One of MATCH_MODES
+   * @param {number} options.minScore Minimum similarity for fuzzy matches (0.0 to 1.0)
+   * @returns {Map<string, number>} Matching concept IDs and their scores (1.0 for a perfect match)
+   */
+  search(query, { match = 'fuzzy', minScore = 0.4 } = {}) {
+    const normalized = normalize(query);
+    const results = new Map();
+
+    switch (match) {
+      case 'exact':
+        for (const id of this.labels.get(normalized) || []) {
+          if (this.entries.get(id).label === query) {
+            results.set(id, 1);
+          }
+        }
+        break;
+
+      case 'caseInsensitive':
+        for (const id of this.labels.get(normalized) || []) {
+          results.set(id, 1);
+        }
+        break;
+
+      case 'prefix':
+        for (const [label, ids] of this.labels.entries()) {
+          if (label.startsWith(normalized)) {
+            for (const id of ids) {
+              results.set(id, label.length > 0 ? normalized.length / label.length : 1);
+            }
+          }
+        }
+        break;
+
+      case 'fuzzy': {
+        // Candidates share at least one trigram with the query
+        const queryTrigrams = trigrams(normalized);
+        const shared = new Map();
+        for (const trigram of queryTrigrams) {
+          for (const id of this.trigrams.get(trigram) || []) {
+            shared.set(id, (shared.get(id) || 0) + 1);
+          }
+        }
+
+        for (const [id, count] of shared.entries()) {
+          const entry = this.entries.get(id);
+          const trigramScore = count / (queryTrigrams.size + entry.trigrams.size - count);
+          const maxLength = Math.max(normalized.length, entry.normalized.length);
+          const editScore = maxLength > 0 ? 1 - editDistance(normalized, entry.normalized) / maxLength : 1;
+          const containmentScore = entry.normalized.includes(normalized)
+            ? 0.5 + 0.5 * normalized.length / entry.normalized.length
+            : 0;
+          const score = Math.max(trigramScore, editScore, containmentScore);
+          if (score >= minScore) {
+            results.set(id, score);
+          }
+        }
+        break;
+      }
+
+      default:
+        throw new ValidationError(`Unknown match mode ${match}`);
+    }
+
+    return results;
+  }
+}
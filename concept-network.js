@@ -8,7 +8,39 @@
  * - Network dynamics and convergence
  */
 
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { hasActivationFunction } from './activation-functions.js';
+import { computeSpreadingStep, computeSpreadingStepAsync, hasSpreadingAlgorithm } from './spreading-algorithms.js';
+import { getWorkerPool, MAX_PARALLEL_WORKERS } from './parallel-spreading.js';
+import { detectCommunities, COMMUNITY_METHODS } from './community-detection.js';
+import { applyHebbianLearning, DEFAULT_LEARNING_OPTIONS, LEARNING_RULES } from './hebbian-learning.js';
+import { explainActivation } from './activation-explanation.js';
+import { ConceptIndex } from './concept-index.js';
+import { MutationLog, DEFAULT_MUTATION_LOG_LIMIT } from './mutation-log.js';
+import { ActivationHistory, DEFAULT_HISTORY_OPTIONS, HISTORY_RETENTION_MODES } from './activation-history.js';
+import { CompactGraph } from './compact-graph.js';
+import { EmbeddingIndex, suggestConnections, validateEmbedding } from './embedding-index.js';
+import { ConflictError, NotFoundError, ValidationError } from './errors.js';
+
+/**
+ * Relation type of connections created without one
+ */
+export const DEFAULT_RELATION = 'related';
+
+/**
+ * Build a relation from its optional parts
+ * @param {Object} relation Relation ({ type, label, provenance }), may be null
+ * @returns {Object} Relation with every part set
+ * @private
+ */
+function normalizeRelation(relation) {
+  return {
+    type: relation?.type || DEFAULT_RELATION,
+    label: relation?.label ?? null,
+    provenance: relation?.provenance ?? null
+  };
+}
 
 /**
  * Represents a single concept in the network
@@ -25,18 +57,50 @@ class ConceptNode {
     this.label = label;
     this.category = category;
     this.connections = new Map(); // Map of target node IDs to edge weights
+    this.relations = new Map(); // Map of target node IDs to { type, label, provenance }
     this.activation = 0.0;
     this.prevActivation = 0.0;
     this.metadata = {};
+    this.bias = 0.0; // Added to the net input when activation spreads
+    this.activationCap = null; // Upper bound on the activation reached by spreading
+    this.embedding = null; // Client-supplied vector for similarity search (see embedding-index.js)
   }
 
   /**
    * Add a connection to another concept
    * @param {string} targetId Target concept ID
-   * @param {number} weight Connection weight (0.0 to 1.0)
+   * @param {number} weight Connection weight (-1.0 to 1.0, negative weights inhibit the target)
+   * @param {Object} relation Relation ({ type, label, provenance }); parts that
+   *   are omitted keep their current value, or the default for a new connection
    */
-  addConnection(targetId, weight) {
+  addConnection(targetId, weight, relation = null) {
     this.connections.set(targetId, weight);
+    const current = this.relations.get(targetId);
+    this.relations.set(targetId, normalizeRelation({
+      type: relation?.type ?? current?.type,
+      label: relation?.label ?? current?.label,
+      provenance: relation?.provenance ?? current?.provenance
+    }));
+  }
+
+  /**
+   * Replace the relation of an existing connection
+   * @param {string} targetId Target concept ID
+   * @param {Object} relation Relation ({ type, label, provenance })
+   */
+  setRelation(targetId, relation) {
+    if (this.connections.has(targetId)) {
+      this.relations.set(targetId, normalizeRelation(relation));
+    }
+  }
+
+  /**
+   * Get the relation of a connection to another concept
+   * @param {string} targetId Target concept ID
+   * @returns {Object} Relation ({ type, label, provenance })
+   */
+  getRelation(targetId) {
+    return this.relations.get(targetId) || normalizeRelation(null);
   }
 
   /**
@@ -45,6 +109,7 @@ class ConceptNode {
    * @returns {boolean} True if connection was removed
    */
   removeConnection(targetId) {
+    this.relations.delete(targetId);
     return this.connections.delete(targetId);
   }
 
@@ -79,24 +144,179 @@ class ConceptNode {
       metadata: this.metadata
     };
   }
+
+  /**
+   * Get a complete representation including connections, for persistence
+   * @returns {Object} Serialized node state
+   */
+  serialize() {
+    return {
+      id: this.id,
+      label: this.label,
+      category: this.category,
+      activation: this.activation,
+      prevActivation: this.prevActivation,
+      metadata: this.metadata,
+      bias: this.bias,
+      activationCap: this.activationCap,
+      embedding: this.embedding,
+      connections: Array.from(this.connections.entries()).map(([targetId, weight]) => {
+        const relation = this.getRelation(targetId);
+        return {
+          targetId,
+          weight,
+          relation: relation.type,
+          relationLabel: relation.label,
+          provenance: relation.provenance
+        };
+      })
+    };
+  }
+
+  /**
+   * Restore a node from its serialized state
+   * @param {Object} data Serialized node state
+   * @returns {ConceptNode} The restored node
+   */
+  static deserialize(data) {
+    const node = new ConceptNode(data.id, data.label, data.category ?? null);
+    node.activation = data.activation || 0.0;
+    node.prevActivation = data.prevActivation || 0.0;
+    node.metadata = data.metadata || {};
+    node.bias = data.bias || 0.0;
+    node.activationCap = data.activationCap ?? null;
+    node.embedding = data.embedding ?? null;
+    for (const { targetId, weight, relation, relationLabel, provenance } of data.connections || []) {
+      node.addConnection(targetId, weight, { type: relation, label: relationLabel, provenance });
+    }
+    return node;
+  }
+}
+
+/**
+ * Build the network calls that recreate the connection from a node to a
+ * target, or remove it if it does not exist
+ * @param {ConceptNode} node Source concept
+ * @param {string} targetId Target concept ID
+ * @returns {Object} Network call ({ method, args })
+ * @private
+ */
+function connectionRestoreCall(node, targetId) {
+  if (!node.connections.has(targetId)) {
+    return { method: 'removeConnection', args: [node.id, targetId, false] };
+  }
+  const relation = node.getRelation(targetId);
+  return {
+    method: 'addConnection',
+    args: [node.id, targetId, node.connections.get(targetId), false, { ...relation }]
+  };
+}
+
+/**
+ * Build the network calls that recreate a concept with its attributes
+ * @param {ConceptNode} node The concept
+ * @returns {Array<Object>} Network calls ({ method, args })
+ * @private
+ */
+function conceptRestoreCalls(node) {
+  return [
+    { method: 'addConcept', args: [node.label, node.category, node.id] },
+    {
+      method: 'updateConcept',
+      args: [node.id, {
+        metadata: node.metadata,
+        metadataMode: 'replace',
+        bias: node.bias,
+        activationCap: node.activationCap,
+        embedding: node.embedding
+      }]
+    }
+  ];
+}
+
+/**
+ * Check whether concept metadata has the given values. A metadata array
+ * matches a value it contains.
+ * @param {Object} metadata Concept metadata
+ * @param {Object} filter Required values by key
+ * @returns {boolean} True if every key matches
+ * @private
+ */
+function matchesMetadata(metadata, filter) {
+  return Object.entries(filter).every(([key, expected]) => {
+    const actual = metadata?.[key];
+    if (Array.isArray(actual) && !Array.isArray(expected)) {
+      return actual.includes(expected);
+    }
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  });
 }
 
 /**
- * Main Concept Activation Network implementation
+ * Main Concept Activation Network implementation.
+ *
+ * Emits a 'change' event with { type, ...details } whenever concepts,
+ * connections, parameters or activations change. Structural changes are
+ * also recorded in the mutation log (see mutation-log.js), which supports
+ * undo, redo and replay.
  */
-export class ConceptNetwork {
+export class ConceptNetwork extends EventEmitter {
   constructor() {
+    super();
     this.nodes = new Map(); // Map of concept ID to ConceptNode
-    this.activationHistory = []; // History of activation states
+    this.index = new ConceptIndex(); // Label and category index for findConcepts
+    this.activationHistory = new ActivationHistory(); // Delta-encoded activation states
     this.iterationCount = 0;
+    this.seedActivations = new Map(); // Initial activations of the current run
+    this.algorithmState = null; // Per-run state of the spreading algorithm
+    this.trackedPatterns = []; // Patterns from the last identification, for stable IDs
+    this.mutationLog = null; // Structural changes, for undo, redo and replay (see useMutationLog)
+    this.structureVersion = 0; // Incremented whenever concepts or connections change
+    this.compactGraph = null; // CSR snapshot for spreading, rebuilt on demand (see compact-graph.js)
+    this.incomingIndex = null; // Map of concept ID to IDs of the concepts connecting to it, built on demand
+    this.embeddingIndex = null; // Nearest-neighbour index of the embeddings, rebuilt on demand (see embedding-index.js)
+    this.running = false; // Whether an asynchronous activation run is in progress
     
     // Default parameters
     this.params = {
       activationThreshold: 0.7,
       decayRate: 0.1,
       maxIterations: 5,
-      convergenceThreshold: 0.01
+      convergenceThreshold: 0.01,
+      lateralInhibition: 0.0, // Strength of inhibition between concepts of the same category
+      activationFunction: 'sigmoid', // Transfer function (see activation-functions.js)
+      activationGain: 1.0,
+      activationBias: 0.0,
+      activationCeiling: 1.0,
+      restingLevel: 0.0, // Activation that concepts decay towards without input
+      algorithm: 'decay', // Spreading algorithm (see spreading-algorithms.js)
+      restartProbability: 0.15, // Restart probability for personalized PageRank
+      diffusionTime: 1.0, // Diffusion time for heat-kernel spreading
+      patternDetection: 'louvain', // Community detection method (see community-detection.js)
+      patternResolution: 1.0, // Louvain resolution (higher gives smaller patterns)
+      trackPatterns: false, // Whether to record emergent patterns in the activation history (runs pattern detection for every entry)
+      autoLearn: false, // Whether to apply Hebbian learning after runUntilConvergence
+      relationMultipliers: {}, // Weight multiplier per relation type when spreading (default 1)
+      relationTypes: null, // Relation types activation spreads along (null for all)
+      parallelWorkers: 0, // Worker threads for asynchronous runs (0 runs on the main thread; see parallel-spreading.js)
+      mutationLogLimit: DEFAULT_MUTATION_LOG_LIMIT, // Mutation log mutations kept before the oldest are compacted
+      ...DEFAULT_HISTORY_OPTIONS, // History retention (see activation-history.js)
+      ...DEFAULT_LEARNING_OPTIONS // Learning rate, decay and limits (see hebbian-learning.js)
     };
+    
+    this.useMutationLog(new MutationLog());
+  }
+  
+  /**
+   * Attach a mutation log, compacting it with the mutationLogLimit parameter
+   * @param {MutationLog} log The log
+   * @private
+   */
+  useMutationLog(log) {
+    log.limit = this.params.mutationLogLimit;
+    log.rebase = rebaseSerializedNetwork;
+    log.compact();
+    this.mutationLog = log;
   }
 
   /**
@@ -111,11 +331,17 @@ export class ConceptNetwork {
     
     // Check for existing concept with same ID
     if (this.nodes.has(conceptId)) {
-      throw new Error(`Concept with ID ${conceptId} already exists`);
+      throw new ConflictError(`Concept with ID ${conceptId} already exists`);
     }
     
     const node = new ConceptNode(conceptId, label, category);
     this.nodes.set(conceptId, node);
+    this.index.add(node);
+    this.structureVersion++;
+    this.mutationLog.record('addConcept', [label, category, conceptId],
+      [{ method: 'addConcept', args: [label, category, conceptId] }],
+      [{ method: 'removeConcept', args: [conceptId] }]);
+    this.emit('change', { type: 'concept-added', conceptId });
     
     return conceptId;
   }
@@ -130,13 +356,64 @@ export class ConceptNetwork {
       return false;
     }
     
+    // Concepts connecting to this one, found without scanning the network
+    const incomingIndex = this.getIncomingIndex();
+    const sourceIds = Array.from(incomingIndex.get(conceptId) || []);
+    
+    // Undoing the removal recreates the concept with all its connections
+    const removed = this.nodes.get(conceptId);
+    const inverse = conceptRestoreCalls(removed);
+    for (const targetId of removed.connections.keys()) {
+      if (this.nodes.has(targetId)) inverse.push(connectionRestoreCall(removed, targetId));
+    }
+    for (const sourceId of sourceIds) {
+      if (sourceId !== conceptId) {
+        inverse.push(connectionRestoreCall(this.nodes.get(sourceId), conceptId));
+      }
+    }
+    
     // Remove all connections to this concept
-    for (const node of this.nodes.values()) {
-      node.removeConnection(conceptId);
+    for (const sourceId of sourceIds) {
+      this.nodes.get(sourceId).removeConnection(conceptId);
+    }
+    for (const targetId of removed.connections.keys()) {
+      incomingIndex.get(targetId)?.delete(conceptId);
     }
+    incomingIndex.delete(conceptId);
     
     // Remove the concept
-    return this.nodes.delete(conceptId);
+    this.nodes.delete(conceptId);
+    this.index.remove(conceptId);
+    this.structureVersion++;
+    this.mutationLog.record('removeConcept', [conceptId], [{ method: 'removeConcept', args: [conceptId] }], inverse);
+    this.emit('change', { type: 'concept-removed', conceptId });
+    return true;
+  }
+
+  /**
+   * Remove all concepts and reset the activation history
+   */
+  clear() {
+    const inverse = [];
+    for (const node of this.nodes.values()) {
+      inverse.push(...conceptRestoreCalls(node));
+    }
+    for (const node of this.nodes.values()) {
+      for (const targetId of node.connections.keys()) {
+        if (this.nodes.has(targetId)) inverse.push(connectionRestoreCall(node, targetId));
+      }
+    }
+    this.mutationLog.record('clear', [], [{ method: 'clear', args: [] }], inverse);
+    
+    this.nodes.clear();
+    this.index.clear();
+    this.invalidateGraphCaches();
+    this.activationHistory.reset();
+    this.iterationCount = 0;
+    this.seedActivations = new Map();
+    this.algorithmState = null;
+    this.trackedPatterns = [];
+    this.emit('change', { type: 'cleared' });
   }
 
   /**
@@ -147,33 +424,514 @@ export class ConceptNetwork {
   getConcept(conceptId) {
     const node = this.nodes.get(conceptId);
     if (!node) {
-      throw new Error(`Concept ${conceptId} not found`);
+      throw new NotFoundError(`Concept ${conceptId} not found`);
     }
     return node;
   }
 
+  /**
+   * Update the attributes of a concept
+   * @param {string} conceptId Concept ID
+   * @param {Object} updates Attributes to change (others are left as they are)
+   * @param {string} updates.label New label
+   * @param {string|null} updates.category New category
+   * @param {Object} updates.metadata Metadata to merge into (or replace) the existing metadata
+   * @param {string} updates.metadataMode 'merge' (default) or 'replace'
+   * @param {number} updates.bias Added to the concept's net input when activation spreads
+   * @param {number|null} updates.activationCap Upper bound on the concept's activation, or null for none
+   * @param {Array<number>|null} updates.embedding Embedding vector, or null for none; it must have as
+   *   many dimensions as the other embeddings of the network
+   * @returns {ConceptNode} The updated concept
+   */
+  updateConcept(conceptId, { label, category, metadata, metadataMode = 'merge', bias, activationCap, embedding } = {}) {
+    const node = this.getConcept(conceptId);
+    if (!['merge', 'replace'].includes(metadataMode)) {
+      throw new ValidationError(`Unsupported metadata mode ${metadataMode}`);
+    }
+    if (embedding !== undefined && embedding !== null) {
+      const [problem] = validateEmbedding(embedding, this.getEmbeddingDimensions(conceptId));
+      if (problem) {
+        throw new ValidationError(problem);
+      }
+    }
+    
+    const before = {
+      label: node.label,
+      category: node.category,
+      metadata: node.metadata,
+      bias: node.bias,
+      activationCap: node.activationCap,
+      embedding: node.embedding
+    };
+    
+    if (label !== undefined) node.label = label;
+    if (category !== undefined) node.category = category;
+    if (metadata !== undefined) {
+      node.metadata = metadataMode === 'replace' ? { ...metadata } : { ...node.metadata, ...metadata };
+    }
+    if (bias !== undefined) node.bias = bias;
+    if (activationCap !== undefined) node.activationCap = activationCap;
+    if (embedding !== undefined) node.embedding = embedding === null ? null : [...embedding];
+    
+    // Log the resulting attributes, so replaying does not depend on the merge
+    const changed = [label, category, metadata, bias, activationCap, embedding]
+      .map((value, i) => value !== undefined ? ['label', 'category', 'metadata', 'bias', 'activationCap', 'embedding'][i] : null)
+      .filter(Boolean);
+    const pick = source => Object.fromEntries(changed.map(key => [key, source[key]]));
+    this.mutationLog.record('updateConcept', [conceptId, { label, category, metadata, metadataMode, bias, activationCap, embedding }],
+      [{ method: 'updateConcept', args: [conceptId, { ...pick(node), metadataMode: 'replace' }] }],
+      [{ method: 'updateConcept', args: [conceptId, { ...pick(before), metadataMode: 'replace' }] }]);
+    
+    this.index.add(node);
+    this.structureVersion++;
+    this.emit('change', { type: 'concept-updated', conceptId });
+    return node;
+  }
+
+  /**
+   * Get a concept with its attributes and its outgoing and incoming connections
+   * @param {string} conceptId Concept ID
+   * @returns {Object} Concept details
+   */
+  getConceptDetails(conceptId) {
+    const node = this.getConcept(conceptId);
+    
+    const incoming = [];
+    for (const sourceId of this.getIncomingIndex().get(conceptId) || []) {
+      const source = this.nodes.get(sourceId);
+      const relation = source.getRelation(conceptId);
+      incoming.push({
+        sourceId,
+        label: source.label,
+        weight: source.connections.get(conceptId),
+        relation: relation.type,
+        relationLabel: relation.label,
+        provenance: relation.provenance
+      });
+    }
+    
+    return {
+      ...node.toJSON(),
+      bias: node.bias,
+      activationCap: node.activationCap,
+      embeddingDimensions: node.embedding ? node.embedding.length : null,
+      outgoing: Array.from(node.connections.entries()).map(([targetId, weight]) => {
+        const relation = node.getRelation(targetId);
+        return {
+          targetId,
+          label: this.nodes.get(targetId)?.label ?? null,
+          weight,
+          relation: relation.type,
+          relationLabel: relation.label,
+          provenance: relation.provenance
+        };
+      }),
+      incoming
+    };
+  }
+
+  /**
+   * Find concepts by label, category and metadata
+   * @param {Object} options Search options
+   * @param {string} options.query Label to search for (all concepts if omitted)
+   * @param {string} options.match Label match mode (see concept-index.js)
+   * @param {number} options.minScore Minimum similarity for fuzzy matches
+   * @param {string} options.category Only concepts in this category
+   * @param {Object} options.metadata Only concepts whose metadata has these values
+   * @param {number} options.limit Maximum number of results
+   * @returns {Array<Object>} Matching concepts with their match score, best first
+   */
+  findConcepts({ query = null, match = 'fuzzy', minScore = 0.4, category = null, metadata = null, limit = 10 } = {}) {
+    let scores;
+    if (query !== null && query !== undefined) {
+      scores = this.index.search(query, { match, minScore });
+    } else {
+      const ids = category !== null && category !== undefined ? this.index.byCategory(category) : this.nodes.keys();
+      scores = new Map(Array.from(ids, id => [id, 1]));
+    }
+    
+    const results = [];
+    for (const [id, score] of scores.entries()) {
+      const node = this.nodes.get(id);
+      if (category !== null && category !== undefined && node.category !== category) continue;
+      if (metadata && !matchesMetadata(node.metadata, metadata)) continue;
+      results.push({ ...node.toJSON(), score });
+    }
+    
+    return results
+      .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+      .slice(0, limit);
+  }
+
+  /**
+   * Resolve concept references given as IDs, labels or search queries
+   * @param {Object} references References to resolve
+   * @param {Array<string>} references.conceptIds Concept IDs, used as given
+   * @param {Array<string>} references.labels Labels, matched ignoring case; every concept with the label is included
+   * @param {Array<string>} references.queries Search queries; the best matches of each are included
+   * @param {Object} options Search options for queries (match, minScore, category, metadata)
+   * @param {number} options.matchesPerQuery Number of concepts each query resolves to
+   * @returns {Object} { conceptIds, resolved: [{ reference, conceptIds }] }
+   * @throws {NotFoundError} Listing every label or query that matched no concept
+   */
+  resolveConcepts({ conceptIds = [], labels = [], queries = [] } = {}, { matchesPerQuery = 1, ...searchOptions } = {}) {
+    const ids = new Set(conceptIds);
+    const resolved = [];
+    const unresolved = [];
+    
+    for (const label of labels) {
+      const matches = this.findConcepts({ ...searchOptions, query: label, match: 'caseInsensitive', limit: Infinity });
+      resolved.push({ reference: label, conceptIds: matches.map(m => m.id) });
+      if (matches.length === 0) unresolved.push(`label "${label}"`);
+    }
+    
+    for (const query of queries) {
+      const matches = this.findConcepts({ ...searchOptions, query, limit: matchesPerQuery });
+      resolved.push({ reference: query, conceptIds: matches.map(m => m.id) });
+      if (matches.length === 0) unresolved.push(`query "${query}"`);
+    }
+    
+    if (unresolved.length > 0) {
+      throw new NotFoundError(`No concepts found for ${unresolved.join(', ')}`);
+    }
+    
+    for (const entry of resolved) {
+      entry.conceptIds.forEach(id => ids.add(id));
+    }
+    return { conceptIds: Array.from(ids), resolved };
+  }
+
   /**
    * Add a connection between two concepts
    * @param {string} sourceId Source concept ID
    * @param {string} targetId Target concept ID
-   * @param {number} weight Connection weight (0.0 to 1.0)
+   * @param {number} weight Connection weight (-1.0 to 1.0, negative weights are inhibitory)
    * @param {boolean} bidirectional Whether to create connections in both directions
+   * @param {Object} relation Relation of the connections ({ type, label, provenance });
+   *   parts that are omitted keep their current value on existing connections
    */
-  addConnection(sourceId, targetId, weight = 0.5, bidirectional = true) {
+  addConnection(sourceId, targetId, weight = 0.5, bidirectional = true, relation = null) {
     // Validate weight
-    const safeWeight = Math.max(0, Math.min(1, weight));
+    const safeWeight = Math.max(-1, Math.min(1, weight));
     
     // Get source and target nodes
     const sourceNode = this.getConcept(sourceId);
     const targetNode = this.getConcept(targetId);
+    const inverse = [connectionRestoreCall(sourceNode, targetId)];
+    if (bidirectional) {
+      inverse.unshift(connectionRestoreCall(targetNode, sourceId));
+    }
     
     // Add connection
-    sourceNode.addConnection(targetId, safeWeight);
+    sourceNode.addConnection(targetId, safeWeight, relation);
     
     // Add bidirectional connection if requested
     if (bidirectional) {
-      targetNode.addConnection(sourceId, safeWeight);
+      targetNode.addConnection(sourceId, safeWeight, relation);
     }
+    this.indexConnection(sourceId, targetId);
+    if (bidirectional) {
+      this.indexConnection(targetId, sourceId);
+    }
+    this.structureVersion++;
+    
+    this.mutationLog.record('addConnection', [sourceId, targetId, weight, bidirectional, relation],
+      [{ method: 'addConnection', args: [sourceId, targetId, safeWeight, bidirectional, relation] }],
+      inverse);
+    
+    this.emit('change', { type: 'connection-added', sourceId, targetId });
+  }
+
+  /**
+   * Change the weight or relation of an existing connection
+   * @param {string} sourceId Source concept ID
+   * @param {string} targetId Target concept ID
+   * @param {Object} updates Attributes to change (others are left as they are)
+   * @param {number} updates.weight New weight (-1.0 to 1.0)
+   * @param {string} updates.relation New relation type
+   * @param {string|null} updates.relationLabel New relation label
+   * @param {string|null} updates.provenance New provenance
+   * @param {boolean} bidirectional Whether to update the reverse connection too, if it exists
+   * @returns {Array<Object>} The updated connections ({ sourceId, targetId, oldWeight, weight, relation, relationLabel, provenance })
+   * @throws {NotFoundError} If the connection does not exist
+   */
+  updateConnection(sourceId, targetId, { weight, relation, relationLabel, provenance } = {}, bidirectional = true) {
+    const sourceNode = this.getConcept(sourceId);
+    const targetNode = this.getConcept(targetId);
+    if (!sourceNode.connections.has(targetId)) {
+      throw new NotFoundError(`Connection ${sourceId} -> ${targetId} not found`);
+    }
+    
+    const update = (node, fromId, toId) => {
+      const oldWeight = node.connections.get(toId);
+      const newWeight = weight !== undefined ? Math.max(-1, Math.min(1, weight)) : oldWeight;
+      const current = node.getRelation(toId);
+      const newRelation = {
+        type: relation !== undefined ? relation : current.type,
+        label: relationLabel !== undefined ? relationLabel : current.label,
+        provenance: provenance !== undefined ? provenance : current.provenance
+      };
+      node.addConnection(toId, newWeight);
+      node.setRelation(toId, newRelation);
+      return {
+        sourceId: fromId,
+        targetId: toId,
+        oldWeight,
+        weight: newWeight,
+        relation: newRelation.type,
+        relationLabel: newRelation.label,
+        provenance: newRelation.provenance
+      };
+    };
+    
+    const inverse = [connectionRestoreCall(sourceNode, targetId)];
+    const updated = [update(sourceNode, sourceId, targetId)];
+    if (bidirectional && targetNode.connections.has(sourceId)) {
+      inverse.unshift(connectionRestoreCall(targetNode, sourceId));
+      updated.push(update(targetNode, targetId, sourceId));
+    }
+    
+    this.structureVersion++;
+    const updates = { weight, relation, relationLabel, provenance };
+    this.mutationLog.record('updateConnection', [sourceId, targetId, updates, bidirectional],
+      [{ method: 'updateConnection', args: [sourceId, targetId, updates, bidirectional] }],
+      inverse);
+    
+    this.emit('change', { type: 'connection-updated', sourceId, targetId });
+    return updated;
+  }
+
+  /**
+   * Set the weights of existing connections, keeping their relations
+   * @param {Array<Array>} weights [sourceId, targetId, weight] triples
+   * @returns {number} Number of connections set
+   */
+  setWeights(weights) {
+    const inverse = [];
+    const applied = [];
+    for (const [sourceId, targetId, weight] of weights) {
+      const sourceNode = this.getConcept(sourceId);
+      if (!sourceNode.connections.has(targetId)) {
+        throw new NotFoundError(`Connection ${sourceId} -> ${targetId} not found`);
+      }
+      const safeWeight = Math.max(-1, Math.min(1, weight));
+      inverse.push([sourceId, targetId, sourceNode.connections.get(targetId)]);
+      applied.push([sourceId, targetId, safeWeight]);
+      sourceNode.connections.set(targetId, safeWeight);
+    }
+    
+    this.structureVersion++;
+    this.mutationLog.record('setWeights', [weights],
+      [{ method: 'setWeights', args: [applied] }],
+      [{ method: 'setWeights', args: [inverse.reverse()] }]);
+    
+    this.emit('change', { type: 'weights-set', count: applied.length });
+    return applied.length;
+  }
+
+  /**
+   * Get the compact (CSR) snapshot of the concepts and connections,
+   * rebuilding it if they changed since it was built
+   * @returns {CompactGraph} The snapshot
+   */
+  getCompactGraph() {
+    if (!this.compactGraph || this.compactGraph.version !== this.structureVersion) {
+      this.compactGraph = new CompactGraph(this, this.structureVersion);
+    }
+    return this.compactGraph;
+  }
+
+  /**
+   * Get the nearest-neighbour index of the embeddings, rebuilding it if
+   * concepts changed since it was built
+   * @returns {EmbeddingIndex} The index
+   */
+  getEmbeddingIndex() {
+    if (!this.embeddingIndex || this.embeddingIndex.version !== this.structureVersion) {
+      this.embeddingIndex = new EmbeddingIndex(this, this.structureVersion);
+    }
+    return this.embeddingIndex;
+  }
+
+  /**
+   * Get the number of dimensions of the network's embeddings
+   * @param {string|null} excludeId Concept whose embedding is ignored
+   * @returns {number|null} Dimensions, or null if no other concept has an embedding
+   */
+  getEmbeddingDimensions(excludeId = null) {
+    for (const node of this.nodes.values()) {
+      if (node.embedding && node.id !== excludeId) {
+        return node.embedding.length;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Set or remove the embeddings of several concepts, all or nothing
+   * @param {Object} embeddings Map of concept ID to embedding vector, or null to remove it
+   * @returns {Object} { updated, removed, dimensions, embeddedConcepts }
+   * @throws {NotFoundError} If a concept does not exist
+   * @throws {ValidationError} If an embedding is invalid or the dimensions differ
+   */
+  setEmbeddings(embeddings) {
+    const entries = Object.entries(embeddings);
+    for (const [id] of entries) {
+      this.getConcept(id);
+    }
+    
+    // Concepts that keep their embedding fix the dimensions; otherwise
+    // the first new embedding does, so a batch may switch models
+    let dimensions = null;
+    for (const node of this.nodes.values()) {
+      if (node.embedding && !Object.hasOwn(embeddings, node.id)) {
+        dimensions = node.embedding.length;
+        break;
+      }
+    }
+    const problems = [];
+    for (const [id, vector] of entries) {
+      if (vector === null) continue;
+      dimensions ??= Array.isArray(vector) ? vector.length : null;
+      for (const problem of validateEmbedding(vector, dimensions)) {
+        problems.push(`${id}: ${problem}`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new ValidationError(`Invalid embeddings: ${problems.join('; ')}`);
+    }
+    
+    // Removing first keeps the dimensions consistent after every change,
+    // which replaying the log relies on
+    this.mutationLog.group(this, 'setEmbeddings', [{ conceptIds: entries.map(([id]) => id) }], () => {
+      for (const [id] of entries) {
+        if (this.nodes.get(id).embedding) this.updateConcept(id, { embedding: null });
+      }
+      for (const [id, vector] of entries) {
+        if (vector !== null) this.updateConcept(id, { embedding: vector });
+      }
+    });
+    
+    return {
+      updated: entries.filter(([, vector]) => vector !== null).length,
+      removed: entries.filter(([, vector]) => vector === null).length,
+      dimensions: this.getEmbeddingIndex().dimensions,
+      embeddedConcepts: this.getEmbeddingIndex().size
+    };
+  }
+
+  /**
+   * Find the concepts whose embeddings are most similar to a vector
+   * @param {Array<number>} vector Query vector, with the dimensions of the network's embeddings
+   * @param {Object} options Search options
+   * @param {number} options.k Maximum number of results
+   * @param {number} options.minSimilarity Minimum cosine similarity (-1 to 1)
+   * @returns {Array<Object>} Concepts ({ id, label, category, similarity }), most similar first
+   */
+  findSimilarConcepts(vector, { k = 10, minSimilarity = -1 } = {}) {
+    return this.getEmbeddingIndex().search(vector, { k, minSimilarity }).map(({ id, similarity }) => {
+      const node = this.nodes.get(id);
+      return { id, label: node.label, category: node.category, similarity };
+    });
+  }
+
+  /**
+   * Propose connections between concepts with similar embeddings that are
+   * not connected yet, and optionally add them (see embedding-index.js)
+   * @param {Object} options Suggestion options ({ conceptIds, k, minSimilarity, limit, apply })
+   * @returns {Object} Suggestions, weighted by cosine similarity
+   */
+  suggestConnections(options = {}) {
+    return suggestConnections(this, options);
+  }
+
+  /**
+   * Seed activation from the similarity of the concepts to a query vector:
+   * the k most similar concepts are activated with their cosine similarity
+   * @param {Array<number>} vector Query vector, with the dimensions of the network's embeddings
+   * @param {Object} options Activation options
+   * @param {number} options.k Maximum number of concepts activated
+   * @param {number} options.minSimilarity Minimum cosine similarity of an activated concept (0 to 1)
+   * @returns {Object} { activated: [{ id, label, category, similarity }], embeddedConcepts }
+   * @throws {ValidationError} If no concept has an embedding, or the vector does not fit them
+   */
+  activateByVector(vector, { k = 10, minSimilarity = 0 } = {}) {
+    const index = this.getEmbeddingIndex();
+    if (index.size === 0) {
+      throw new ValidationError('No concept has an embedding');
+    }
+    
+    const activated = this.findSimilarConcepts(vector, { k, minSimilarity: Math.max(0, minSimilarity) })
+      .filter(match => match.similarity > 0);
+    this.setInitialActivation(Object.fromEntries(activated.map(match => [match.id, match.similarity])));
+    return { activated, embeddedConcepts: index.size };
+  }
+
+  /**
+   * Drop the compact graph, incoming index and embedding index. Code that changes the
+   * connections of ConceptNodes directly, rather than through the network,
+   * must call this afterwards.
+   */
+  invalidateGraphCaches() {
+    this.structureVersion++;
+    this.compactGraph = null;
+    this.incomingIndex = null;
+    this.embeddingIndex = null;
+  }
+
+  /**
+   * Get the index of incoming connections, building it if needed
+   * @returns {Map<string, Set<string>>} Map of concept ID to IDs of the concepts connecting to it
+   * @private
+   */
+  getIncomingIndex() {
+    if (!this.incomingIndex) {
+      this.incomingIndex = new Map();
+      for (const node of this.nodes.values()) {
+        for (const targetId of node.connections.keys()) {
+          this.indexConnection(node.id, targetId);
+        }
+      }
+    }
+    return this.incomingIndex;
+  }
+
+  /**
+   * Add a connection to the incoming index, if it has been built
+   * @param {string} sourceId Source concept ID
+   * @param {string} targetId Target concept ID
+   * @private
+   */
+  indexConnection(sourceId, targetId) {
+    if (!this.incomingIndex) {
+      return;
+    }
+    if (!this.incomingIndex.has(targetId)) {
+      this.incomingIndex.set(targetId, new Set());
+    }
+    this.incomingIndex.get(targetId).add(sourceId);
+  }
+
+  /**
+   * Get the connections of a concept that activation spreads along, with
+   * their weights scaled by the relationMultipliers parameter
+   * @param {ConceptNode} node The concept
+   * @param {Array<string>|null} relationTypes Relation types to include (defaults to the relationTypes parameter, null for all)
+   * @returns {Array<Array>} [targetId, effective weight] pairs
+   */
+  getEffectiveConnections(node, relationTypes = null) {
+    const types = relationTypes || this.params.relationTypes;
+    const allowed = types ? new Set(types) : null;
+    const multipliers = this.params.relationMultipliers || {};
+    
+    const result = [];
+    for (const [targetId, weight] of node.connections.entries()) {
+      if (!this.nodes.has(targetId)) continue;
+      const type = node.getRelation(targetId).type;
+      if (allowed && !allowed.has(type)) continue;
+      result.push([targetId, weight * (multipliers[type] ?? 1)]);
+    }
+    return result;
   }
 
   /**
@@ -186,16 +944,37 @@ export class ConceptNetwork {
   removeConnection(sourceId, targetId, bidirectional = true) {
     let success = false;
     
+    const inverse = [];
+    if (this.nodes.get(sourceId)?.connections.has(targetId)) {
+      inverse.push(connectionRestoreCall(this.nodes.get(sourceId), targetId));
+    }
+    if (bidirectional && this.nodes.get(targetId)?.connections.has(sourceId)) {
+      inverse.push(connectionRestoreCall(this.nodes.get(targetId), sourceId));
+    }
+    
+    // Nothing to remove: no log entry and the graph caches stay valid
+    if (inverse.length === 0) {
+      return false;
+    }
+    this.mutationLog.record('removeConnection', [sourceId, targetId, bidirectional],
+      [{ method: 'removeConnection', args: [sourceId, targetId, bidirectional] }], inverse);
+    
     // Get source node
     if (this.nodes.has(sourceId)) {
       success = this.nodes.get(sourceId).removeConnection(targetId);
+      this.incomingIndex?.get(targetId)?.delete(sourceId);
     }
     
     // Remove bidirectional connection if requested
     if (bidirectional && this.nodes.has(targetId)) {
       this.nodes.get(targetId).removeConnection(sourceId);
+      this.incomingIndex?.get(sourceId)?.delete(targetId);
     }
+    this.structureVersion++;
     
+    if (success) {
+      this.emit('change', { type: 'connection-removed', sourceId, targetId });
+    }
     return success;
   }
 
@@ -211,15 +990,74 @@ export class ConceptNetwork {
     };
   }
 
+  /**
+   * Check parameter values that refer to registered extensions
+   * @param {Object} params Parameter values
+   * @returns {Array<string>} Error messages (empty if the parameters are valid)
+   */
+  validateParameters(params = {}) {
+    const errors = [];
+    if (params.activationFunction !== undefined && !hasActivationFunction(params.activationFunction)) {
+      errors.push(`Unknown activation function ${params.activationFunction}`);
+    }
+    if (params.algorithm !== undefined && !hasSpreadingAlgorithm(params.algorithm)) {
+      errors.push(`Unknown spreading algorithm ${params.algorithm}`);
+    }
+    if (params.patternDetection !== undefined && !COMMUNITY_METHODS.includes(params.patternDetection)) {
+      errors.push(`Unknown pattern detection method ${params.patternDetection}`);
+    }
+    if (params.learningRule !== undefined && !LEARNING_RULES.includes(params.learningRule)) {
+      errors.push(`Unknown learning rule ${params.learningRule}`);
+    }
+    if (params.relationMultipliers !== undefined) {
+      const multipliers = params.relationMultipliers;
+      if (!multipliers || typeof multipliers !== 'object' || Array.isArray(multipliers) ||
+          Object.values(multipliers).some(value => !Number.isFinite(value))) {
+        errors.push('relationMultipliers must map relation types to numbers');
+      }
+    }
+    if (params.historyRetention !== undefined && !HISTORY_RETENTION_MODES.includes(params.historyRetention)) {
+      errors.push(`Unknown history retention ${params.historyRetention}`);
+    }
+    for (const key of ['historyLimit', 'historyInterval', 'mutationLogLimit']) {
+      if (params[key] !== undefined && !(Number.isInteger(params[key]) && params[key] > 0)) {
+        errors.push(`${key} must be a positive integer`);
+      }
+    }
+    if (params.parallelWorkers !== undefined &&
+        !(Number.isInteger(params.parallelWorkers) && params.parallelWorkers >= 0 && params.parallelWorkers <= MAX_PARALLEL_WORKERS)) {
+      errors.push(`parallelWorkers must be an integer from 0 to ${MAX_PARALLEL_WORKERS}`);
+    }
+    if (params.relationTypes !== undefined && params.relationTypes !== null &&
+        (!Array.isArray(params.relationTypes) || params.relationTypes.some(type => typeof type !== 'string'))) {
+      errors.push('relationTypes must be a list of relation types or null');
+    }
+    return errors;
+  }
+
   /**
    * Set parameters for the activation algorithm
    * @param {Object} params Parameter values
    */
   setParameters(params = {}) {
+    const errors = this.validateParameters(params);
+    if (errors.length > 0) {
+      throw new ValidationError(errors.join('; '));
+    }
+    
+    const previous = Object.fromEntries(Object.keys(params).map(key => [key, this.params[key]]));
+    this.mutationLog.record('setParameters', [params],
+      [{ method: 'setParameters', args: [params] }],
+      [{ method: 'setParameters', args: [previous] }]);
+    
     this.params = {
       ...this.params,
       ...params
     };
+    this.activationHistory.trim(this.params);
+    this.mutationLog.limit = this.params.mutationLogLimit;
+    this.mutationLog.compact();
+    this.emit('change', { type: 'parameters' });
   }
 
   /**
@@ -228,17 +1066,20 @@ export class ConceptNetwork {
    * @param {number} activationValue Activation value (0.0 to 1.0) if using array input
    */
   setInitialActivation(concepts, activationValue = 1.0) {
-    // Reset all activations
+    // Reset all activations to the resting level
     for (const node of this.nodes.values()) {
-      node.updateActivation(0.0);
+      node.updateActivation(this.params.restingLevel);
     }
     
+    this.seedActivations = new Map();
+    
     // Handle different input formats
     if (Array.isArray(concepts)) {
       // Array of concept IDs with uniform activation
       for (const id of concepts) {
         if (this.nodes.has(id)) {
           this.nodes.get(id).updateActivation(activationValue);
+          this.seedActivations.set(id, activationValue);
         }
       }
     } else if (typeof concepts === 'object') {
@@ -246,80 +1087,121 @@ export class ConceptNetwork {
       for (const [id, activation] of Object.entries(concepts)) {
         if (this.nodes.has(id)) {
           this.nodes.get(id).updateActivation(activation);
+          this.seedActivations.set(id, activation);
         }
       }
     }
     
-    // Reset history and record initial state
-    this.activationHistory = [];
+    // Reset history and algorithm state and record initial state
+    this.activationHistory.reset();
     this.iterationCount = 0;
+    this.algorithmState = null;
+    this.trackedPatterns = [];
     this.recordActivationState();
+    this.emit('change', { type: 'activation-set' });
   }
 
   /**
    * Record the current activation state
+   * @param {Object} step Settings of the spreading step that produced the state
+   *   ({ algorithm, decayRate, relationTypes }), or null for the initial state
    * @private
    */
-  recordActivationState() {
-    // Create a snapshot of current activation values
-    const snapshot = Array.from(this.nodes.entries()).map(([id, node]) => ({
-      id,
-      label: node.label,
-      activation: node.activation,
-      category: node.category
-    }));
+  recordActivationState(step = null) {
+    if (!this.activationHistory.accepts(this.iterationCount, this.params)) {
+      this.iterationCount++;
+      return;
+    }
     
-    this.activationHistory.push({
+    const entry = {
       iteration: this.iterationCount,
-      timestamp: new Date(),
-      activations: snapshot
-    });
+      timestamp: new Date()
+    };
+    if (step) {
+      entry.step = step;
+    }
+    
+    // Record the emergent patterns so their evolution can be followed
+    if (this.params.trackPatterns) {
+      entry.patterns = this.identifyEmergentPatterns(null, { iteration: this.iterationCount }).map(pattern => ({
+        patternId: pattern.patternId,
+        conceptIds: pattern.concepts.map(c => c.id),
+        averageActivation: pattern.averageActivation
+      }));
+    }
+    
+    // Only the activations that changed since the previous entry are stored
+    const activations = new Map();
+    for (const [id, node] of this.nodes) {
+      activations.set(id, node.activation);
+    }
+    this.activationHistory.record(entry, activations, this.params);
     
     this.iterationCount++;
   }
 
   /**
-   * Run a single iteration of parallel activation spreading
-   * @param {number} decayRate Rate at which activation decays (0.0 to 1.0)
-   * @returns {Object} Information about the iteration
+   * Prepare one iteration of activation spreading
+   * @param {number} decayRate Rate at which activation decays (null for the decayRate parameter)
+   * @param {string} algorithm Spreading algorithm (null for the algorithm parameter)
+   * @param {Array<string>} relationTypes Relation types to spread along (null for the relationTypes parameter)
+   * @returns {Object} { step: settings recorded with the iteration, config: step configuration }
+   * @private
    */
-  spreadActivation(decayRate = null) {
-    // Use parameter from config if not specified
-    const actualDecayRate = decayRate !== null ? decayRate : this.params.decayRate;
-    
-    // Calculate new activation values for all nodes simultaneously
-    const newActivations = new Map();
+  prepareStep(decayRate, algorithm, relationTypes) {
+    // Use parameters from config if not specified
+    const step = {
+      algorithm: algorithm || this.params.algorithm,
+      decayRate: decayRate !== null ? decayRate : this.params.decayRate,
+      relationTypes: relationTypes || this.params.relationTypes
+    };
     
-    for (const [nodeId, node] of this.nodes.entries()) {
-      let incomingActivation = 0;
-      
-      // Sum activation from connected nodes
-      for (const [connectedId, weight] of node.connections.entries()) {
-        if (this.nodes.has(connectedId)) {
-          const connectedNode = this.nodes.get(connectedId);
-          incomingActivation += connectedNode.activation * weight;
-        }
-      }
-      
-      // Apply decay to current activation
-      const decayedActivation = node.activation * (1 - actualDecayRate);
-      
-      // Calculate new activation (sigmoid function to keep in range [0,1])
-      const newActivation = this.sigmoid(decayedActivation + incomingActivation);
-      newActivations.set(nodeId, newActivation);
+    // Algorithm state only carries over between iterations of the same algorithm
+    if (!this.algorithmState || this.algorithmState.algorithm !== step.algorithm) {
+      this.algorithmState = { algorithm: step.algorithm };
     }
     
-    // Update all node activations
-    for (const [nodeId, newActivation] of newActivations.entries()) {
-      this.nodes.get(nodeId).updateActivation(newActivation);
+    return {
+      step,
+      config: {
+        decayRate: step.decayRate,
+        relationTypes: step.relationTypes,
+        params: this.params,
+        state: this.algorithmState,
+        graph: this.getCompactGraph()
+      }
+    };
+  }
+
+  /**
+   * Apply the activations computed by an iteration and record it
+   * @param {Object} step Settings of the iteration (from prepareStep)
+   * @param {CompactGraph} graph Compact graph the activations were computed on
+   * @param {Map<string, number>|Float64Array} newActivations New activation of every concept
+   * @returns {Object} Information about the iteration
+   * @private
+   */
+  finishStep(step, graph, newActivations) {
+    // Update all node activations, honouring per-concept caps
+    const capped = (node, activation) => node.activationCap !== null ? Math.min(activation, node.activationCap) : activation;
+    if (newActivations instanceof Map) {
+      for (const [nodeId, newActivation] of newActivations.entries()) {
+        const node = this.nodes.get(nodeId);
+        if (node) node.updateActivation(capped(node, newActivation));
+      }
+    } else {
+      for (let i = 0; i < graph.size; i++) {
+        graph.nodes[i].updateActivation(capped(graph.nodes[i], newActivations[i]));
+      }
     }
     
     // Calculate total activation change
     const totalDelta = Array.from(this.nodes.values())
       .reduce((sum, node) => sum + node.getActivationDelta(), 0);
     
-    // Record this activation state
-    this.recordActivationState();
+    // Record this activation state, with the settings needed to explain it
+    this.recordActivationState(step);
+    this.emit('change', { type: 'iteration', iteration: this.iterationCount - 1 });
     
     return {
       iteration: this.iterationCount - 1,
@@ -327,36 +1209,324 @@ export class ConceptNetwork {
     };
   }
 
+  /**
+   * Run a single iteration of parallel activation spreading
+   * @param {number} decayRate Rate at which activation decays (0.0 to 1.0)
+   * @param {string} algorithm Spreading algorithm (defaults to the algorithm parameter)
+   * @param {Array<string>} relationTypes Relation types to spread along (defaults to the relationTypes parameter)
+   * @returns {Object} Information about the iteration
+   */
+  spreadActivation(decayRate = null, algorithm = null, relationTypes = null) {
+    // Calculate new activation values for all nodes simultaneously
+    const { step, config } = this.prepareStep(decayRate, algorithm, relationTypes);
+    const newActivations = computeSpreadingStep(step.algorithm, this, config);
+    return this.finishStep(step, config.graph, newActivations);
+  }
+
+  /**
+   * Run one iteration without blocking the event loop: on worker threads
+   * when the parallelWorkers parameter is set, otherwise on the main thread
+   * after letting pending requests run. Results are the same as with
+   * spreadActivation.
+   * @param {number} decayRate Rate at which activation decays
+   * @param {string} algorithm Spreading algorithm
+   * @param {Array<string>} relationTypes Relation types to spread along
+   * @returns {Promise<Object>} Information about the iteration
+   * @throws {ConflictError} If the activation was reset while the iteration ran
+   * @private
+   */
+  async spreadActivationStep(decayRate, algorithm, relationTypes) {
+    const { step, config } = this.prepareStep(decayRate, algorithm, relationTypes);
+    
+    let newActivations;
+    if (this.params.parallelWorkers > 0) {
+      const pool = getWorkerPool(this.params.parallelWorkers);
+      newActivations = await computeSpreadingStepAsync(step.algorithm, this, config,
+        request => pool.propagate(config.graph, request));
+    } else {
+      await new Promise(resolve => setImmediate(resolve));
+      newActivations = computeSpreadingStep(step.algorithm, this, config);
+    }
+    
+    // Other requests may have run meanwhile; a new initial activation voids this iteration
+    if (this.algorithmState !== config.state) {
+      throw new ConflictError('Activation was reset while the iteration was running');
+    }
+    return this.finishStep(step, config.graph, newActivations);
+  }
+
+  /**
+   * Run an asynchronous activation run, one at a time per network
+   * @param {Function} run Function returning a promise of the run's result
+   * @returns {Promise<*>} The run's result
+   * @throws {ConflictError} If another run is in progress
+   * @private
+   */
+  async exclusiveRun(run) {
+    if (this.running) {
+      throw new ConflictError('An activation run is already in progress');
+    }
+    this.running = true;
+    try {
+      return await run();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Asynchronous spreadActivation that does not block the event loop
+   * (see the parallelWorkers parameter)
+   * @param {number} decayRate Rate at which activation decays (0.0 to 1.0)
+   * @param {string} algorithm Spreading algorithm (defaults to the algorithm parameter)
+   * @param {Array<string>} relationTypes Relation types to spread along (defaults to the relationTypes parameter)
+   * @returns {Promise<Object>} Information about the iteration
+   */
+  async spreadActivationAsync(decayRate = null, algorithm = null, relationTypes = null) {
+    return this.exclusiveRun(() => this.spreadActivationStep(decayRate, algorithm, relationTypes));
+  }
+
+  /**
+   * Sum the activation of all concepts in each category
+   * @returns {Map<string, number>} Map of category to total activation
+   * @private
+   */
+  getCategoryActivationTotals() {
+    const totals = new Map();
+    for (const node of this.nodes.values()) {
+      if (node.category !== null) {
+        totals.set(node.category, (totals.get(node.category) || 0) + node.activation);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Merge run options with the network parameters
+   * @param {Object} options Run options
+   * @returns {Object} Run configuration
+   * @private
+   */
+  convergenceConfig(options) {
+    return {
+      maxIterations: options.maxIterations || this.params.maxIterations,
+      convergenceThreshold: options.convergenceThreshold || this.params.convergenceThreshold,
+      decayRate: options.decayRate || this.params.decayRate,
+      algorithm: options.algorithm || this.params.algorithm,
+      relationTypes: options.relationTypes || this.params.relationTypes
+    };
+  }
+
+  /**
+   * Report a finished run, learning from it if autoLearn is set
+   * @param {Object} config Run configuration
+   * @param {number} iterations Number of iterations run
+   * @param {number} totalDelta Activation change of the last iteration
+   * @returns {Object} Result information
+   * @private
+   */
+  finishRun(config, iterations, totalDelta) {
+    const result = {
+      converged: totalDelta <= config.convergenceThreshold,
+      iterations,
+      finalDelta: totalDelta,
+      algorithm: config.algorithm,
+      relationTypes: config.relationTypes
+    };
+    
+    // Let the network adapt to the pattern it settled into
+    if (this.params.autoLearn) {
+      result.learning = this.learnFromActivation();
+    }
+    
+    this.emit('change', { type: 'run-finished', ...result });
+    return result;
+  }
+
   /**
    * Run multiple iterations until convergence or max iterations
    * @param {Object} options Configuration options
    * @returns {Object} Result information
    */
   runUntilConvergence(options = {}) {
-    // Merge options with default parameters
-    const config = {
-      maxIterations: options.maxIterations || this.params.maxIterations,
-      convergenceThreshold: options.convergenceThreshold || this.params.convergenceThreshold,
-      decayRate: options.decayRate || this.params.decayRate
-    };
+    const config = this.convergenceConfig(options);
     
     let iteration = 0;
     let totalDelta = Infinity;
     
     // Run iterations until convergence or max iterations
     while (iteration < config.maxIterations && totalDelta > config.convergenceThreshold) {
-      const result = this.spreadActivation(config.decayRate);
+      const result = this.spreadActivation(config.decayRate, config.algorithm, config.relationTypes);
       totalDelta = result.totalDelta;
       iteration++;
     }
     
+    return this.finishRun(config, iteration, totalDelta);
+  }
+
+  /**
+   * Asynchronous runUntilConvergence that does not block the event loop
+   * (see the parallelWorkers parameter)
+   * @param {Object} options Configuration options
+   * @returns {Promise<Object>} Result information
+   */
+  async runUntilConvergenceAsync(options = {}) {
+    return this.exclusiveRun(async () => {
+      const config = this.convergenceConfig(options);
+      
+      let iteration = 0;
+      let totalDelta = Infinity;
+      while (iteration < config.maxIterations && totalDelta > config.convergenceThreshold) {
+        const result = await this.spreadActivationStep(config.decayRate, config.algorithm, config.relationTypes);
+        totalDelta = result.totalDelta;
+        iteration++;
+      }
+      
+      return this.finishRun(config, iteration, totalDelta);
+    });
+  }
+
+  /**
+   * Strengthen connections between co-activated concepts (Hebbian learning)
+   * @param {Object} options Learning options, defaulting to the learning parameters
+   * @returns {Object} Learning statistics
+   */
+  learnFromActivation(options = {}) {
+    const config = {};
+    for (const key of Object.keys(DEFAULT_LEARNING_OPTIONS)) {
+      config[key] = options[key] !== undefined ? options[key] : this.params[key];
+    }
+    
+    // Weights may not leave the range accepted by addConnection
+    config.maxWeight = Math.min(1, config.maxWeight);
+    
+    // Learning changes weights in place, so its changes are logged by
+    // comparing the weights before and after. Changed weights are logged as
+    // one setWeights call of [sourceId, targetId, weight] triples, created
+    // connections (with their relations) as addConnection calls.
+    const before = new Map();
+    for (const node of this.nodes.values()) {
+      before.set(node.id, new Map(node.connections));
+    }
+    
+    const result = applyHebbianLearning(this, config);
+    this.invalidateGraphCaches();
+    
+    const newWeights = [];
+    const oldWeights = [];
+    const created = [];
+    const removals = [];
+    for (const node of this.nodes.values()) {
+      const previous = before.get(node.id) || new Map();
+      for (const [targetId, weight] of node.connections.entries()) {
+        if (!previous.has(targetId)) {
+          created.push(connectionRestoreCall(node, targetId));
+          removals.push({ method: 'removeConnection', args: [node.id, targetId, false] });
+        } else if (previous.get(targetId) !== weight) {
+          newWeights.push([node.id, targetId, weight]);
+          oldWeights.push([node.id, targetId, previous.get(targetId)]);
+        }
+      }
+    }
+    const changes = [...created];
+    const inverse = [...removals];
+    if (newWeights.length > 0) {
+      changes.push({ method: 'setWeights', args: [newWeights] });
+      inverse.unshift({ method: 'setWeights', args: [oldWeights] });
+    }
+    this.mutationLog.record('learnFromActivation', [options], changes, inverse);
+    
+    this.emit('change', { type: 'learning' });
+    return result;
+  }
+
+  /**
+   * Get recorded activation states with the activation of every concept
+   * @param {Object} options Range options
+   * @param {number} options.start Index of the first entry
+   * @param {number|null} options.startIteration First iteration to include, instead of start
+   * @param {number} options.limit Maximum number of entries
+   * @returns {Array<Object>} Entries ({ iteration, timestamp, activations, step?, patterns? })
+   */
+  getActivationHistory({ start = 0, startIteration = null, limit = Infinity } = {}) {
+    const first = startIteration !== null ? this.activationHistory.indexFrom(startIteration) : start;
+    return this.activationHistory.materialize(first, first + limit, id => this.describeHistoryConcept(id));
+  }
+
+  /**
+   * Get the activation state recorded at an iteration
+   * @param {number} iteration Iteration number
+   * @returns {Object|null} The entry, or null if the iteration was not recorded
+   */
+  getHistoryEntry(iteration) {
+    const index = this.activationHistory.indexOf(iteration);
+    return index === -1 ? null : this.getActivationHistory({ start: index, limit: 1 })[0];
+  }
+
+  /**
+   * Get the activation time series of concepts across the recorded iterations
+   * @param {Array<string>} conceptIds Concept IDs
+   * @param {Object} options Range options ({ startIteration, endIteration })
+   * @returns {Object} { iterations, trajectories: [{ id, label, category, activations }] }
+   */
+  getConceptTrajectories(conceptIds, options = {}) {
+    const { iterations, series } = this.activationHistory.trajectories(conceptIds, options);
     return {
-      converged: totalDelta <= config.convergenceThreshold,
-      iterations: iteration,
-      finalDelta: totalDelta
+      iterations,
+      trajectories: conceptIds.map(id => ({ id, ...this.describeHistoryConcept(id), activations: series[id] }))
     };
   }
 
+  /**
+   * Describe a concept in history entries
+   * @param {string} id Concept ID
+   * @returns {Object} { label, category }, null for concepts removed since
+   * @private
+   */
+  describeHistoryConcept(id) {
+    const node = this.nodes.get(id);
+    return { label: node ? node.label : null, category: node ? node.category : null };
+  }
+
+  /**
+   * Undo the most recent mutations that have not been undone
+   * @param {number} steps Maximum number of mutations to undo
+   * @returns {Array<Object>} The mutation log entries recording the undos
+   * @throws {ValidationError} If there is nothing to undo
+   */
+  undo(steps = 1) {
+    const entries = [this.mutationLog.undo(this)];
+    while (entries.length < steps && this.mutationLog.getStatus().canUndo) {
+      entries.push(this.mutationLog.undo(this));
+    }
+    return entries;
+  }
+
+  /**
+   * Redo the most recently undone mutations
+   * @param {number} steps Maximum number of mutations to redo
+   * @returns {Array<Object>} The mutation log entries recording the redos
+   * @throws {ValidationError} If there is nothing to redo
+   */
+  redo(steps = 1) {
+    const entries = [this.mutationLog.redo(this)];
+    while (entries.length < steps && this.mutationLog.getStatus().canRedo) {
+      entries.push(this.mutationLog.redo(this));
+    }
+    return entries;
+  }
+
+  /**
+   * Explain the activation of a concept: its contributors per iteration and
+   * the paths from the seed concepts that drove it
+   * @param {string} conceptId Concept ID
+   * @param {Object} options Explanation options (see activation-explanation.js)
+   * @returns {Object} Explanation
+   */
+  explainActivation(conceptId, options = {}) {
+    return explainActivation(this, conceptId, options);
+  }
+
   /**
    * Get the most activated concepts
    * @param {number} limit Maximum number of concepts to return
@@ -380,76 +1550,192 @@ export class ConceptNetwork {
   }
 
   /**
-   * Identify emergent patterns - clusters of highly activated related concepts
+   * Identify emergent patterns - clusters of highly activated related concepts.
+   * Active concepts are clustered by the weights of the excitatory connections
+   * between them, and patterns keep their ID across iterations as long as
+   * their membership stays mostly the same.
    * @param {number} threshold Activation threshold for including concepts
+   * @param {Object} options Detection options
+   * @param {string} options.method Community detection method (defaults to the patternDetection parameter)
+   * @param {boolean} options.track Whether to match patterns against previously identified ones
+   * @param {number} options.iteration Iteration the patterns belong to (defaults to the latest)
    * @returns {Array<Object>} Emergent patterns
    */
-  identifyEmergentPatterns(threshold = null) {
+  identifyEmergentPatterns(threshold = null, { method = null, track = true, iteration = null } = {}) {
     // Use parameter from config if not specified
     const actualThreshold = threshold !== null ? threshold : this.params.activationThreshold;
     
     // Get active nodes
-    const activeNodes = Array.from(this.nodes.values())
-      .filter(node => node.activation >= actualThreshold);
-    
-    // Simple clustering based on connections between active nodes
-    const patterns = [];
-    const visited = new Set();
+    const graph = this.getCompactGraph();
+    const active = new Uint8Array(graph.size);
+    const activeIds = [];
+    for (let i = 0; i < graph.size; i++) {
+      if (graph.nodes[i].activation >= actualThreshold) {
+        active[i] = 1;
+        activeIds.push(graph.ids[i]);
+      }
+    }
     
-    for (const node of activeNodes) {
-      if (visited.has(node.id)) continue;
-      
-      const pattern = [];
-      const queue = [node.id];
-      
-      // Breadth-first search to find connected components
-      while (queue.length > 0) {
-        const currentId = queue.shift();
-        if (visited.has(currentId)) continue;
-        
-        visited.add(currentId);
-        const currentNode = this.nodes.get(currentId);
-        
-        if (currentNode.activation >= actualThreshold) {
-          pattern.push({
-            id: currentId,
-            label: currentNode.label,
-            activation: currentNode.activation,
-            category: currentNode.category
-          });
-          
-          // Add connected active nodes to queue
-          for (const [connectedId, weight] of currentNode.connections.entries()) {
-            if (!visited.has(connectedId) && this.nodes.has(connectedId)) {
-              const connectedNode = this.nodes.get(connectedId);
-              if (connectedNode.activation >= actualThreshold) {
-                queue.push(connectedId);
-              }
-            }
-          }
+    // Undirected subgraph of excitatory links between active nodes; a pair
+    // connected in both directions counts with its stronger weight
+    const adjacency = new Map(activeIds.map(id => [id, new Map()]));
+    for (let i = 0; i < graph.size; i++) {
+      if (!active[i]) continue;
+      const id = graph.ids[i];
+      for (let e = graph.outOffsets[i]; e < graph.outOffsets[i + 1]; e++) {
+        const target = graph.outTargets[e];
+        const weight = graph.outWeights[e];
+        if (weight > 0 && target !== i && active[target]) {
+          const connectedId = graph.ids[target];
+          const combined = Math.max(weight, adjacency.get(id).get(connectedId) || 0);
+          adjacency.get(id).set(connectedId, combined);
+          adjacency.get(connectedId).set(id, combined);
         }
       }
-      
-      if (pattern.length > 0) {
-        patterns.push({
-          patternId: uuidv4(),
-          concepts: pattern,
-          averageActivation: pattern.reduce((sum, n) => sum + n.activation, 0) / pattern.length
-        });
+    }
+    
+    const communities = detectCommunities(activeIds, adjacency, {
+      method: method || this.params.patternDetection,
+      resolution: this.params.patternResolution
+    });
+    
+    const patterns = communities.map(members => this.describePattern(members, adjacency));
+    if (track) {
+      this.assignPatternIds(patterns, iteration !== null ? iteration : Math.max(0, this.iterationCount - 1));
+    } else {
+      for (const pattern of patterns) {
+        pattern.patternId = uuidv4();
       }
     }
     
     // Sort patterns by average activation
     return patterns.sort((a, b) => b.averageActivation - a.averageActivation);
   }
+
+  /**
+   * Describe a pattern: its concepts, cohesion, central concepts and the
+   * relation types of the connections between its concepts
+   * @param {Array<string>} members Concept IDs in the pattern
+   * @param {Map<string, Map<string, number>>} adjacency Active subgraph
+   * @returns {Object} Pattern without an ID
+   * @private
+   */
+  describePattern(members, adjacency) {
+    const memberSet = new Set(members);
+    let internalWeight = 0;
+    let externalWeight = 0;
+    
+    const concepts = members.map(id => {
+      const node = this.nodes.get(id);
+      let strength = 0;
+      for (const [neighbour, weight] of adjacency.get(id).entries()) {
+        if (memberSet.has(neighbour)) {
+          strength += weight;
+        } else {
+          externalWeight += weight;
+        }
+      }
+      internalWeight += strength;
+      
+      return {
+        id,
+        label: node.label,
+        activation: node.activation,
+        category: node.category,
+        centrality: strength * node.activation
+      };
+    });
+    
+    // Every internal link was counted from both ends
+    internalWeight /= 2;
+    const possiblePairs = members.length * (members.length - 1) / 2;
+    
+    const central = concepts.slice()
+      .sort((a, b) => b.centrality - a.centrality || b.activation - a.activation);
+    
+    // Number of connections of each relation type within the pattern
+    const relationTypes = {};
+    for (const id of members) {
+      const node = this.nodes.get(id);
+      for (const targetId of node.connections.keys()) {
+        if (targetId !== id && memberSet.has(targetId)) {
+          const type = node.getRelation(targetId).type;
+          relationTypes[type] = (relationTypes[type] || 0) + 1;
+        }
+      }
+    }
+    
+    return {
+      concepts,
+      averageActivation: concepts.reduce((sum, n) => sum + n.activation, 0) / concepts.length,
+      cohesion: possiblePairs > 0 ? internalWeight / possiblePairs : 0,
+      conductance: internalWeight * 2 + externalWeight > 0
+        ? externalWeight / (internalWeight * 2 + externalWeight)
+        : 0,
+      representativeConcept: { id: central[0].id, label: central[0].label },
+      centralConcepts: central.slice(0, 3).map(({ id, label, centrality }) => ({ id, label, centrality })),
+      relationTypes
+    };
+  }
+
+  /**
+   * Give each pattern the ID of the previously identified pattern it
+   * overlaps most (Jaccard similarity of at least 0.5), or a new ID
+   * @param {Array<Object>} patterns Patterns without IDs
+   * @param {number} iteration Iteration the patterns belong to
+   * @private
+   */
+  assignPatternIds(patterns, iteration) {
+    const candidates = [];
+    patterns.forEach((pattern, index) => {
+      const members = new Set(pattern.concepts.map(c => c.id));
+      for (const tracked of this.trackedPatterns) {
+        let shared = 0;
+        for (const id of members) {
+          if (tracked.members.has(id)) shared++;
+        }
+        const similarity = shared / (members.size + tracked.members.size - shared);
+        if (similarity >= 0.5) {
+          candidates.push({ index, tracked, similarity });
+        }
+      }
+    });
+    
+    // Greedily match the most similar pairs first
+    candidates.sort((a, b) => b.similarity - a.similarity);
+    const matchedPatterns = new Set();
+    const matchedIds = new Set();
+    for (const { index, tracked } of candidates) {
+      if (matchedPatterns.has(index) || matchedIds.has(tracked.patternId)) continue;
+      patterns[index].patternId = tracked.patternId;
+      patterns[index].firstSeenIteration = tracked.firstSeenIteration;
+      matchedPatterns.add(index);
+      matchedIds.add(tracked.patternId);
+    }
+    
+    for (const pattern of patterns) {
+      if (!pattern.patternId) {
+        pattern.patternId = uuidv4();
+        pattern.firstSeenIteration = iteration;
+      }
+    }
+    
+    this.trackedPatterns = patterns.map(pattern => ({
+      patternId: pattern.patternId,
+      firstSeenIteration: pattern.firstSeenIteration,
+      members: new Set(pattern.concepts.map(c => c.id))
+    }));
+  }
   
   /**
    * Generate a summary of the activation process
+   * @param {Object} options Summary options
+   * @param {boolean} options.track Whether to update the stable pattern IDs (see identifyEmergentPatterns)
    * @returns {Object} Summary information
    */
-  generateSummary() {
+  generateSummary({ track = true } = {}) {
     const topConcepts = this.getTopActivatedConcepts(5);
-    const patterns = this.identifyEmergentPatterns();
+    const patterns = this.identifyEmergentPatterns(null, { track });
     
     return {
       iterationCount: this.iterationCount,
@@ -460,12 +1746,100 @@ export class ConceptNetwork {
   }
   
   /**
-   * Sigmoid activation function
-   * @param {number} x Input value
-   * @returns {number} Output in range [0,1]
-   * @private
+   * Serialize the complete network state
+   * @param {Object} options Serialization options
+   * @param {boolean} options.includeHistory Whether to include the activation history
+   * @returns {Object} Serialized network state
+   */
+  serialize({ includeHistory = false } = {}) {
+    return {
+      params: { ...this.params },
+      iterationCount: this.iterationCount,
+      seedActivations: Object.fromEntries(this.seedActivations),
+      nodes: Array.from(this.nodes.values()).map(node => node.serialize()),
+      activationHistory: includeHistory ? this.activationHistory.serialize() : null,
+      mutationLog: this.mutationLog.toJSON()
+    };
+  }
+
+  /**
+   * Create an independent deep copy of the network, including its
+   * parameters, activations and pattern tracking
+   * @param {Object} options Copy options
+   * @param {boolean} options.includeHistory Whether to copy the activation history
+   * @returns {ConceptNetwork} The copy
+   */
+  clone({ includeHistory = false } = {}) {
+    const copy = ConceptNetwork.deserialize(structuredClone(this.serialize({ includeHistory })));
+    copy.algorithmState = structuredClone(this.algorithmState);
+    copy.trackedPatterns = structuredClone(this.trackedPatterns);
+    return copy;
+  }
+
+  /**
+   * Restore a network from its serialized state
+   * @param {Object} data Serialized network state
+   * @returns {ConceptNetwork} The restored network
+   */
+  static deserialize(data) {
+    const network = new ConceptNetwork();
+    network.setParameters(data.params);
+    network.iterationCount = data.iterationCount || 0;
+    network.seedActivations = new Map(Object.entries(data.seedActivations || {}));
+    
+    for (const nodeData of data.nodes || []) {
+      const node = ConceptNode.deserialize(nodeData);
+      network.nodes.set(node.id, node);
+      network.index.add(node);
+    }
+    
+    network.activationHistory = ActivationHistory.deserialize(data.activationHistory);
+    
+    // Networks saved before they had a log start one from their saved state
+    if (data.mutationLog) {
+      network.useMutationLog(MutationLog.fromJSON(data.mutationLog));
+    } else {
+      network.useMutationLog(new MutationLog(structuredClone({ ...data, activationHistory: null })));
+    }
+    
+    return network;
+  }
+
+  /**
+   * Rebuild a network by replaying a mutation log from its base state
+   * @param {Object} logData Serialized mutation log ({ base, entries })
+   * @param {Object} options Replay options
+   * @param {number|null} options.upToSeq Only replay entries up to this sequence number
+   * @returns {ConceptNetwork} The rebuilt network, whose log holds the replayed entries
+   * @throws {ValidationError} If an entry cannot be applied, or upToSeq is before the compacted entries
    */
-  sigmoid(x) {
-    return 1 / (1 + Math.exp(-x));
+  static fromMutationLog(logData, { upToSeq = null } = {}) {
+    const firstSeq = logData.entries?.[0]?.seq;
+    if (upToSeq !== null && firstSeq !== undefined && upToSeq < firstSeq - 1) {
+      throw new ValidationError(`Entries before ${firstSeq} have been compacted and cannot be replayed`);
+    }
+    const log = MutationLog.fromJSON(structuredClone(logData), upToSeq);
+    const network = log.base ? ConceptNetwork.deserialize(structuredClone(log.base)) : new ConceptNetwork();
+    
+    for (const entry of log.entries) {
+      network.mutationLog.apply(network, entry.changes);
+    }
+    
+    network.useMutationLog(log);
+    return network;
   }
 }
+
+/**
+ * Apply network calls to a serialized network, to fold compacted entries
+ * into the base state of a mutation log
+ * @param {Object|null} base Serialized network (null for an empty network)
+ * @param {Array<Object>} calls Network calls ({ method, args })
+ * @returns {Object} The serialized network after the calls, without activation history and log
+ * @private
+ */
+function rebaseSerializedNetwork(base, calls) {
+  const network = base ? ConceptNetwork.deserialize(structuredClone(base)) : new ConceptNetwork();
+  network.mutationLog.apply(network, calls);
+  return { ...network.serialize(), activationHistory: null, mutationLog: null };
+}
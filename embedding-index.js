@@ -0,0 +1,281 @@
+/**
+ * Embedding Index
+ *
+ * Concepts may carry an embedding: a vector supplied by the client, from
+ * any embedding model. All embeddings of a network have the same number of
+ * dimensions. The index keeps the normalized embeddings in one
+ * Float32Array, so the cosine similarity of two concepts is a dot product,
+ * and finds nearest neighbours with an exact scan that keeps the best k.
+ * ConceptNetwork rebuilds it when concepts change (see getEmbeddingIndex).
+ *
+ * Similarity is used to:
+ * - propose 'similar-to' connections between nearest neighbours that are
+ *   not connected yet, weighted by their cosine similarity
+ * - seed activation from the concepts most similar to a query vector
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Largest number of dimensions accepted
+ */
+export const MAX_EMBEDDING_DIMENSIONS = 4096;
+
+/**
+ * Most vector multiply-adds one suggestConnections call may take (about a
+ * second); larger networks need a selection of concepts
+ */
+export const MAX_SUGGESTION_WORK = 2e9;
+
+/**
+ * Relation type of the connections created from similarity
+ */
+export const SIMILARITY_RELATION = 'similar-to';
+
+/**
+ * Check an embedding
+ * @param {*} vector The embedding
+ * @param {number|null} dimensions Required number of dimensions (null for any)
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateEmbedding(vector, dimensions = null) {
+  if (!Array.isArray(vector) || vector.length === 0) {
+    return ['Embedding must be a non-empty array of numbers'];
+  }
+  if (vector.length > MAX_EMBEDDING_DIMENSIONS) {
+    return [`Embedding has more than ${MAX_EMBEDDING_DIMENSIONS} dimensions`];
+  }
+  if (!vector.every(Number.isFinite)) {
+    return ['Embedding values must be finite numbers'];
+  }
+  if (dimensions !== null && vector.length !== dimensions) {
+    return [`Embedding has ${vector.length} dimensions, the network's embeddings have ${dimensions}`];
+  }
+  if (vector.every(value => value === 0)) {
+    return ['Embedding must not be all zeros'];
+  }
+  return [];
+}
+
+/**
+ * Throw if an embedding is invalid
+ * @param {*} vector The embedding
+ * @param {number|null} dimensions Required number of dimensions (null for any)
+ * @throws {ValidationError} If the embedding is invalid
+ */
+export function checkEmbedding(vector, dimensions = null) {
+  const [problem] = validateEmbedding(vector, dimensions);
+  if (problem) {
+    throw new ValidationError(problem);
+  }
+}
+
+/**
+ * Throw unless a number of neighbours is a positive integer
+ * @param {number} k Number of neighbours
+ * @throws {ValidationError} If k is not a positive integer
+ * @private
+ */
+function checkNeighbourCount(k) {
+  if (!Number.isInteger(k) || k < 1) {
+    throw new ValidationError(`k must be a positive integer, got ${k}`);
+  }
+}
+
+/**
+ * Write a vector, normalized to unit length, into an array
+ * @param {Array<number>} vector The vector
+ * @param {Float32Array} target Array to write to
+ * @param {number} offset Index of the first value
+ * @returns {Float32Array} The target
+ * @private
+ */
+function writeNormalized(vector, target, offset = 0) {
+  let squares = 0;
+  for (let d = 0; d < vector.length; d++) {
+    squares += vector[d] * vector[d];
+  }
+  const norm = Math.sqrt(squares);
+  for (let d = 0; d < vector.length; d++) {
+    target[offset + d] = vector[d] / norm;
+  }
+  return target;
+}
+
+export class EmbeddingIndex {
+  /**
+   * Index the embeddings of a network
+   * @param {ConceptNetwork} network The network
+   * @param {number} version Structure version the index was built from
+   */
+  constructor(network, version) {
+    this.version = version;
+    this.ids = [];
+    this.positions = new Map(); // Concept ID to row
+    this.dimensions = null;
+
+    const embedded = Array.from(network.nodes.values()).filter(node => node.embedding);
+    this.dimensions = embedded.length > 0 ? embedded[0].embedding.length : null;
+    this.vectors = new Float32Array(embedded.length * (this.dimensions || 0));
+    embedded.forEach((node, row) => {
+      this.ids.push(node.id);
+      this.positions.set(node.id, row);
+      writeNormalized(node.embedding, this.vectors, row * this.dimensions);
+    });
+  }
+
+  /**
+   * Number of indexed concepts
+   * @returns {number} Concepts with an embedding
+   */
+  get size() {
+    return this.ids.length;
+  }
+
+  /**
+   * Check whether a concept has an embedding
+   * @param {string} conceptId Concept ID
+   * @returns {boolean} True if indexed
+   */
+  has(conceptId) {
+    return this.positions.has(conceptId);
+  }
+
+  /**
+   * Find the concepts most similar to a vector
+   * @param {Array<number>} vector Query vector
+   * @param {Object} options Search options
+   * @param {number} options.k Maximum number of results
+   * @param {number} options.minSimilarity Minimum cosine similarity (-1 to 1)
+   * @param {Set<string>|null} options.exclude Concept IDs to leave out
+   * @returns {Array<Object>} Matches ({ id, similarity }), most similar first
+   * @throws {ValidationError} If k is not a positive integer or the vector does not fit the index
+   */
+  search(vector, { k = 10, minSimilarity = -1, exclude = null } = {}) {
+    checkNeighbourCount(k);
+    if (this.size === 0) {
+      return [];
+    }
+    checkEmbedding(vector, this.dimensions);
+    return this.scan(writeNormalized(vector, new Float32Array(vector.length)), k, minSimilarity, exclude);
+  }
+
+  /**
+   * Find the nearest neighbours of an indexed concept
+   * @param {string} conceptId Concept ID
+   * @param {Object} options Search options ({ k, minSimilarity })
+   * @returns {Array<Object>} Neighbours ({ id, similarity }), most similar first
+   * @throws {ValidationError} If k is not a positive integer
+   */
+  neighbours(conceptId, { k = 10, minSimilarity = -1 } = {}) {
+    checkNeighbourCount(k);
+    const row = this.positions.get(conceptId);
+    if (row === undefined) {
+      return [];
+    }
+    const query = this.vectors.subarray(row * this.dimensions, (row + 1) * this.dimensions);
+    return this.scan(query, k, minSimilarity, new Set([conceptId]));
+  }
+
+  /**
+   * Scan every row, keeping the k most similar in order
+   * @param {Float32Array} query Normalized query vector
+   * @param {number} k Maximum number of results
+   * @param {number} minSimilarity Minimum cosine similarity
+   * @param {Set<string>|null} exclude Concept IDs to leave out
+   * @returns {Array<Object>} Matches ({ id, similarity }), most similar first
+   * @private
+   */
+  scan(query, k, minSimilarity, exclude) {
+    const best = [];
+    const { dimensions, vectors } = this;
+    for (let row = 0; row < this.ids.length; row++) {
+      let similarity = 0;
+      const offset = row * dimensions;
+      for (let d = 0; d < dimensions; d++) {
+        similarity += query[d] * vectors[offset + d];
+      }
+      if (similarity < minSimilarity) continue;
+      if (best.length === k && similarity <= best[k - 1].similarity) continue;
+      if (exclude?.has(this.ids[row])) continue;
+
+      let position = best.length;
+      while (position > 0 && best[position - 1].similarity < similarity) {
+        position--;
+      }
+      best.splice(position, 0, { id: this.ids[row], similarity: Math.min(1, Math.max(-1, similarity)) });
+      if (best.length > k) best.pop();
+    }
+    return best;
+  }
+}
+
+/**
+ * Propose connections between concepts and their nearest neighbours that
+ * are not connected yet in either direction, and optionally add them
+ * @param {ConceptNetwork} network The network
+ * @param {Object} options Suggestion options
+ * @param {Array<string>|null} options.conceptIds Concepts to find neighbours for (null for every concept with an embedding)
+ * @param {number} options.k Neighbours considered per concept
+ * @param {number} options.minSimilarity Minimum cosine similarity of a suggestion
+ * @param {number} options.limit Maximum number of suggestions
+ * @param {boolean} options.apply Whether to add the suggested connections
+ * @returns {Object} { suggestions: [{ sourceId, sourceLabel, targetId, targetLabel, similarity, weight }], applied, connectionsAdded }
+ * @throws {NotFoundError} If a concept does not exist
+ * @throws {ValidationError} If k is not a positive integer, a concept has no embedding, or comparing the concepts is too much work
+ */
+export function suggestConnections(network, { conceptIds = null, k = 5, minSimilarity = 0.5, limit = 100, apply = false } = {}) {
+  checkNeighbourCount(k);
+  const index = network.getEmbeddingIndex();
+  const sourceIds = conceptIds ?? index.ids;
+  for (const id of sourceIds) {
+    network.getConcept(id);
+    if (!index.has(id)) {
+      throw new ValidationError(`Concept ${id} has no embedding`);
+    }
+  }
+  if (sourceIds.length * index.size * index.dimensions > MAX_SUGGESTION_WORK) {
+    throw new ValidationError(
+      `Comparing ${sourceIds.length} concepts with ${index.size} embeddings is too much work for one call; pass fewer conceptIds`
+    );
+  }
+
+  // Each pair is suggested once, even if both concepts are neighbours of each other
+  const pairs = new Map();
+  for (const sourceId of sourceIds) {
+    const source = network.nodes.get(sourceId);
+    for (const { id: targetId, similarity } of index.neighbours(sourceId, { k, minSimilarity })) {
+      if (source.connections.has(targetId) || network.nodes.get(targetId).connections.has(sourceId)) continue;
+      const key = [sourceId, targetId].sort().join('\u0000');
+      if (!pairs.has(key)) {
+        pairs.set(key, { sourceId, targetId, similarity });
+      }
+    }
+  }
+
+  const suggestions = Array.from(pairs.values())
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(({ sourceId, targetId, similarity }) => ({
+      sourceId,
+      sourceLabel: network.nodes.get(sourceId).label,
+      targetId,
+      targetLabel: network.nodes.get(targetId).label,
+      similarity: Math.round(similarity * 1000) / 1000,
+      weight: Math.round(similarity * 1000) / 1000
+    }));
+
+  if (apply && suggestions.length > 0) {
+    network.mutationLog.group(network, 'suggestConnections', [{ k, minSimilarity, limit }], () => {
+      for (const { sourceId, targetId, weight } of suggestions) {
+        network.addConnection(sourceId, targetId, weight, true, { type: SIMILARITY_RELATION, provenance: 'embedding' });
+      }
+    });
+  }
+
+  return {
+    suggestions,
+    applied: apply,
+    connectionsAdded: apply ? suggestions.length * 2 : 0
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Checks nearest-neighbour search over concept embeddings and the
+ * connections suggested from it
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+import { SIMILARITY_RELATION, suggestConnections, validateEmbedding } from './embedding-index.js';
+
+function embeddedNetwork() {
+  const network = new ConceptNetwork();
+  const embeddings = {
+    cat: [1, 0.1, 0],
+    dog: [0.9, 0.3, 0],
+    wolf: [0.7, 0.6, 0.1],
+    car: [0, 0.1, 1],
+    truck: [0.1, 0, 0.9]
+  };
+  for (const id of Object.keys(embeddings)) {
+    network.addConcept(id, null, id);
+  }
+  network.addConcept('idea', null, 'idea');
+  network.setEmbeddings(embeddings);
+  return network;
+}
+
+describe('validateEmbedding', () => {
+  test.each([
+    [[], 'non-empty array'],
+    [[1, NaN], 'finite numbers'],
+    [[0, 0], 'all zeros'],
+    [[1, 2, 3], '3 dimensions, the network\'s embeddings have 2']
+  ])('rejects %j', (vector, problem) => {
+    expect(validateEmbedding(vector, 2)[0]).toContain(problem);
+  });
+});
+
+describe('EmbeddingIndex', () => {
+  test('finds the k most similar concepts, most similar first', () => {
+    const network = embeddedNetwork();
+    const matches = network.findSimilarConcepts([1, 0, 0], { k: 3 });
+
+    expect(matches.map(match => match.id)).toEqual(['cat', 'dog', 'wolf']);
+    expect(matches[0].similarity).toBeCloseTo(1 / Math.sqrt(1.01), 5);
+    expect(matches[0].similarity).toBeGreaterThan(matches[1].similarity);
+  });
+
+  test('matches an exhaustive scan for every k', () => {
+    const network = embeddedNetwork();
+    const query = [0.3, 0.2, 0.5];
+    const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    const expected = Array.from(network.nodes.values())
+      .filter(node => node.embedding)
+      .map(node => ({
+        id: node.id,
+        similarity: node.embedding.reduce((sum, value, d) => sum + value * query[d], 0) / (norm(node.embedding) * norm(query))
+      }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    for (let k = 1; k <= 6; k++) {
+      const matches = network.getEmbeddingIndex().search(query, { k });
+      expect(matches.map(match => match.id)).toEqual(expected.slice(0, k).map(match => match.id));
+    }
+  });
+
+  test('applies minSimilarity and leaves the concept itself out of its neighbours', () => {
+    const index = embeddedNetwork().getEmbeddingIndex();
+
+    expect(index.search([0, 0, 1], { k: 5, minSimilarity: 0.9 }).map(match => match.id)).toEqual(['car', 'truck']);
+    expect(index.neighbours('cat', { k: 2 }).map(match => match.id)).toEqual(['dog', 'wolf']);
+    expect(index.neighbours('idea', { k: 2 })).toEqual([]);
+  });
+
+  test.each([0, -1, 1.5])('rejects k = %d', k => {
+    const index = embeddedNetwork().getEmbeddingIndex();
+    expect(() => index.search([1, 0, 0], { k })).toThrow('k must be a positive integer');
+    expect(() => index.neighbours('cat', { k })).toThrow('k must be a positive integer');
+  });
+
+  test('rejects a query with other dimensions', () => {
+    const network = embeddedNetwork();
+    expect(() => network.findSimilarConcepts([1, 0])).toThrow('2 dimensions');
+  });
+
+  test('is rebuilt when embeddings change', () => {
+    const network = embeddedNetwork();
+    network.getEmbeddingIndex();
+    network.updateConcept('idea', { embedding: [1, 0, 0] });
+
+    expect(network.findSimilarConcepts([1, 0, 0], { k: 1 })[0].id).toBe('idea');
+  });
+});
+
+describe('suggestConnections', () => {
+  test('suggests each unconnected pair of neighbours once and adds them on request', () => {
+    const network = embeddedNetwork();
+    network.addConnection('cat', 'dog', 0.5);
+
+    const { suggestions } = suggestConnections(network, { k: 1, minSimilarity: 0.8 });
+    const pairs = suggestions.map(({ sourceId, targetId }) => [sourceId, targetId].sort().join('-'));
+    expect(pairs).not.toContain('cat-dog');
+    expect(pairs).toContain('car-truck');
+    expect(new Set(pairs).size).toBe(pairs.length);
+
+    const result = suggestConnections(network, { k: 1, minSimilarity: 0.8, apply: true });
+    expect(result.connectionsAdded).toBe(result.suggestions.length * 2);
+    expect(network.getConcept('car').getRelation('truck').type).toBe(SIMILARITY_RELATION);
+
+    network.undo();
+    expect(network.getConcept('car').connections.has('truck')).toBe(false);
+  });
+
+  test('rejects k below 1 and concepts without embeddings', () => {
+    const network = embeddedNetwork();
+    expect(() => suggestConnections(network, { k: 0 })).toThrow('k must be a positive integer');
+    expect(() => suggestConnections(network, { conceptIds: ['idea'] })).toThrow('has no embedding');
+  });
+});
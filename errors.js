@@ -0,0 +1,37 @@
+/**
+ * Concept Activation Network Errors
+ *
+ * Error classes that let callers (such as the REST API) tell apart
+ * missing resources, conflicts and invalid input. They all extend Error,
+ * so MCP tools keep reporting their messages unchanged.
+ */
+
+/**
+ * A referenced session, concept or connection does not exist
+ */
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The operation conflicts with existing state, e.g. a duplicate ID
+ */
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * The supplied input is invalid
+ */
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
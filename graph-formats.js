@@ -0,0 +1,875 @@
+/**
+ * Graph Formats for Concept Networks
+ *
+ * Converts concept networks to and from standard graph interchange formats:
+ * - Native JSON (see README for the schema)
+ * - GraphML
+ * - GEXF
+ * - Graphviz DOT
+ *
+ * Every format is parsed into the same intermediate graph
+ * ({ directed, nodes: [...], edges: [...] }) before being applied to a
+ * network, so an import either succeeds completely or changes nothing.
+ * Nodes carry their bias and activation cap, and edges their relation type,
+ * and their relation label and provenance when set, in every format.
+ * Embeddings are only carried by the native JSON format.
+ */
+
+import { ValidationError } from './errors.js';
+import { validateEmbedding } from './embedding-index.js';
+
+/**
+ * Identifier of the native JSON format
+ */
+export const NATIVE_FORMAT_NAME = 'can-network';
+
+/**
+ * Version of the native JSON format
+ */
+export const NATIVE_FORMAT_VERSION = 1;
+
+/**
+ * Supported format names
+ */
+export const GRAPH_FORMATS = ['json', 'graphml', 'gexf', 'dot'];
+
+/**
+ * Export a concept network to a graph format
+ * @param {ConceptNetwork} network The network to export
+ * @param {string} format One of GRAPH_FORMATS
+ * @param {Object} options Export options
+ * @param {string} options.name Optional graph name
+ * @returns {string} Serialized graph
+ */
+export function exportNetwork(network, format, { name = 'can-network' } = {}) {
+  const graph = networkToGraph(network);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ format: NATIVE_FORMAT_NAME, version: NATIVE_FORMAT_VERSION, name, ...graph }, null, 2);
+    case 'graphml':
+      return writeGraphML(graph, name);
+    case 'gexf':
+      return writeGEXF(graph, name);
+    case 'dot':
+      return writeDOT(graph, name);
+    default:
+      throw new ValidationError(`Unsupported graph format ${format}`);
+  }
+}
+
+/**
+ * Parse a serialized graph into the intermediate representation
+ * @param {string} data Serialized graph
+ * @param {string} format One of GRAPH_FORMATS
+ * @returns {Object} Parsed graph ({ directed, nodes, edges })
+ */
+export function parseGraph(data, format) {
+  switch (format) {
+    case 'json':
+      return readNativeJSON(data);
+    case 'graphml':
+      return readGraphML(data);
+    case 'gexf':
+      return readGEXF(data);
+    case 'dot':
+      return readDOT(data);
+    default:
+      throw new ValidationError(`Unsupported graph format ${format}`);
+  }
+}
+
+/**
+ * Import a serialized graph into a concept network
+ * @param {ConceptNetwork} network The network to import into
+ * @param {string} data Serialized graph
+ * @param {string} format One of GRAPH_FORMATS
+ * @param {Object} options Import options
+ * @param {string} options.mode 'merge' keeps existing concepts, 'replace' clears the network first
+ * @returns {Object} Import statistics
+ */
+export function importNetwork(network, data, format, { mode = 'merge' } = {}) {
+  const graph = parseGraph(data, format);
+
+  // Validate everything before touching the network
+  const graphIds = new Set();
+  for (const node of graph.nodes) {
+    if (graphIds.has(node.id)) {
+      throw new ValidationError(`Duplicate concept ID ${node.id} in imported graph`);
+    }
+    graphIds.add(node.id);
+  }
+
+  const existingIds = mode === 'replace' ? new Set() : new Set(network.nodes.keys());
+  for (const edge of graph.edges) {
+    for (const endpoint of [edge.source, edge.target]) {
+      if (!graphIds.has(endpoint) && !existingIds.has(endpoint)) {
+        throw new ValidationError(`Connection ${edge.source} -> ${edge.target} references unknown concept ${endpoint}`);
+      }
+    }
+  }
+
+  // Embeddings of added concepts must match each other and the network's
+  let dimensions = mode === 'replace' ? null : network.getEmbeddingDimensions();
+  for (const node of graph.nodes) {
+    if (!node.embedding || existingIds.has(node.id)) continue;
+    const [problem] = validateEmbedding(node.embedding, dimensions);
+    if (problem) {
+      throw new ValidationError(`Concept ${node.id}: ${problem}`);
+    }
+    dimensions = node.embedding.length;
+  }
+
+  // The whole import is one entry in the mutation log, so it is undone at once
+  return network.mutationLog.group(network, 'importNetwork', [{ mode }], () => {
+    if (mode === 'replace') {
+      network.clear();
+    } else if (mode !== 'merge') {
+      throw new ValidationError(`Unsupported import mode ${mode}`);
+    }
+
+    let conceptsAdded = 0;
+    let conceptsSkipped = 0;
+    for (const nodeData of graph.nodes) {
+      if (network.nodes.has(nodeData.id)) {
+        conceptsSkipped++;
+        continue;
+      }
+
+      network.addConcept(nodeData.label ?? nodeData.id, nodeData.category ?? null, nodeData.id);
+      network.updateConcept(nodeData.id, {
+        metadata: nodeData.metadata,
+        metadataMode: 'replace',
+        bias: nodeData.bias,
+        activationCap: nodeData.activationCap,
+        embedding: nodeData.embedding ?? undefined
+      });
+      const node = network.getConcept(nodeData.id);
+      node.activation = nodeData.activation || 0.0;
+      node.prevActivation = node.activation;
+      conceptsAdded++;
+    }
+
+    for (const edge of graph.edges) {
+      network.addConnection(edge.source, edge.target, edge.weight ?? 0.5, !graph.directed, {
+        type: edge.relation,
+        label: edge.relationLabel,
+        provenance: edge.provenance
+      });
+    }
+
+    return {
+      mode,
+      conceptsAdded,
+      conceptsSkipped,
+      connectionsAdded: graph.directed ? graph.edges.length : graph.edges.length * 2,
+      networkSize: network.getNetworkSize()
+    };
+  });
+}
+
+/**
+ * Convert a network to the intermediate graph representation
+ * @param {ConceptNetwork} network The network
+ * @returns {Object} Graph ({ directed, nodes, edges })
+ * @private
+ */
+function networkToGraph(network) {
+  const nodes = [];
+  const edges = [];
+
+  for (const node of network.nodes.values()) {
+    nodes.push({
+      id: node.id,
+      label: node.label,
+      category: node.category,
+      metadata: node.metadata,
+      activation: node.activation,
+      bias: node.bias,
+      activationCap: node.activationCap,
+      ...(node.embedding ? { embedding: node.embedding } : {})
+    });
+
+    for (const [targetId, weight] of node.connections.entries()) {
+      const relation = node.getRelation(targetId);
+      const edge = { source: node.id, target: targetId, weight, relation: relation.type };
+      if (relation.label !== null) edge.relationLabel = relation.label;
+      if (relation.provenance !== null) edge.provenance = relation.provenance;
+      edges.push(edge);
+    }
+  }
+
+  return { directed: true, nodes, edges };
+}
+
+/**
+ * Normalize and validate a parsed node entry
+ * @param {Object} node Raw node fields
+ * @returns {Object} Normalized node
+ * @private
+ */
+function normalizeNode({ id, label, category, metadata, activation, bias, activationCap, embedding }) {
+  if (id === undefined || id === null || id === '') {
+    throw new ValidationError('Imported concept is missing an ID');
+  }
+
+  return {
+    id: String(id),
+    label: label === undefined || label === null || label === '' ? String(id) : String(label),
+    category: category === undefined || category === '' ? null : category,
+    metadata: parseMetadata(metadata),
+    activation: toNumber(activation, 0.0),
+    bias: toNumber(bias, 0.0),
+    activationCap: toNumber(activationCap, null),
+    embedding: embedding ?? null
+  };
+}
+
+/**
+ * Normalize and validate a parsed edge entry
+ * @param {Object} edge Raw edge fields
+ * @returns {Object} Normalized edge
+ * @private
+ */
+function normalizeEdge({ source, target, weight, relation, relationLabel, provenance }) {
+  if (source === undefined || target === undefined) {
+    throw new ValidationError('Imported connection is missing its source or target');
+  }
+
+  const optionalString = value => value === undefined || value === null || value === '' ? null : String(value);
+  return {
+    source: String(source),
+    target: String(target),
+    weight: toNumber(weight, 0.5),
+    relation: optionalString(relation),
+    relationLabel: optionalString(relationLabel),
+    provenance: optionalString(provenance)
+  };
+}
+
+/**
+ * Parse metadata that may be stored as a JSON string
+ * @param {Object|string} metadata Raw metadata
+ * @returns {Object} Metadata object
+ * @private
+ */
+function parseMetadata(metadata) {
+  if (metadata === undefined || metadata === null || metadata === '') {
+    return {};
+  }
+  if (typeof metadata === 'object') {
+    return metadata;
+  }
+  try {
+    const parsed = JSON.parse(metadata);
+    return parsed && typeof parsed === 'object' ? parsed : { value: parsed };
+  } catch {
+    return { value: metadata };
+  }
+}
+
+/**
+ * Convert a raw value to a finite number
+ * @param {*} value Raw value
+ * @param {number} fallback Value to use when missing
+ * @returns {number} Parsed number
+ * @private
+ */
+function toNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ValidationError(`Invalid numeric value ${value} in imported graph`);
+  }
+  return number;
+}
+
+// ---------------------------------------------------------------------------
+// Native JSON
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the native JSON format
+ * @param {string} data JSON text
+ * @returns {Object} Parsed graph
+ * @private
+ */
+function readNativeJSON(data) {
+  let document;
+  try {
+    document = JSON.parse(data);
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON graph: ${error.message}`);
+  }
+
+  if (document.format !== NATIVE_FORMAT_NAME) {
+    throw new ValidationError(`Expected format "${NATIVE_FORMAT_NAME}" but got "${document.format}"`);
+  }
+  if (document.version !== NATIVE_FORMAT_VERSION) {
+    throw new ValidationError(`Unsupported ${NATIVE_FORMAT_NAME} version ${document.version}`);
+  }
+  if (!Array.isArray(document.nodes) || !Array.isArray(document.edges)) {
+    throw new ValidationError('JSON graph must contain "nodes" and "edges" arrays');
+  }
+
+  return {
+    directed: document.directed !== false,
+    nodes: document.nodes.map(normalizeNode),
+    edges: document.edges.map(normalizeEdge)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// XML helpers (GraphML and GEXF)
+// ---------------------------------------------------------------------------
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Decode XML entities
+ * @param {string} text Encoded text
+ * @returns {string} Decoded text
+ * @private
+ */
+function decodeXML(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+    switch (entity) {
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'amp': return '&';
+      case 'quot': return '"';
+      case 'apos': return '\'';
+      default:
+        return entity[1] === 'x'
+          ? String.fromCodePoint(parseInt(entity.slice(2), 16))
+          : String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+  });
+}
+
+/**
+ * Parse an XML document into a simple element tree. Namespace prefixes
+ * are dropped from element and attribute names.
+ * @param {string} xml XML text
+ * @returns {Object} Root element ({ name, attributes, children, text })
+ * @private
+ */
+function parseXML(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const localName = name => name.includes(':') ? name.split(':').pop() : name;
+
+  let lastIndex = 0;
+  let match;
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeXML(xml.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, cdata, closingName, openingName, attributeText, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (stack.length === 1 || current.name !== localName(closingName)) {
+        throw new ValidationError(`Malformed XML: unexpected closing tag </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = { name: localName(openingName), attributes: {}, children: [], text: '' };
+      let attribute;
+      attributePattern.lastIndex = 0;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        element.attributes[localName(attribute[1])] = decodeXML(attribute[2] ?? attribute[3]);
+      }
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new ValidationError(`Malformed XML: unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+}
+
+/**
+ * Find all descendant elements with a given name
+ * @param {Object} element Element to search
+ * @param {string} name Element name
+ * @returns {Array<Object>} Matching elements
+ * @private
+ */
+function findAll(element, name) {
+  const results = [];
+  for (const child of element.children) {
+    if (child.name === name) {
+      results.push(child);
+    }
+    results.push(...findAll(child, name));
+  }
+  return results;
+}
+
+/**
+ * Find the first descendant element with a given name
+ * @param {Object} element Element to search
+ * @param {string} name Element name
+ * @returns {Object|null} Matching element
+ * @private
+ */
+function findFirst(element, name) {
+  return findAll(element, name)[0] || null;
+}
+
+// ---------------------------------------------------------------------------
+// GraphML
+// ---------------------------------------------------------------------------
+
+/**
+ * Write a graph as GraphML
+ * @param {Object} graph Intermediate graph
+ * @param {string} name Graph name
+ * @returns {string} GraphML document
+ * @private
+ */
+function writeGraphML(graph, name) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="category" for="node" attr.name="category" attr.type="string"/>',
+    '  <key id="activation" for="node" attr.name="activation" attr.type="double"/>',
+    '  <key id="metadata" for="node" attr.name="metadata" attr.type="string"/>',
+    '  <key id="bias" for="node" attr.name="bias" attr.type="double"/>',
+    '  <key id="activationCap" for="node" attr.name="activationCap" attr.type="double"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+    '  <key id="relationLabel" for="edge" attr.name="relationLabel" attr.type="string"/>',
+    '  <key id="provenance" for="edge" attr.name="provenance" attr.type="string"/>',
+    `  <graph id="${escapeXML(name)}" edgedefault="${graph.directed ? 'directed' : 'undirected'}">`
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${escapeXML(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXML(node.label)}</data>`);
+    if (node.category !== null && node.category !== undefined) {
+      lines.push(`      <data key="category">${escapeXML(node.category)}</data>`);
+    }
+    lines.push(`      <data key="activation">${node.activation}</data>`);
+    lines.push(`      <data key="metadata">${escapeXML(JSON.stringify(node.metadata))}</data>`);
+    lines.push(`      <data key="bias">${node.bias}</data>`);
+    if (node.activationCap !== null) {
+      lines.push(`      <data key="activationCap">${node.activationCap}</data>`);
+    }
+    lines.push('    </node>');
+  }
+
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}">`);
+    lines.push(`      <data key="weight">${edge.weight}</data>`);
+    for (const key of ['relation', 'relationLabel', 'provenance']) {
+      if (edge[key] !== undefined) {
+        lines.push(`      <data key="${key}">${escapeXML(edge[key])}</data>`);
+      }
+    }
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+/**
+ * Read a GraphML document. Keys are matched by their attr.name so files
+ * written by other tools (which use ids like "d0") are understood.
+ * @param {string} data GraphML text
+ * @returns {Object} Parsed graph
+ * @private
+ */
+function readGraphML(data) {
+  const document = parseXML(data);
+  const graphElement = findFirst(document, 'graph');
+  if (!graphElement) {
+    throw new ValidationError('GraphML document has no <graph> element');
+  }
+
+  const keyNames = new Map();
+  for (const key of findAll(document, 'key')) {
+    keyNames.set(key.attributes.id, key.attributes['attr.name'] || key.attributes.id);
+  }
+
+  const readData = element => {
+    const values = {};
+    for (const child of element.children.filter(c => c.name === 'data')) {
+      values[keyNames.get(child.attributes.key) || child.attributes.key] = child.text.trim();
+    }
+    return values;
+  };
+
+  const directed = graphElement.attributes.edgedefault !== 'undirected';
+  const nodes = findAll(graphElement, 'node').map(element => normalizeNode({
+    ...readData(element),
+    id: element.attributes.id
+  }));
+  const edges = findAll(graphElement, 'edge').map(element => normalizeEdge({
+    ...readData(element),
+    source: element.attributes.source,
+    target: element.attributes.target
+  }));
+
+  return { directed, nodes, edges };
+}
+
+// ---------------------------------------------------------------------------
+// GEXF
+// ---------------------------------------------------------------------------
+
+/**
+ * Write a graph as GEXF 1.3
+ * @param {Object} graph Intermediate graph
+ * @param {string} name Graph name
+ * @returns {string} GEXF document
+ * @private
+ */
+function writeGEXF(graph, name) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta><description>${escapeXML(name)}</description></meta>`,
+    `  <graph mode="static" defaultedgetype="${graph.directed ? 'directed' : 'undirected'}">`,
+    '    <attributes class="node">',
+    '      <attribute id="category" title="category" type="string"/>',
+    '      <attribute id="activation" title="activation" type="double"/>',
+    '      <attribute id="metadata" title="metadata" type="string"/>',
+    '      <attribute id="bias" title="bias" type="double"/>',
+    '      <attribute id="activationCap" title="activationCap" type="double"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="relation" title="relation" type="string"/>',
+    '      <attribute id="relationLabel" title="relationLabel" type="string"/>',
+    '      <attribute id="provenance" title="provenance" type="string"/>',
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`      <node id="${escapeXML(node.id)}" label="${escapeXML(node.label)}">`);
+    lines.push('        <attvalues>');
+    if (node.category !== null && node.category !== undefined) {
+      lines.push(`          <attvalue for="category" value="${escapeXML(node.category)}"/>`);
+    }
+    lines.push(`          <attvalue for="activation" value="${node.activation}"/>`);
+    lines.push(`          <attvalue for="metadata" value="${escapeXML(JSON.stringify(node.metadata))}"/>`);
+    lines.push(`          <attvalue for="bias" value="${node.bias}"/>`);
+    if (node.activationCap !== null) {
+      lines.push(`          <attvalue for="activationCap" value="${node.activationCap}"/>`);
+    }
+    lines.push('        </attvalues>');
+    lines.push('      </node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+  graph.edges.forEach((edge, index) => {
+    lines.push(`      <edge id="e${index}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}" weight="${edge.weight}">`);
+    lines.push('        <attvalues>');
+    for (const key of ['relation', 'relationLabel', 'provenance']) {
+      if (edge[key] !== undefined) {
+        lines.push(`          <attvalue for="${key}" value="${escapeXML(edge[key])}"/>`);
+      }
+    }
+    lines.push('        </attvalues>');
+    lines.push('      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Read a GEXF document
+ * @param {string} data GEXF text
+ * @returns {Object} Parsed graph
+ * @private
+ */
+function readGEXF(data) {
+  const document = parseXML(data);
+  const graphElement = findFirst(document, 'graph');
+  if (!graphElement) {
+    throw new ValidationError('GEXF document has no <graph> element');
+  }
+
+  const attributeNames = new Map();
+  for (const attributes of findAll(graphElement, 'attributes')) {
+    for (const attribute of attributes.children.filter(c => c.name === 'attribute')) {
+      attributeNames.set(
+        `${attributes.attributes.class}:${attribute.attributes.id}`,
+        attribute.attributes.title || attribute.attributes.id
+      );
+    }
+  }
+
+  const readAttValues = (element, elementClass) => {
+    const values = {};
+    for (const attvalue of findAll(element, 'attvalue')) {
+      const key = attvalue.attributes.for ?? attvalue.attributes.id;
+      values[attributeNames.get(`${elementClass}:${key}`) || key] = attvalue.attributes.value;
+    }
+    return values;
+  };
+
+  const directed = graphElement.attributes.defaultedgetype !== 'undirected';
+  const nodesElement = findFirst(graphElement, 'nodes');
+  const edgesElement = findFirst(graphElement, 'edges');
+
+  const nodes = (nodesElement ? nodesElement.children.filter(c => c.name === 'node') : [])
+    .map(element => normalizeNode({
+      ...readAttValues(element, 'node'),
+      id: element.attributes.id,
+      label: element.attributes.label
+    }));
+  const edges = (edgesElement ? edgesElement.children.filter(c => c.name === 'edge') : [])
+    .map(element => normalizeEdge({
+      ...readAttValues(element, 'edge'),
+      source: element.attributes.source,
+      target: element.attributes.target,
+      weight: element.attributes.weight
+    }));
+
+  return { directed, nodes, edges };
+}
+
+// ---------------------------------------------------------------------------
+// Graphviz DOT
+// ---------------------------------------------------------------------------
+
+/**
+ * Quote a DOT identifier
+ * @param {*} value Identifier
+ * @returns {string} Quoted identifier
+ * @private
+ */
+function quoteDOT(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Write a graph as Graphviz DOT
+ * @param {Object} graph Intermediate graph
+ * @param {string} name Graph name
+ * @returns {string} DOT document
+ * @private
+ */
+function writeDOT(graph, name) {
+  const edgeOp = graph.directed ? '->' : '--';
+  const lines = [`${graph.directed ? 'digraph' : 'graph'} ${quoteDOT(name)} {`];
+
+  for (const node of graph.nodes) {
+    const attributes = [`label=${quoteDOT(node.label)}`];
+    if (node.category !== null && node.category !== undefined) {
+      attributes.push(`category=${quoteDOT(node.category)}`);
+    }
+    attributes.push(`activation=${node.activation}`);
+    attributes.push(`metadata=${quoteDOT(JSON.stringify(node.metadata))}`);
+    attributes.push(`bias=${node.bias}`);
+    if (node.activationCap !== null) {
+      attributes.push(`activationCap=${node.activationCap}`);
+    }
+    lines.push(`  ${quoteDOT(node.id)} [${attributes.join(', ')}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = [`weight=${edge.weight}`];
+    for (const key of ['relation', 'relationLabel', 'provenance']) {
+      if (edge[key] !== undefined) {
+        attributes.push(`${key}=${quoteDOT(edge[key])}`);
+      }
+    }
+    lines.push(`  ${quoteDOT(edge.source)} ${edgeOp} ${quoteDOT(edge.target)} [${attributes.join(', ')}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Split DOT text into tokens
+ * @param {string} data DOT text
+ * @returns {Array<Object>} Tokens ({ type, value })
+ * @private
+ */
+function tokenizeDOT(data) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < data.length) {
+    const char = data[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (data.startsWith('//', index) || (char === '#' && (index === 0 || data[index - 1] === '\n'))) {
+      const end = data.indexOf('\n', index);
+      index = end === -1 ? data.length : end;
+    } else if (data.startsWith('/*', index)) {
+      const end = data.indexOf('*/', index + 2);
+      index = end === -1 ? data.length : end + 2;
+    } else if (data.startsWith('->', index) || data.startsWith('--', index)) {
+      tokens.push({ type: 'edgeop', value: data.slice(index, index + 2) });
+      index += 2;
+    } else if ('{}[];,='.includes(char)) {
+      tokens.push({ type: char, value: char });
+      index++;
+    } else if (char === '"') {
+      let value = '';
+      index++;
+      while (index < data.length && data[index] !== '"') {
+        if (data[index] === '\\' && index + 1 < data.length) {
+          const next = data[index + 1];
+          value += next === 'n' ? '\n' : next === '"' || next === '\\' ? next : `\\${next}`;
+          index += 2;
+        } else {
+          value += data[index++];
+        }
+      }
+      if (index >= data.length) {
+        throw new ValidationError('Malformed DOT: unterminated string');
+      }
+      index++;
+      tokens.push({ type: 'id', value });
+    } else {
+      const match = /^(-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][A-Za-z_0-9\u0080-\uffff]*)/.exec(data.slice(index));
+      if (!match) {
+        throw new ValidationError(`Malformed DOT: unexpected character "${char}"`);
+      }
+      tokens.push({ type: 'id', value: match[0] });
+      index += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a Graphviz DOT document. Node and edge statements (including edge
+ * chains and subgraph bodies) are supported; default attribute statements
+ * are ignored.
+ * @param {string} data DOT text
+ * @returns {Object} Parsed graph
+ * @private
+ */
+function readDOT(data) {
+  const tokens = tokenizeDOT(data);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = type => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new ValidationError(`Malformed DOT: expected "${type}" but got "${token ? token.value : 'end of input'}"`);
+    }
+    return token;
+  };
+  const isKeyword = (token, keyword) => token && token.type === 'id' && token.value.toLowerCase() === keyword;
+
+  if (isKeyword(peek(), 'strict')) next();
+  const graphType = next();
+  if (!isKeyword(graphType, 'graph') && !isKeyword(graphType, 'digraph')) {
+    throw new ValidationError('Malformed DOT: expected "graph" or "digraph"');
+  }
+  const directed = isKeyword(graphType, 'digraph');
+  if (peek() && peek().type === 'id') next();
+  expect('{');
+
+  const nodes = new Map();
+  const edges = [];
+
+  const readAttributes = () => {
+    const attributes = {};
+    while (peek() && peek().type === '[') {
+      next();
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value;
+        expect('=');
+        attributes[key] = expect('id').value;
+        if (peek() && (peek().type === ',' || peek().type === ';')) next();
+      }
+      expect(']');
+    }
+    return attributes;
+  };
+
+  const ensureNode = (id, attributes = {}) => {
+    const existing = nodes.get(id) || { id };
+    nodes.set(id, { ...existing, ...attributes });
+  };
+
+  let depth = 1;
+  while (depth > 0) {
+    const token = next();
+    if (!token) {
+      throw new ValidationError('Malformed DOT: missing closing "}"');
+    }
+
+    if (token.type === '}') {
+      depth--;
+    } else if (token.type === '{') {
+      depth++;
+    } else if (token.type === ';') {
+      continue;
+    } else if (isKeyword(token, 'subgraph')) {
+      if (peek() && peek().type === 'id') next();
+    } else if (isKeyword(token, 'node') || isKeyword(token, 'edge') || isKeyword(token, 'graph')) {
+      readAttributes();
+    } else if (token.type === 'id') {
+      if (peek() && peek().type === '=') {
+        // Graph attribute assignment
+        next();
+        expect('id');
+        continue;
+      }
+
+      const chain = [token.value];
+      while (peek() && peek().type === 'edgeop') {
+        next();
+        chain.push(expect('id').value);
+      }
+      const attributes = readAttributes();
+
+      if (chain.length === 1) {
+        ensureNode(token.value, attributes);
+      } else {
+        for (let i = 0; i < chain.length - 1; i++) {
+          ensureNode(chain[i]);
+          ensureNode(chain[i + 1]);
+          edges.push(normalizeEdge({ ...attributes, source: chain[i], target: chain[i + 1] }));
+        }
+      }
+    } else {
+      throw new ValidationError(`Malformed DOT: unexpected "${token.value}"`);
+    }
+  }
+
+  return {
+    directed,
+    nodes: Array.from(nodes.values()).map(normalizeNode),
+    edges
+  };
+}
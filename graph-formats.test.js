@@ -0,0 +1,154 @@
+/**
+ * Checks export and import in every graph format
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+import { GRAPH_FORMATS, exportNetwork, importNetwork } from './graph-formats.js';
+
+function buildNetwork() {
+  const network = new ConceptNetwork();
+  network.addConcept('Sun', 'astronomy', 'sun');
+  network.addConcept('Light "visible"', null, 'light');
+  network.addConcept('Plants & trees', 'biology', 'plants');
+  network.updateConcept('sun', { metadata: { mass: 1.989e30 }, bias: 0.2, activationCap: 0.8 });
+  network.updateConcept('plants', { bias: -0.1 });
+  network.addConnection('sun', 'light', 0.9, true, { type: 'causes', label: 'emits', provenance: 'physics' });
+  network.addConnection('light', 'plants', -0.4, false);
+  return network;
+}
+
+function conceptsOf(network) {
+  return Array.from(network.nodes.values()).map(node => ({
+    id: node.id,
+    label: node.label,
+    category: node.category,
+    metadata: node.metadata,
+    bias: node.bias,
+    activationCap: node.activationCap
+  }));
+}
+
+function connectionsOf(network) {
+  const connections = [];
+  for (const node of network.nodes.values()) {
+    for (const [targetId, weight] of node.connections.entries()) {
+      connections.push({ sourceId: node.id, targetId, weight, ...node.getRelation(targetId) });
+    }
+  }
+  return connections;
+}
+
+describe.each(GRAPH_FORMATS)('%s round trip', format => {
+  test('keeps concepts, their attributes and connections', () => {
+    const network = buildNetwork();
+    const imported = new ConceptNetwork();
+    importNetwork(imported, exportNetwork(network, format), format);
+
+    expect(conceptsOf(imported)).toEqual(conceptsOf(network));
+    expect(connectionsOf(imported)).toEqual(connectionsOf(network));
+  });
+});
+
+describe('embeddings', () => {
+  test('are kept by the native JSON format', () => {
+    const network = buildNetwork();
+    network.setEmbeddings({ sun: [1, 0.5], plants: [0.2, 0.9] });
+    const imported = new ConceptNetwork();
+    importNetwork(imported, exportNetwork(network, 'json'), 'json');
+
+    expect(imported.getConcept('sun').embedding).toEqual([1, 0.5]);
+    expect(imported.getConcept('plants').embedding).toEqual([0.2, 0.9]);
+    expect(imported.getConcept('light').embedding).toBeNull();
+  });
+
+  test('with mismatched dimensions are rejected before the network is changed', () => {
+    const network = new ConceptNetwork();
+    network.addConcept('Moon', null, 'moon');
+    network.setEmbeddings({ moon: [1, 0, 0] });
+    const source = buildNetwork();
+    source.setEmbeddings({ sun: [1, 0.5] });
+
+    expect(() => importNetwork(network, exportNetwork(source, 'json'), 'json')).toThrow('Concept sun');
+    expect(Array.from(network.nodes.keys())).toEqual(['moon']);
+  });
+});
+
+describe('importNetwork', () => {
+  test('reads GraphML written by other tools, with generated key IDs', () => {
+    const graphml = `<?xml version="1.0"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="d0" for="node" attr.name="label" attr.type="string"/>
+  <key id="d1" for="edge" attr.name="weight" attr.type="double"/>
+  <graph edgedefault="undirected">
+    <node id="a"><data key="d0">Alpha &amp; Omega</data></node>
+    <node id="b"/>
+    <edge source="a" target="b"><data key="d1">0.25</data></edge>
+  </graph>
+</graphml>`;
+    const network = new ConceptNetwork();
+    const result = importNetwork(network, graphml, 'graphml');
+
+    expect(result).toMatchObject({ conceptsAdded: 2, connectionsAdded: 2 });
+    expect(network.getConcept('a').label).toBe('Alpha & Omega');
+    expect(network.getConcept('b').label).toBe('b');
+    expect(network.getConcept('b').connections.get('a')).toBe(0.25);
+  });
+
+  test('reads DOT edge chains, subgraphs and comments', () => {
+    const dot = `// generated
+digraph "g" {
+  node [shape=box];
+  a [label="A"];
+  subgraph cluster { b; }
+  a -> b -> c [weight=0.7, relation="causes"]; /* chain */
+}`;
+    const network = new ConceptNetwork();
+    importNetwork(network, dot, 'dot');
+
+    expect(Array.from(network.nodes.keys()).sort()).toEqual(['a', 'b', 'c']);
+    expect(network.getConcept('b').connections.get('c')).toBe(0.7);
+    expect(network.getConcept('b').connections.has('a')).toBe(false);
+    expect(network.getConcept('a').getRelation('b').type).toBe('causes');
+  });
+
+  test('merges into existing concepts, or replaces them', () => {
+    const network = buildNetwork();
+    const other = new ConceptNetwork();
+    other.addConcept('Sun (other)', null, 'sun');
+    other.addConcept('Moon', null, 'moon');
+    other.addConnection('moon', 'sun', 0.3);
+    const data = exportNetwork(other, 'gexf');
+
+    expect(importNetwork(network, data, 'gexf')).toMatchObject({ conceptsAdded: 1, conceptsSkipped: 1 });
+    expect(network.getConcept('sun').label).toBe('Sun');
+    expect(network.getConcept('moon').connections.get('sun')).toBe(0.3);
+
+    importNetwork(network, data, 'gexf', { mode: 'replace' });
+    expect(Array.from(network.nodes.keys()).sort()).toEqual(['moon', 'sun']);
+    expect(network.getConcept('sun').label).toBe('Sun (other)');
+  });
+
+  test.each([
+    ['json', '{"format":"can-network","version":1,"nodes":[{"id":"a"}],"edges":[{"source":"a","target":"x"}]}', 'unknown concept x'],
+    ['json', '{"format":"can-network","version":1,"nodes":[{"id":"a"},{"id":"a"}],"edges":[]}', 'Duplicate concept ID a'],
+    ['json', '{"format":"other"}', 'Expected format'],
+    ['graphml', '<graphml><graph><node id="a"></graph></graphml>', 'Malformed XML'],
+    ['dot', 'digraph { a -> b [weight=heavy]; }', 'Invalid numeric value'],
+    ['dot', 'digraph { "a -> b; }', 'unterminated string']
+  ])('rejects invalid %s input without changing the network', (format, data, message) => {
+    const network = buildNetwork();
+    const before = conceptsOf(network);
+
+    expect(() => importNetwork(network, data, format)).toThrow(message);
+    expect(conceptsOf(network)).toEqual(before);
+  });
+
+  test('is one mutation log entry', () => {
+    const network = new ConceptNetwork();
+    importNetwork(network, exportNetwork(buildNetwork(), 'graphml'), 'graphml');
+
+    expect(network.mutationLog.entries).toHaveLength(1);
+    network.undo();
+    expect(network.nodes.size).toBe(0);
+  });
+});
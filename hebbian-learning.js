@@ -0,0 +1,118 @@
+/**
+ * Hebbian Learning for Concept Networks
+ *
+ * Adapts connection weights to the activation patterns the network
+ * actually produces: connections between co-activated concepts are
+ * strengthened, optionally with weight decay, and new connections can be
+ * created between strongly co-active concepts that are not yet linked.
+ *
+ * Supported rules, for a connection from i to j with weight magnitude w:
+ * - hebbian: dw = learningRate * a_i * a_j - weightDecay * w
+ * - oja:     dw = learningRate * a_j * (a_i - a_j * w) - weightDecay * w
+ *
+ * Rules act on the magnitude of the weight and keep its sign, so
+ * co-activation makes inhibitory connections more inhibitory and no
+ * connection changes from excitatory to inhibitory or back.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Supported learning rules
+ */
+export const LEARNING_RULES = ['hebbian', 'oja'];
+
+/**
+ * Default learning options
+ */
+export const DEFAULT_LEARNING_OPTIONS = {
+  learningRate: 0.1,
+  weightDecay: 0.0,
+  maxWeight: 1.0,
+  learningRule: 'hebbian',
+  createConnections: false,
+  coactivationThreshold: 0.5,
+  maxNewConnections: 20
+};
+
+/**
+ * Apply one learning step to a network, using its current activations
+ * @param {ConceptNetwork} network The network to update
+ * @param {Object} options Learning options (see DEFAULT_LEARNING_OPTIONS)
+ * @returns {Object} Learning statistics, including the largest weight changes
+ */
+export function applyHebbianLearning(network, options = {}) {
+  const config = { ...DEFAULT_LEARNING_OPTIONS, ...options };
+  if (!LEARNING_RULES.includes(config.learningRule)) {
+    throw new ValidationError(`Unknown learning rule ${config.learningRule}`);
+  }
+
+  const clamp = magnitude => Math.max(0, Math.min(config.maxWeight, magnitude));
+  const changes = [];
+
+  // Update every existing connection
+  for (const source of network.nodes.values()) {
+    for (const [targetId, weight] of source.connections.entries()) {
+      const target = network.nodes.get(targetId);
+      if (!target) continue;
+
+      const pre = source.activation;
+      const post = target.activation;
+      const sign = weight < 0 ? -1 : 1;
+      const magnitude = Math.abs(weight);
+      const learned = config.learningRule === 'oja'
+        ? config.learningRate * post * (pre - post * magnitude)
+        : config.learningRate * pre * post;
+      const newWeight = sign * clamp(magnitude + learned - config.weightDecay * magnitude);
+
+      if (newWeight !== weight) {
+        source.addConnection(targetId, newWeight);
+        changes.push({ sourceId: source.id, targetId, oldWeight: weight, newWeight, created: false });
+      }
+    }
+  }
+
+  // Link strongly co-active concepts that are not connected yet
+  let createdCount = 0;
+  if (config.createConnections) {
+    const active = Array.from(network.nodes.values())
+      .filter(node => node.activation >= config.coactivationThreshold);
+
+    const candidates = [];
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        const a = active[i];
+        const b = active[j];
+        if (!a.connections.has(b.id) && !b.connections.has(a.id)) {
+          candidates.push({ a, b, coactivation: a.activation * b.activation });
+        }
+      }
+    }
+
+    candidates.sort((x, y) => y.coactivation - x.coactivation);
+    for (const { a, b, coactivation } of candidates.slice(0, config.maxNewConnections)) {
+      const weight = clamp(config.learningRate * coactivation);
+      if (weight <= 0) continue;
+
+      // Learned connections are marked as such, so they can be told apart
+      const relation = { provenance: 'hebbian' };
+      a.addConnection(b.id, weight, relation);
+      b.addConnection(a.id, weight, relation);
+      changes.push({ sourceId: a.id, targetId: b.id, oldWeight: 0, newWeight: weight, created: true });
+      changes.push({ sourceId: b.id, targetId: a.id, oldWeight: 0, newWeight: weight, created: true });
+      createdCount += 2;
+    }
+  }
+
+  const totalChange = changes.reduce((sum, c) => sum + Math.abs(c.newWeight - c.oldWeight), 0);
+
+  return {
+    learningRule: config.learningRule,
+    updatedConnections: changes.length - createdCount,
+    createdConnections: createdCount,
+    averageWeightChange: changes.length > 0 ? totalChange / changes.length : 0,
+    largestChanges: changes
+      .sort((x, y) => Math.abs(y.newWeight - y.oldWeight) - Math.abs(x.newWeight - x.oldWeight))
+      .slice(0, 10)
+  };
+}
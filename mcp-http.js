@@ -0,0 +1,226 @@
+/**
+ * Concept Activation Network MCP HTTP Transports
+ *
+ * Serves the MCP protocol over HTTP on the Express app, next to (or
+ * instead of) stdio. Two transports are supported:
+ * - Streamable HTTP at /mcp (POST, GET and DELETE)
+ * - Legacy HTTP+SSE at /sse, with client messages posted to /messages
+ *
+ * Every MCP client session gets its own McpServer instance from the
+ * supplied factory, so any number of clients can be connected at once
+ * while sharing the same SessionManager.
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Send a JSON-RPC error response
+ * @param {Object} res Express response
+ * @param {number} status HTTP status code
+ * @param {string} message Error message
+ * @private
+ */
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  });
+}
+
+/**
+ * Default time after which a Streamable HTTP session without requests is closed
+ */
+export const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Create an Express router serving MCP over Streamable HTTP and legacy SSE
+ * @param {Function} createServer Factory returning a new McpServer with all tools registered
+ * @param {Object} options Router options
+ * @param {number} options.idleTimeoutMs Time after which a Streamable HTTP session without requests or open streams is closed
+ * @returns {Object} { router, closeAll, getClientCount }
+ */
+export function createMcpHttpRouter(createServer, { idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS } = {}) {
+  const router = express.Router();
+
+  // Connected clients by MCP session ID
+  const streamableTransports = new Map();
+  const sseTransports = new Map();
+
+  // Activity of the Streamable HTTP sessions: { lastActivity, openRequests }
+  const streamableActivity = new Map();
+
+  /**
+   * Note the start of a request to a Streamable HTTP session and its end
+   * when the response closes
+   * @param {string} sessionId MCP session ID
+   * @param {Object} res Express response
+   */
+  function trackActivity(sessionId, res) {
+    const activity = streamableActivity.get(sessionId);
+    if (!activity) return;
+    activity.lastActivity = Date.now();
+    activity.openRequests++;
+    res.on('close', () => {
+      activity.lastActivity = Date.now();
+      activity.openRequests--;
+    });
+  }
+
+  // Close Streamable HTTP sessions abandoned without a DELETE; sessions
+  // with an open notification stream stay
+  const idleTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, activity] of streamableActivity) {
+      if (activity.openRequests === 0 && now - activity.lastActivity > idleTimeoutMs) {
+        const transport = streamableTransports.get(sessionId);
+        streamableTransports.delete(sessionId);
+        streamableActivity.delete(sessionId);
+        transport?.close().catch(error => console.error(`Error closing idle MCP session ${sessionId}:`, error));
+      }
+    }
+  }, Math.min(idleTimeoutMs, 60 * 1000));
+  idleTimer.unref();
+
+  /**
+   * Look up the Streamable HTTP transport of a request
+   * @param {Object} req Express request
+   * @param {Object} res Express response
+   * @returns {Object|null} The transport, or null after sending an error
+   */
+  function findStreamableTransport(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+
+    const transport = streamableTransports.get(sessionId);
+    if (!transport) {
+      sendJsonRpcError(res, 404, `MCP session ${sessionId} not found`);
+      return null;
+    }
+
+    return transport;
+  }
+
+  // Streamable HTTP: client-to-server messages, starting with initialize
+  router.post('/mcp', async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let transport;
+
+      if (sessionId) {
+        transport = findStreamableTransport(req, res);
+        if (!transport) return;
+        trackActivity(sessionId, res);
+      } else if (isInitializeRequest(req.body)) {
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: id => {
+            streamableTransports.set(id, transport);
+            streamableActivity.set(id, { lastActivity: Date.now(), openRequests: 0 });
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            streamableTransports.delete(transport.sessionId);
+            streamableActivity.delete(transport.sessionId);
+          }
+        };
+
+        await createServer().connect(transport);
+      } else {
+        sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('Error handling MCP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  // Streamable HTTP: server-to-client notification stream and session termination
+  const handleSessionRequest = async (req, res) => {
+    try {
+      const transport = findStreamableTransport(req, res);
+      if (transport) {
+        trackActivity(transport.sessionId, res);
+        await transport.handleRequest(req, res);
+      }
+    } catch (error) {
+      console.error('Error handling MCP session request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  };
+  router.get('/mcp', handleSessionRequest);
+  router.delete('/mcp', handleSessionRequest);
+
+  // Legacy HTTP+SSE: open the event stream
+  router.get('/sse', async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sseTransports.set(transport.sessionId, transport);
+    res.on('close', () => {
+      sseTransports.delete(transport.sessionId);
+    });
+
+    try {
+      await createServer().connect(transport);
+    } catch (error) {
+      console.error('Error connecting SSE transport:', error);
+    }
+  });
+
+  // Legacy HTTP+SSE: client-to-server messages
+  router.post('/messages', async (req, res) => {
+    try {
+      const sessionId = req.query.sessionId;
+      const transport = sseTransports.get(sessionId);
+      if (!transport) {
+        res.status(404).send(`MCP session ${sessionId} not found`);
+        return;
+      }
+
+      await transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      console.error('Error handling MCP message:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  return {
+    router,
+
+    /**
+     * Close every connected MCP client session
+     */
+    async closeAll() {
+      clearInterval(idleTimer);
+      const transports = [...streamableTransports.values(), ...sseTransports.values()];
+      await Promise.allSettled(transports.map(transport => transport.close()));
+      streamableTransports.clear();
+      streamableActivity.clear();
+      sseTransports.clear();
+    },
+
+    /**
+     * Count the connected MCP client sessions
+     * @returns {Object} { streamableHttp, sse }
+     */
+    getClientCount() {
+      return { streamableHttp: streamableTransports.size, sse: sseTransports.size };
+    }
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * MCP Prompts for Concept Activation Network
+ *
+ * Registers the CAN reasoning workflow (PROJECT / BURST / CONVERGE /
+ * INTEGRATE) as parameterized MCP prompts. Prompts that refer to a session
+ * embed its live state, from generateSummary and identifyEmergentPatterns,
+ * so the model reasons over the real network rather than a simulation.
+ */
+
+import { z } from 'zod';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { COMMUNITY_METHODS } from './community-detection.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Register all MCP prompts for the CAN server
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+export function registerMCPPrompts(server, sessionManager) {
+  const sessionIdArg = completable(
+    z.string().describe('CAN session ID'),
+    value => Array.from(sessionManager.sessions.keys()).filter(id => id.startsWith(value))
+  );
+
+  // Full reasoning workflow over an existing session
+  server.prompt('can_reasoning',
+    'Reason about a query with the CAN workflow, using the live state of a session',
+    {
+      sessionId: sessionIdArg,
+      query: z.string().describe('The question or problem to reason about'),
+      activationThreshold: z.string().optional().describe('Activation threshold (0.0 to 1.0)'),
+      maxIterations: z.string().optional().describe('Maximum number of activation iterations')
+    },
+    async ({ sessionId, query, activationThreshold, maxIterations }) => {
+      const network = sessionManager.getNetwork(sessionId);
+      const threshold = parseNumberArg('activationThreshold', activationThreshold, network.params.activationThreshold);
+      const iterations = parseNumberArg('maxIterations', maxIterations, network.params.maxIterations);
+
+      const text = [
+        'You are operating as a Concept Activation Network. Instead of thinking sequentially, you',
+        `reason through parallel activation spreading in CAN session ${sessionId}.`,
+        '',
+        `QUERY: ${query}`,
+        '',
+        'ACTIVATION PARAMETERS:',
+        `- Activation threshold: ${threshold}`,
+        `- Max iterations: ${iterations}`,
+        `- Convergence threshold: ${network.params.convergenceThreshold}`,
+        `- Spreading algorithm: ${network.params.algorithm}`,
+        '',
+        'PROCESS:',
+        '1. PROJECT: Map the query to concepts of the network. Add missing concepts and connections with',
+        '   add_concept and add_connection, then activate the query concepts with set_initial_activation.',
+        `2. BURST: Call set_parameters with activationThreshold ${threshold} and maxIterations ${iterations},`,
+        '   then spread activation with run_until_convergence.',
+        '3. CONVERGE: Inspect the result with get_top_activated_concepts and identify_emergent_patterns.',
+        '4. INTEGRATE: Synthesize the stable activation pattern into a coherent answer to the query,',
+        '   citing the concepts and patterns it rests on.',
+        '',
+        'CURRENT NETWORK STATE:',
+        formatSummary(network.generateSummary({ track: false }))
+      ].join('\n');
+
+      return userMessage(text);
+    });
+
+  // Turn a question into a concept network
+  server.prompt('can_build_network_from_question',
+    'Build a concept network for a question, in a new or existing session',
+    {
+      question: z.string().describe('The question to build a concept network for'),
+      sessionId: sessionIdArg.optional(),
+      maxConcepts: z.string().optional().describe('Maximum number of concepts to add (default 15)')
+    },
+    async ({ question, sessionId, maxConcepts }) => {
+      const conceptLimit = parseNumberArg('maxConcepts', maxConcepts, 15);
+      const lines = [
+        'Build a Concept Activation Network for the following question.',
+        '',
+        `QUESTION: ${question}`,
+        ''
+      ];
+
+      if (sessionId) {
+        const network = sessionManager.getNetwork(sessionId);
+        lines.push(
+          `Use CAN session ${sessionId}. It already contains these concepts, which you should reuse`,
+          'rather than duplicate:',
+          formatConcepts(Array.from(network.nodes.values()).map(node => node.toJSON())),
+          ''
+        );
+      } else {
+        lines.push('Start by creating a session with create_session.', '');
+      }
+
+      lines.push(
+        'STEPS:',
+        `1. Identify up to ${conceptLimit} concepts: the concepts named in the question, and the`,
+        '   background concepts, alternatives and constraints it touches on. Group them into categories.',
+        '2. Add each concept with add_concept, using short stable IDs and the category as a grouping.',
+        '3. Connect related concepts with add_connection. Use weights near 1.0 for strong association,',
+        '   lower weights for weak association and negative weights for concepts that exclude each other.',
+        '4. Activate the concepts named in the question with set_initial_activation.',
+        '5. Report the network you built as a list of concepts and connections.'
+      );
+
+      return userMessage(lines.join('\n'));
+    });
+
+  // Interpret the patterns that emerged in a session
+  server.prompt('can_interpret_patterns',
+    'Interpret the emergent patterns of a session as an answer to a query',
+    {
+      sessionId: sessionIdArg,
+      query: z.string().optional().describe('The question the activation run was answering'),
+      threshold: z.string().optional().describe('Activation threshold for pattern membership'),
+      method: z.string().optional().describe(`Community detection method (${COMMUNITY_METHODS.join(', ')})`)
+    },
+    async ({ sessionId, query, threshold, method }) => {
+      const network = sessionManager.getNetwork(sessionId);
+      if (method !== undefined && !COMMUNITY_METHODS.includes(method)) {
+        throw new ValidationError(`Unknown pattern detection method ${method}`);
+      }
+      const patterns = network.identifyEmergentPatterns(parseNumberArg('threshold', threshold, null), { method, track: false });
+      const summary = network.generateSummary({ track: false });
+
+      const text = [
+        `Interpret the emergent patterns of CAN session ${sessionId}${query ? ` as an answer to: ${query}` : '.'}`,
+        '',
+        `After ${summary.iterationCount} recorded activation states, the most activated concepts are:`,
+        formatConcepts(summary.topActivatedConcepts),
+        '',
+        'EMERGENT PATTERNS:',
+        formatPatterns(patterns),
+        '',
+        'For each pattern, explain what idea the co-activated concepts jointly represent, why they',
+        'cohere (cohesion) and how separate they are from the rest of the network (conductance).',
+        'Then relate the patterns to each other and integrate them into a single answer. If no',
+        'pattern emerged, suggest how to adjust the network or the activation parameters.'
+      ].join('\n');
+
+      return userMessage(text);
+    });
+}
+
+/**
+ * Parse a numeric prompt argument; prompt arguments are always strings
+ * @param {string} name Argument name
+ * @param {string} value Argument value
+ * @param {number|null} defaultValue Value to use when the argument is missing
+ * @returns {number|null} The parsed number
+ * @private
+ */
+function parseNumberArg(name, value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ValidationError(`Argument ${name} must be a number, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Build a prompt result with a single user message
+ * @param {string} text Message text
+ * @returns {Object} MCP prompt result
+ * @private
+ */
+function userMessage(text) {
+  return {
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text }
+      }
+    ]
+  };
+}
+
+/**
+ * Most concepts listed in a prompt, so prompts stay small for large networks
+ */
+const MAX_LISTED_CONCEPTS = 50;
+
+/**
+ * Format the most activated concepts as a bulleted list, ending with the
+ * number of concepts left out
+ * @param {Array<Object>} concepts Concepts with id, label, category and activation
+ * @returns {string} Formatted list
+ * @private
+ */
+function formatConcepts(concepts) {
+  if (concepts.length === 0) {
+    return '- (none)';
+  }
+
+  const listed = [...concepts]
+    .sort((a, b) => b.activation - a.activation)
+    .slice(0, MAX_LISTED_CONCEPTS);
+  const lines = listed.map(concept => {
+    const category = concept.category ? ` [${concept.category}]` : '';
+    return `- ${concept.label} (${concept.id})${category}: activation ${concept.activation.toFixed(3)}`;
+  });
+  if (concepts.length > listed.length) {
+    lines.push(`- … and ${concepts.length - listed.length} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format emergent patterns as a numbered list
+ * @param {Array<Object>} patterns Patterns from identifyEmergentPatterns
+ * @returns {string} Formatted list
+ * @private
+ */
+function formatPatterns(patterns) {
+  if (patterns.length === 0) {
+    return '(no patterns above the activation threshold)';
+  }
+
+  return patterns.map((pattern, index) => [
+    `${index + 1}. Pattern ${pattern.patternId}, centred on ${pattern.representativeConcept.label}:`,
+    `   average activation ${pattern.averageActivation.toFixed(3)}, cohesion ${pattern.cohesion.toFixed(3)},` +
+      ` conductance ${pattern.conductance.toFixed(3)}`,
+    `   concepts: ${pattern.concepts.map(c => c.label).join(', ')}`
+  ].join('\n')).join('\n');
+}
+
+/**
+ * Format a network summary
+ * @param {Object} summary Summary from generateSummary
+ * @returns {string} Formatted summary
+ * @private
+ */
+function formatSummary(summary) {
+  return [
+    `- Size: ${summary.networkSize.conceptCount} concepts, ${summary.networkSize.connectionCount} connections`,
+    `- Recorded activation states: ${summary.iterationCount}`,
+    'Most activated concepts:',
+    formatConcepts(summary.topActivatedConcepts),
+    'Emergent patterns:',
+    formatPatterns(summary.emergentPatterns)
+  ].join('\n');
+}
@@ -0,0 +1,214 @@
+/**
+ * MCP Resources for Concept Activation Network
+ *
+ * Publishes session state as read-only MCP resources, so clients can read
+ * networks without tool calls:
+ * - can://sessions
+ * - can://sessions/{sessionId}/network
+ * - can://sessions/{sessionId}/concepts/{conceptId}
+ * - can://sessions/{sessionId}/history/{iteration}
+ *
+ * Clients can subscribe to any of these URIs and receive
+ * notifications/resources/updated when the session changes or an
+ * activation run finishes.
+ */
+
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { exportNetwork } from './graph-formats.js';
+import { NotFoundError } from './errors.js';
+
+const SESSIONS_URI = 'can://sessions';
+
+/**
+ * Build a JSON resource result
+ * @param {URL} uri Resource URI
+ * @param {Object} data Resource contents
+ * @returns {Object} MCP resource result
+ * @private
+ */
+function jsonContents(uri, data) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+/**
+ * Register all MCP resources and change subscriptions
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+export function registerMCPResources(server, sessionManager) {
+  // Session listing
+  server.resource('sessions', SESSIONS_URI, {
+    description: 'All active CAN sessions',
+    mimeType: 'application/json'
+  },
+  async uri => jsonContents(uri, sessionManager.getAllSessions()));
+
+  const completeSessionId = value => Array.from(sessionManager.sessions.keys())
+    .filter(id => id.startsWith(value));
+
+  // Complete network of a session
+  server.resource('session-network', new ResourceTemplate('can://sessions/{sessionId}/network', {
+    list: async () => ({
+      resources: sessionManager.getAllSessions().map(session => ({
+        uri: `can://sessions/${session.sessionId}/network`,
+        name: `${session.name} network`,
+        mimeType: 'application/json'
+      }))
+    }),
+    complete: { sessionId: completeSessionId }
+  }), {
+    description: 'Concepts, connections and parameters of a session network',
+    mimeType: 'application/json'
+  },
+  async (uri, { sessionId }) => {
+    const session = sessionManager.getSession(sessionId);
+    const network = session.network;
+    return jsonContents(uri, {
+      sessionId,
+      name: session.name,
+      parameters: network.params,
+      iterationCount: network.iterationCount,
+      graph: JSON.parse(exportNetwork(network, 'json', { name: session.name }))
+    });
+  });
+
+  // Single concept with its connections
+  server.resource('session-concept', new ResourceTemplate('can://sessions/{sessionId}/concepts/{conceptId}', {
+    list: undefined,
+    complete: {
+      sessionId: completeSessionId,
+      conceptId: (value, context) => {
+        const sessionId = context?.arguments?.sessionId;
+        if (!sessionManager.sessions.has(sessionId)) {
+          return [];
+        }
+        return Array.from(sessionManager.sessions.get(sessionId).network.nodes.keys())
+          .filter(id => id.startsWith(value));
+      }
+    }
+  }), {
+    description: 'A concept of a session network with its incoming and outgoing connections',
+    mimeType: 'application/json'
+  },
+  async (uri, { sessionId, conceptId }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    return jsonContents(uri, network.getConceptDetails(conceptId));
+  });
+
+  // Activation state recorded at one iteration
+  server.resource('session-history', new ResourceTemplate('can://sessions/{sessionId}/history/{iteration}', {
+    list: undefined,
+    complete: { sessionId: completeSessionId }
+  }), {
+    description: 'Activation state of a session network at one iteration',
+    mimeType: 'application/json'
+  },
+  async (uri, { sessionId, iteration }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const entry = network.getHistoryEntry(Number(iteration));
+    if (!entry) {
+      throw new NotFoundError(`Iteration ${iteration} not found in session ${sessionId}`);
+    }
+    return jsonContents(uri, entry);
+  });
+
+  registerSubscriptions(server, sessionManager);
+}
+
+/**
+ * Handle resources/subscribe and send resources/updated notifications for
+ * subscribed URIs when sessions change. Changes made in the same tick,
+ * such as the iterations of one activation run, are reported once.
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ * @private
+ */
+function registerSubscriptions(server, sessionManager) {
+  const subscriptions = new Set();
+  const changedSessions = new Set();
+  let sessionsChanged = false;
+  let flushScheduled = false;
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const flush = () => {
+    flushScheduled = false;
+    const updated = new Set();
+
+    for (const uri of subscriptions) {
+      if (uri === SESSIONS_URI) {
+        if (sessionsChanged || changedSessions.size > 0) {
+          updated.add(uri);
+        }
+        continue;
+      }
+
+      for (const sessionId of changedSessions) {
+        if (uri.startsWith(`${SESSIONS_URI}/${sessionId}/`)) {
+          updated.add(uri);
+        }
+      }
+    }
+
+    if (sessionsChanged) {
+      server.sendResourceListChanged();
+    }
+
+    changedSessions.clear();
+    sessionsChanged = false;
+
+    if (!server.isConnected()) {
+      return;
+    }
+    for (const uri of updated) {
+      server.server.sendResourceUpdated({ uri }).catch(error => {
+        console.error(`Error sending update for ${uri}:`, error);
+      });
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (!flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flush);
+    }
+  };
+
+  const onSessionChanged = sessionId => {
+    changedSessions.add(sessionId);
+    scheduleFlush();
+  };
+
+  const onSessionsChanged = () => {
+    sessionsChanged = true;
+    scheduleFlush();
+  };
+
+  sessionManager.on('session-changed', onSessionChanged);
+  sessionManager.on('sessions-changed', onSessionsChanged);
+
+  // Stop listening once the client disconnects
+  server.server.onclose = () => {
+    sessionManager.off('session-changed', onSessionChanged);
+    sessionManager.off('sessions-changed', onSessionsChanged);
+  };
+}
@@ -7,24 +7,82 @@
  */
 
 import { z } from 'zod';
+import { exportNetwork, importNetwork, GRAPH_FORMATS } from './graph-formats.js';
+import { COMMUNITY_METHODS } from './community-detection.js';
+import { LEARNING_RULES } from './hebbian-learning.js';
+import {
+  applyNetworkSpec, networkSpecSchema, conceptSpecSchema, connectionSpecSchema, defaultConceptsSchema, SPEC_MODES
+} from './network-spec.js';
+import { MATCH_MODES } from './concept-index.js';
+import { ingestText, MAX_INGESTION_TEXT_LENGTH, MAX_NGRAM } from './text-ingestion.js';
+import { MAX_EMBEDDING_DIMENSIONS } from './embedding-index.js';
+import { runAsActor, summarizeEntry } from './mutation-log.js';
+import { HISTORY_RETENTION_MODES } from './activation-history.js';
+import { MAX_PARALLEL_WORKERS } from './parallel-spreading.js';
+import { buildVisualization, renderNetworkSvg, MAX_VISUALIZATION_CONCEPTS } from './network-visualization.js';
+import { registerMCPResources } from './mcp-resources.js';
+import { registerMCPPrompts } from './mcp-prompts.js';
 
 /**
- * Register all MCP resources and tools for the CAN server
+ * Register all MCP resources, prompts and tools for the CAN server
  * @param {Object} server MCP server instance
  * @param {SessionManager} sessionManager Session manager instance
  */
 export function registerMCPTools(server, sessionManager) {
+  // Mutations made by tools are attributed to the connected client
+  const tools = attributeToClient(server);
+  
   // Register session management tools
-  registerSessionTools(server, sessionManager);
+  registerSessionTools(tools, sessionManager);
   
   // Register concept management tools
-  registerConceptTools(server, sessionManager);
+  registerConceptTools(tools, sessionManager);
   
   // Register activation tools
-  registerActivationTools(server, sessionManager);
+  registerActivationTools(tools, sessionManager);
   
   // Register analysis tools
-  registerAnalysisTools(server, sessionManager);
+  registerAnalysisTools(tools, sessionManager);
+  
+  // Register embedding tools
+  registerEmbeddingTools(tools, sessionManager);
+  
+  // Register import/export tools
+  registerImportExportTools(tools, sessionManager);
+  
+  // Register template tools
+  registerTemplateTools(tools, sessionManager);
+  
+  // Register visualization tools
+  registerVisualizationTools(tools, sessionManager);
+  
+  // Register undo, redo and mutation log tools
+  registerMutationLogTools(tools, sessionManager);
+  
+  // Register session, network, concept and history resources
+  registerMCPResources(server, sessionManager);
+  
+  // Register reasoning workflow prompts
+  registerMCPPrompts(server, sessionManager);
+}
+
+/**
+ * Wrap an MCP server so the handlers of the tools registered through it run
+ * as the connected client ('mcp:<client name>') in the mutation log
+ * @param {Object} server MCP server instance
+ * @returns {Object} Object with a tool method like the server's
+ * @private
+ */
+function attributeToClient(server) {
+  return {
+    tool(...args) {
+      const handler = args.pop();
+      return server.tool(...args, (...handlerArgs) => {
+        const client = server.server.getClientVersion()?.name ?? 'unknown';
+        return runAsActor(`mcp:${client}`, () => handler(...handlerArgs));
+      });
+    }
+  };
 }
 
 /**
@@ -36,10 +94,50 @@ function registerSessionTools(server, sessionManager) {
   // Create session tool
   server.tool('create_session', {
     name: z.string().optional(),
-    defaultConcepts: z.record(z.any()).optional()
+    defaultConcepts: defaultConceptsSchema.optional(),
+    spec: networkSpecSchema.optional(),
+    persist: z.boolean().default(false)
+  }, 
+  async ({ name, defaultConcepts, spec, persist }) => {
+    const result = sessionManager.createSession({ name, defaultConcepts, spec, persist });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Fork session tool
+  server.tool('fork_session', {
+    sessionId: z.string(),
+    name: z.string().optional(),
+    includeHistory: z.boolean().default(false),
+    persist: z.boolean().default(false)
   }, 
-  async ({ name, defaultConcepts }) => {
-    const result = sessionManager.createSession({ name, defaultConcepts });
+  async ({ sessionId, name, includeHistory, persist }) => {
+    const result = sessionManager.forkSession(sessionId, { name, includeHistory, persist });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Diff sessions tool
+  server.tool('diff_sessions', {
+    baseSessionId: z.string(),
+    compareSessionId: z.string(),
+    threshold: z.number().optional(),
+    limit: z.number().int().positive().default(10)
+  }, 
+  async ({ baseSessionId, compareSessionId, threshold, limit }) => {
+    const result = sessionManager.diffSessions(baseSessionId, compareSessionId, { threshold: threshold ?? null, limit });
     return {
       content: [
         {
@@ -69,7 +167,7 @@ function registerSessionTools(server, sessionManager) {
     sessionId: z.string()
   }, 
   async ({ sessionId }) => {
-    const deleted = sessionManager.deleteSession(sessionId);
+    const deleted = await sessionManager.deleteSession(sessionId);
     return {
       content: [
         {
@@ -82,6 +180,39 @@ function registerSessionTools(server, sessionManager) {
       ]
     };
   });
+  
+  // Save session tool
+  server.tool('save_session', {
+    sessionId: z.string(),
+    includeHistory: z.boolean().default(false)
+  }, 
+  async ({ sessionId, includeHistory }) => {
+    const result = await sessionManager.saveSession(sessionId, { includeHistory });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Load session tool
+  server.tool('load_session', {
+    sessionId: z.string()
+  }, 
+  async ({ sessionId }) => {
+    const result = await sessionManager.loadSession(sessionId);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
 }
 
 /**
@@ -131,17 +262,67 @@ function registerConceptTools(server, sessionManager) {
     };
   });
   
+  // Get concept tool
+  server.tool('get_concept', {
+    sessionId: z.string(),
+    conceptId: z.string()
+  }, 
+  async ({ sessionId, conceptId }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(network.getConceptDetails(conceptId))
+        }
+      ]
+    };
+  });
+  
+  // Update concept tool
+  server.tool('update_concept', {
+    sessionId: z.string(),
+    conceptId: z.string(),
+    label: z.string().min(1).optional(),
+    category: z.string().nullable().optional(),
+    metadata: z.record(z.any()).optional(),
+    metadataMode: z.enum(['merge', 'replace']).default('merge'),
+    bias: z.number().optional(),
+    activationCap: z.number().nullable().optional(),
+    embedding: z.array(z.number()).min(1).max(MAX_EMBEDDING_DIMENSIONS).nullable().optional()
+  }, 
+  async ({ sessionId, conceptId, ...updates }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    network.updateConcept(conceptId, updates);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(network.getConceptDetails(conceptId))
+        }
+      ]
+    };
+  });
+  
   // Add connection tool
   server.tool('add_connection', {
     sessionId: z.string(),
     sourceId: z.string(),
     targetId: z.string(),
-    weight: z.number().default(0.5),
-    bidirectional: z.boolean().default(true)
+    weight: z.number().min(-1).max(1).default(0.5),
+    bidirectional: z.boolean().default(true),
+    relation: z.string().min(1).optional(),
+    relationLabel: z.string().optional(),
+    provenance: z.string().optional()
   }, 
-  async ({ sessionId, sourceId, targetId, weight, bidirectional }) => {
+  async ({ sessionId, sourceId, targetId, weight, bidirectional, relation, relationLabel, provenance }) => {
     const network = sessionManager.getNetwork(sessionId);
-    network.addConnection(sourceId, targetId, weight, bidirectional);
+    network.addConnection(sourceId, targetId, weight, bidirectional, {
+      type: relation,
+      label: relationLabel,
+      provenance
+    });
+    const stored = network.getConcept(sourceId).getRelation(targetId);
     return {
       content: [
         {
@@ -151,7 +332,139 @@ function registerConceptTools(server, sessionManager) {
             sourceId,
             targetId,
             weight,
-            bidirectional
+            bidirectional,
+            relation: stored.type,
+            relationLabel: stored.label,
+            provenance: stored.provenance
+          })
+        }
+      ]
+    };
+  });
+  
+  // Find concepts tool
+  server.tool('find_concepts', {
+    sessionId: z.string(),
+    query: z.string().optional(),
+    match: z.enum(MATCH_MODES).default('fuzzy'),
+    minScore: z.number().min(0).max(1).default(0.4),
+    category: z.string().optional(),
+    metadata: z.record(z.any()).optional(),
+    limit: z.number().int().positive().default(10)
+  }, 
+  async ({ sessionId, ...options }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = network.findConcepts(options);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Add concepts batch tool
+  server.tool('add_concepts_batch', {
+    sessionId: z.string(),
+    concepts: z.array(conceptSpecSchema).min(1)
+  }, 
+  async ({ sessionId, concepts }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = applyNetworkSpec(network, { concepts });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Add connections batch tool
+  server.tool('add_connections_batch', {
+    sessionId: z.string(),
+    connections: z.array(connectionSpecSchema).min(1)
+  }, 
+  async ({ sessionId, connections }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = applyNetworkSpec(network, { connections });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Apply network spec tool
+  server.tool('apply_network_spec', {
+    sessionId: z.string(),
+    spec: networkSpecSchema,
+    mode: z.enum(SPEC_MODES).default('merge')
+  }, 
+  async ({ sessionId, spec, mode }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = applyNetworkSpec(network, spec, { mode });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Ingest text tool
+  server.tool('ingest_text', {
+    sessionId: z.string(),
+    text: z.string().min(1).max(MAX_INGESTION_TEXT_LENGTH),
+    ...ingestionSchema()
+  }, 
+  async ({ sessionId, text, ...options }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    
+    const ingestionOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) ingestionOptions[key] = value;
+    }
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(ingestText(network, text, ingestionOptions))
+        }
+      ]
+    };
+  });
+  
+  // Update connection tool
+  server.tool('update_connection', {
+    sessionId: z.string(),
+    sourceId: z.string(),
+    targetId: z.string(),
+    weight: z.number().min(-1).max(1).optional(),
+    relation: z.string().min(1).optional(),
+    relationLabel: z.string().nullable().optional(),
+    provenance: z.string().nullable().optional(),
+    bidirectional: z.boolean().default(true)
+  }, 
+  async ({ sessionId, sourceId, targetId, bidirectional, ...updates }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const updated = network.updateConnection(sourceId, targetId, updates, bidirectional);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            updated
           })
         }
       ]
@@ -191,18 +504,66 @@ function registerActivationTools(server, sessionManager) {
   // Set parameters tool
   server.tool('set_parameters', {
     sessionId: z.string(),
-    activationThreshold: z.number().default(0.7),
-    decayRate: z.number().default(0.1),
-    maxIterations: z.number().default(5),
-    convergenceThreshold: z.number().default(0.01)
+    activationThreshold: z.number().optional(),
+    decayRate: z.number().optional(),
+    maxIterations: z.number().optional(),
+    convergenceThreshold: z.number().optional(),
+    lateralInhibition: z.number().min(0).optional(),
+    activationFunction: z.string().optional(),
+    activationGain: z.number().optional(),
+    activationBias: z.number().optional(),
+    activationCeiling: z.number().optional(),
+    restingLevel: z.number().optional(),
+    algorithm: z.string().optional(),
+    restartProbability: z.number().min(0).max(1).optional(),
+    diffusionTime: z.number().min(0).optional(),
+    patternDetection: z.enum(COMMUNITY_METHODS).optional(),
+    patternResolution: z.number().positive().optional(),
+    trackPatterns: z.boolean().optional(),
+    relationMultipliers: z.record(z.number()).optional(),
+    relationTypes: z.array(z.string().min(1)).nullable().optional(),
+    historyRetention: z.enum(HISTORY_RETENTION_MODES).optional(),
+    historyLimit: z.number().int().positive().optional(),
+    historyInterval: z.number().int().positive().optional(),
+    parallelWorkers: z.number().int().min(0).max(MAX_PARALLEL_WORKERS).optional(),
+    mutationLogLimit: z.number().int().positive().optional(),
+    ...learningSchema(),
+    autoLearn: z.boolean().optional()
   }, 
-  async ({ sessionId, activationThreshold, decayRate, maxIterations, convergenceThreshold }) => {
+  async ({ sessionId, activationThreshold, decayRate, maxIterations, convergenceThreshold, lateralInhibition,
+    activationFunction, activationGain, activationBias, activationCeiling, restingLevel,
+    algorithm, restartProbability, diffusionTime, patternDetection, patternResolution, trackPatterns,
+    relationMultipliers, relationTypes, historyRetention, historyLimit, historyInterval, parallelWorkers, mutationLogLimit,
+    autoLearn, ...learningOptions }) => {
     const network = sessionManager.getNetwork(sessionId);
     const params = {};
     if (activationThreshold !== undefined) params.activationThreshold = activationThreshold;
     if (decayRate !== undefined) params.decayRate = decayRate;
     if (maxIterations !== undefined) params.maxIterations = maxIterations;
     if (convergenceThreshold !== undefined) params.convergenceThreshold = convergenceThreshold;
+    if (lateralInhibition !== undefined) params.lateralInhibition = lateralInhibition;
+    if (activationFunction !== undefined) params.activationFunction = activationFunction;
+    if (activationGain !== undefined) params.activationGain = activationGain;
+    if (activationBias !== undefined) params.activationBias = activationBias;
+    if (activationCeiling !== undefined) params.activationCeiling = activationCeiling;
+    if (restingLevel !== undefined) params.restingLevel = restingLevel;
+    if (algorithm !== undefined) params.algorithm = algorithm;
+    if (restartProbability !== undefined) params.restartProbability = restartProbability;
+    if (diffusionTime !== undefined) params.diffusionTime = diffusionTime;
+    if (patternDetection !== undefined) params.patternDetection = patternDetection;
+    if (patternResolution !== undefined) params.patternResolution = patternResolution;
+    if (trackPatterns !== undefined) params.trackPatterns = trackPatterns;
+    if (relationMultipliers !== undefined) params.relationMultipliers = relationMultipliers;
+    if (relationTypes !== undefined) params.relationTypes = relationTypes;
+    if (historyRetention !== undefined) params.historyRetention = historyRetention;
+    if (historyLimit !== undefined) params.historyLimit = historyLimit;
+    if (historyInterval !== undefined) params.historyInterval = historyInterval;
+    if (parallelWorkers !== undefined) params.parallelWorkers = parallelWorkers;
+    if (mutationLogLimit !== undefined) params.mutationLogLimit = mutationLogLimit;
+    if (autoLearn !== undefined) params.autoLearn = autoLearn;
+    for (const [key, value] of Object.entries(learningOptions)) {
+      if (value !== undefined) params[key] = value;
+    }
     
     network.setParameters(params);
     return {
@@ -221,19 +582,29 @@ function registerActivationTools(server, sessionManager) {
   // Set initial activation tool
   server.tool('set_initial_activation', {
     sessionId: z.string(),
-    conceptIds: z.array(z.string()),
+    conceptIds: z.array(z.string()).default([]),
+    labels: z.array(z.string()).optional(),
+    queries: z.array(z.string()).optional(),
+    match: z.enum(MATCH_MODES).default('fuzzy'),
+    category: z.string().optional(),
+    matchesPerQuery: z.number().int().positive().default(1),
     activationValue: z.number().default(1.0)
   }, 
-  async ({ sessionId, conceptIds, activationValue }) => {
+  async ({ sessionId, conceptIds, labels, queries, match, category, matchesPerQuery, activationValue }) => {
     const network = sessionManager.getNetwork(sessionId);
-    network.setInitialActivation(conceptIds, activationValue);
+    const { conceptIds: resolvedIds, resolved } = network.resolveConcepts(
+      { conceptIds, labels, queries },
+      { match, category, matchesPerQuery }
+    );
+    network.setInitialActivation(resolvedIds, activationValue);
     return {
       content: [
         {
           type: 'text',
           text: JSON.stringify({
             success: true,
-            activatedCount: conceptIds.length
+            activatedCount: resolvedIds.length,
+            ...(resolved.length > 0 ? { resolved } : {})
           })
         }
       ]
@@ -243,11 +614,13 @@ function registerActivationTools(server, sessionManager) {
   // Run activation iteration tool
   server.tool('run_activation_iteration', {
     sessionId: z.string(),
-    decayRate: z.number().optional()
+    decayRate: z.number().optional(),
+    algorithm: z.string().optional(),
+    relationTypes: z.array(z.string().min(1)).optional()
   }, 
-  async ({ sessionId, decayRate }) => {
+  async ({ sessionId, decayRate, algorithm, relationTypes }) => {
     const network = sessionManager.getNetwork(sessionId);
-    const result = network.spreadActivation(decayRate);
+    const result = await network.spreadActivationAsync(decayRate ?? null, algorithm ?? null, relationTypes ?? null);
     
     return {
       content: [
@@ -262,22 +635,49 @@ function registerActivationTools(server, sessionManager) {
     };
   });
   
+  // Learn from activation tool
+  server.tool('learn_from_activation', {
+    sessionId: z.string(),
+    ...learningSchema()
+  }, 
+  async ({ sessionId, ...options }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    
+    const learningOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) learningOptions[key] = value;
+    }
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(network.learnFromActivation(learningOptions))
+        }
+      ]
+    };
+  });
+  
   // Run until convergence tool
   server.tool('run_until_convergence', {
     sessionId: z.string(),
     maxIterations: z.number().optional(),
     convergenceThreshold: z.number().optional(),
-    decayRate: z.number().optional()
+    decayRate: z.number().optional(),
+    algorithm: z.string().optional(),
+    relationTypes: z.array(z.string().min(1)).optional()
   }, 
-  async ({ sessionId, maxIterations, convergenceThreshold, decayRate }) => {
+  async ({ sessionId, maxIterations, convergenceThreshold, decayRate, algorithm, relationTypes }) => {
     const network = sessionManager.getNetwork(sessionId);
     
     const options = {};
     if (maxIterations !== undefined) options.maxIterations = maxIterations;
     if (convergenceThreshold !== undefined) options.convergenceThreshold = convergenceThreshold;
     if (decayRate !== undefined) options.decayRate = decayRate;
+    if (algorithm !== undefined) options.algorithm = algorithm;
+    if (relationTypes !== undefined) options.relationTypes = relationTypes;
     
-    const result = network.runUntilConvergence(options);
+    const result = await network.runUntilConvergenceAsync(options);
     
     return {
       content: [
@@ -293,6 +693,42 @@ function registerActivationTools(server, sessionManager) {
   });
 }
 
+/**
+ * Schema of the optional text ingestion options
+ * @returns {Object} Zod schema fields
+ */
+function ingestionSchema() {
+  return {
+    source: z.string().min(1).optional(),
+    category: z.string().optional(),
+    maxConcepts: z.number().int().positive().optional(),
+    minSupport: z.number().int().positive().optional(),
+    maxNgram: z.number().int().min(1).max(MAX_NGRAM).optional(),
+    windowSize: z.number().int().min(2).optional(),
+    minCooccurrence: z.number().int().positive().optional(),
+    minPmi: z.number().min(-1).max(1).optional(),
+    maxConnectionsPerConcept: z.number().int().min(0).optional(),
+    maxSpans: z.number().int().min(0).optional(),
+    stopwords: z.array(z.string().min(1)).optional()
+  };
+}
+
+/**
+ * Schema of the optional Hebbian learning options
+ * @returns {Object} Zod schema fields
+ */
+function learningSchema() {
+  return {
+    learningRate: z.number().min(0).optional(),
+    weightDecay: z.number().min(0).max(1).optional(),
+    maxWeight: z.number().min(0).max(1).optional(),
+    learningRule: z.enum(LEARNING_RULES).optional(),
+    createConnections: z.boolean().optional(),
+    coactivationThreshold: z.number().optional(),
+    maxNewConnections: z.number().int().min(0).optional()
+  };
+}
+
 /**
  * Register analysis tools
  * @param {Object} server MCP server instance
@@ -320,15 +756,16 @@ function registerAnalysisTools(server, sessionManager) {
   // Identify emergent patterns tool
   server.tool('identify_emergent_patterns', {
     sessionId: z.string(),
-    threshold: z.number().optional()
+    threshold: z.number().optional(),
+    method: z.enum(COMMUNITY_METHODS).optional()
   }, 
-  async ({ sessionId, threshold }) => {
+  async ({ sessionId, threshold, method }) => {
     const network = sessionManager.getNetwork(sessionId);
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(network.identifyEmergentPatterns(threshold))
+          text: JSON.stringify(network.identifyEmergentPatterns(threshold ?? null, { method: method ?? null }))
         }
       ]
     };
@@ -350,20 +787,368 @@ function registerAnalysisTools(server, sessionManager) {
     };
   });
   
+  // Explain activation tool
+  server.tool('explain_activation', {
+    sessionId: z.string(),
+    conceptId: z.string(),
+    maxPaths: z.number().int().positive().default(5),
+    maxContributors: z.number().int().positive().default(5)
+  }, 
+  async ({ sessionId, conceptId, maxPaths, maxContributors }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(network.explainActivation(conceptId, { maxPaths, maxContributors }))
+        }
+      ]
+    };
+  });
+  
   // Get activation history tool
   server.tool('get_activation_history', {
     sessionId: z.string(),
-    startIteration: z.number().default(0),
-    limit: z.number().default(10)
+    startIteration: z.number().int().nonnegative().default(0),
+    limit: z.number().int().positive().default(10)
   }, 
   async ({ sessionId, startIteration, limit }) => {
     const network = sessionManager.getNetwork(sessionId);
-    const history = network.activationHistory;
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(history.slice(startIteration, startIteration + limit))
+          text: JSON.stringify(network.getActivationHistory({ startIteration, limit }))
+        }
+      ]
+    };
+  });
+  
+  // Get concept trajectory tool
+  server.tool('get_concept_trajectory', {
+    sessionId: z.string(),
+    conceptIds: z.array(z.string()).min(1).optional(),
+    limit: z.number().int().positive().default(5),
+    startIteration: z.number().int().nonnegative().optional(),
+    endIteration: z.number().int().nonnegative().optional()
+  }, 
+  async ({ sessionId, conceptIds, limit, startIteration, endIteration }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    // Default to the concepts that are most active now
+    const ids = conceptIds ?? network.getTopActivatedConcepts(limit, -Infinity).map(c => c.id);
+    const result = network.getConceptTrajectories(ids, {
+      startIteration: startIteration ?? null,
+      endIteration: endIteration ?? null
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+}
+
+/**
+ * Register embedding and similarity tools
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+function registerEmbeddingTools(server, sessionManager) {
+  const vector = z.array(z.number()).min(1).max(MAX_EMBEDDING_DIMENSIONS);
+  
+  // Set embeddings tool
+  server.tool('set_embeddings', {
+    sessionId: z.string(),
+    embeddings: z.record(vector.nullable())
+  }, 
+  async ({ sessionId, embeddings }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(network.setEmbeddings(embeddings))
+        }
+      ]
+    };
+  });
+  
+  // Suggest connections tool
+  server.tool('suggest_connections', {
+    sessionId: z.string(),
+    conceptIds: z.array(z.string()).optional(),
+    k: z.number().int().positive().default(5),
+    minSimilarity: z.number().min(-1).max(1).default(0.5),
+    limit: z.number().int().positive().default(100),
+    apply: z.boolean().default(false)
+  }, 
+  async ({ sessionId, conceptIds, k, minSimilarity, limit, apply }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = network.suggestConnections({ conceptIds: conceptIds ?? null, k, minSimilarity, limit, apply });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
+        }
+      ]
+    };
+  });
+  
+  // Activate by vector tool
+  server.tool('activate_by_vector', {
+    sessionId: z.string(),
+    vector,
+    k: z.number().int().positive().default(10),
+    minSimilarity: z.number().min(0).max(1).default(0)
+  }, 
+  async ({ sessionId, vector: query, k, minSimilarity }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = network.activateByVector(query, { k, minSimilarity });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            activatedCount: result.activated.length,
+            ...result
+          })
+        }
+      ]
+    };
+  });
+}
+
+/**
+ * Register import/export tools
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+function registerImportExportTools(server, sessionManager) {
+  // Export network tool
+  server.tool('export_network', {
+    sessionId: z.string(),
+    format: z.enum(GRAPH_FORMATS).default('json')
+  }, 
+  async ({ sessionId, format }) => {
+    const session = sessionManager.getSession(sessionId);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: exportNetwork(session.network, format, { name: session.name })
+        }
+      ]
+    };
+  });
+  
+  // Import network tool
+  server.tool('import_network', {
+    sessionId: z.string(),
+    format: z.enum(GRAPH_FORMATS).default('json'),
+    data: z.string(),
+    mode: z.enum(['merge', 'replace']).default('merge')
+  }, 
+  async ({ sessionId, format, data, mode }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const result = importNetwork(network, data, format, { mode });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            ...result
+          })
+        }
+      ]
+    };
+  });
+}
+
+/**
+ * Register template tools
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+function registerTemplateTools(server, sessionManager) {
+  // List templates tool
+  server.tool('list_templates', {
+    tag: z.string().optional()
+  }, 
+  async ({ tag }) => {
+    const templates = await sessionManager.listTemplates({ tag: tag ?? null });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ templates })
+        }
+      ]
+    };
+  });
+  
+  // Load template tool
+  server.tool('load_template', {
+    templateId: z.string(),
+    version: z.string().optional(),
+    sessionId: z.string().optional(),
+    mode: z.enum(SPEC_MODES).default('merge'),
+    name: z.string().optional(),
+    persist: z.boolean().default(false)
+  }, 
+  async ({ templateId, version, sessionId, mode, name, persist }) => {
+    const result = await sessionManager.loadTemplate(templateId, {
+      version: version ?? null,
+      sessionId: sessionId ?? null,
+      mode,
+      name: name ?? null,
+      persist
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            ...result
+          })
+        }
+      ]
+    };
+  });
+}
+
+/**
+ * Register visualization tools
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+function registerVisualizationTools(server, sessionManager) {
+  // Render network tool
+  server.tool('render_network', {
+    sessionId: z.string(),
+    limit: z.number().int().positive().max(MAX_VISUALIZATION_CONCEPTS).optional(),
+    width: z.number().int().min(200).max(4000).optional(),
+    height: z.number().int().min(200).max(4000).optional()
+  }, 
+  async ({ sessionId, limit, width, height }) => {
+    const session = sessionManager.getSession(sessionId);
+    
+    const options = {};
+    if (limit !== undefined) options.limit = limit;
+    if (width !== undefined) options.width = width;
+    if (height !== undefined) options.height = height;
+    
+    const visualization = buildVisualization(session.network, options);
+    const svg = renderNetworkSvg(visualization, { title: session.name });
+    return {
+      content: [
+        {
+          type: 'image',
+          data: Buffer.from(svg).toString('base64'),
+          mimeType: 'image/svg+xml'
+        },
+        {
+          type: 'text',
+          text: JSON.stringify({
+            shownConcepts: visualization.nodes.length,
+            totalConcepts: visualization.totalConcepts,
+            shownConnections: visualization.edges.length,
+            patterns: visualization.patterns.length,
+            iteration: visualization.iteration
+          })
+        }
+      ]
+    };
+  });
+}
+
+/**
+ * Register undo, redo and mutation log tools
+ * @param {Object} server MCP server instance
+ * @param {SessionManager} sessionManager Session manager instance
+ */
+function registerMutationLogTools(server, sessionManager) {
+  // Undo tool
+  server.tool('undo', {
+    sessionId: z.string(),
+    steps: z.number().int().positive().default(1)
+  }, 
+  async ({ sessionId, steps }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const undone = network.undo(steps);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            undone: undone.map(summarizeEntry),
+            ...network.mutationLog.getStatus()
+          })
+        }
+      ]
+    };
+  });
+  
+  // Redo tool
+  server.tool('redo', {
+    sessionId: z.string(),
+    steps: z.number().int().positive().default(1)
+  }, 
+  async ({ sessionId, steps }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    const redone = network.redo(steps);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            redone: redone.map(summarizeEntry),
+            ...network.mutationLog.getStatus()
+          })
+        }
+      ]
+    };
+  });
+  
+  // Get mutation log tool
+  server.tool('get_mutation_log', {
+    sessionId: z.string(),
+    start: z.number().int().nonnegative().default(0),
+    limit: z.number().int().positive().default(50),
+    includeChanges: z.boolean().default(false)
+  }, 
+  async ({ sessionId, start, limit, includeChanges }) => {
+    const network = sessionManager.getNetwork(sessionId);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(network.mutationLog.getEntries({ start, limit, includeChanges }))
+        }
+      ]
+    };
+  });
+  
+  // Replay mutation log tool
+  server.tool('replay_mutation_log', {
+    sessionId: z.string(),
+    upToSeq: z.number().int().nonnegative().optional(),
+    name: z.string().optional(),
+    persist: z.boolean().default(false)
+  }, 
+  async ({ sessionId, upToSeq, name, persist }) => {
+    const result = sessionManager.replaySession(sessionId, { upToSeq: upToSeq ?? null, name, persist });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result)
         }
       ]
     };
@@ -0,0 +1,381 @@
+/**
+ * Mutation Log for Concept Networks
+ *
+ * Records every structural change of a network (concepts, connections,
+ * parameters, learned weights) as an auditable entry:
+ *
+ *   {
+ *     seq: 12,
+ *     timestamp: Date,
+ *     actor: 'mcp:claude-ai',
+ *     kind: 'mutation' | 'undo' | 'redo',
+ *     operation: 'removeConcept',
+ *     args: ['sun'],
+ *     target: 7,                                 // undo/redo: the entry undone or redone
+ *     changes: [{ method, args }],               // network calls that apply the entry
+ *     inverse: [{ method, args }]                // network calls that revert it
+ *   }
+ *
+ * Undo and redo append entries of their own, so the log is an audit trail.
+ * Applying the changes of every entry in order to the log's base state (an
+ * empty network, or the state the network was loaded in before it had a
+ * log) rebuilds the network.
+ *
+ * Once the log holds more than `limit` mutations (the mutationLogLimit
+ * parameter), the oldest entries are compacted: their changes are folded
+ * into the base state and they can no longer be undone. Undo and redo
+ * entries do not count toward the limit, and entries that can still be
+ * redone are never compacted.
+ *
+ * The actor of an entry is taken from runAsActor, which the MCP and REST
+ * layers wrap around each request.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { ValidationError } from './errors.js';
+
+/**
+ * Network methods that log entries may call
+ */
+export const REPLAYABLE_METHODS = [
+  'addConcept', 'removeConcept', 'updateConcept',
+  'addConnection', 'updateConnection', 'removeConnection', 'setWeights',
+  'setParameters', 'clear'
+];
+
+/**
+ * Default maximum number of mutation entries kept
+ */
+export const DEFAULT_MUTATION_LOG_LIMIT = 10000;
+
+/**
+ * Share of the limit kept by a compaction, so the base is not rebuilt on
+ * every mutation once the log is full
+ */
+const COMPACTION_KEEP_RATIO = 0.9;
+
+const actorStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with an actor attributed to the mutations it makes
+ * @param {string} actor Actor name (e.g. 'mcp:client-name', 'rest:127.0.0.1')
+ * @param {Function} fn Function to run
+ * @returns {*} The function's result
+ */
+export function runAsActor(actor, fn) {
+  return actorStorage.run(actor, fn);
+}
+
+/**
+ * Get the actor of the current request
+ * @returns {string} Actor name, or 'local' outside of any request
+ */
+export function currentActor() {
+  return actorStorage.getStore() ?? 'local';
+}
+
+/**
+ * Describe an entry without the network calls it makes
+ * @param {Object} entry Log entry
+ * @returns {Object} { seq, timestamp, actor, kind, operation, args, target? }
+ */
+export function summarizeEntry({ seq, timestamp, actor, kind, operation, args, target }) {
+  return { seq, timestamp, actor, kind, operation, args, ...(target !== undefined ? { target } : {}) };
+}
+
+export class MutationLog {
+  /**
+   * Create an empty mutation log
+   * @param {Object|null} base Serialized network the log starts from (null for an empty network)
+   */
+  constructor(base = null) {
+    this.base = base;
+    this.entries = []; // Consecutive sequence numbers, oldest first
+    this.limit = DEFAULT_MUTATION_LOG_LIMIT;
+    this.rebase = null; // Function of (base, calls) returning the base with the calls applied; compaction is off without it
+    this.undoStack = []; // Sequence numbers of entries that can be undone, most recent last
+    this.redoStack = []; // Sequence numbers of undone entries, most recently undone last
+    this.nextSeq = 1;
+    this.transaction = null; // Entry being collected by the outermost open transaction
+    this.suspended = 0; // Depth of nested applications that must not be recorded
+  }
+
+  /**
+   * Record a mutation, or add it to the open transaction
+   * @param {string} operation Operation name
+   * @param {Array} args Operation arguments
+   * @param {Array<Object>} changes Network calls that apply the mutation
+   * @param {Array<Object>} inverse Network calls that revert it
+   */
+  record(operation, args, changes, inverse) {
+    if (this.suspended > 0 || changes.length === 0) {
+      return;
+    }
+
+    if (this.transaction) {
+      this.transaction.changes.push(...changes);
+      this.transaction.inverse.unshift(...inverse);
+      return;
+    }
+
+    this.append({ kind: 'mutation', operation, args, changes, inverse });
+  }
+
+  /**
+   * Run a function whose mutations are recorded as a single entry. If the
+   * function throws, its mutations are reverted and nothing is recorded.
+   * @param {ConceptNetwork} network The network the log belongs to
+   * @param {string} operation Operation name
+   * @param {Array} args Operation arguments
+   * @param {Function} fn Function making the mutations
+   * @returns {*} The function's result
+   */
+  group(network, operation, args, fn) {
+    if (this.transaction || this.suspended > 0) {
+      return fn();
+    }
+
+    this.transaction = { changes: [], inverse: [] };
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      const { inverse } = this.transaction;
+      this.transaction = null;
+      this.apply(network, inverse);
+      throw error;
+    }
+    const { changes, inverse } = this.transaction;
+    this.transaction = null;
+    this.record(operation, args, changes, inverse);
+    return result;
+  }
+
+  /**
+   * Append an entry and update the undo and redo stacks
+   * @param {Object} entry Entry without seq, timestamp and actor
+   * @returns {Object} The appended entry
+   * @private
+   */
+  append(entry) {
+    const full = {
+      seq: this.nextSeq++,
+      timestamp: new Date(),
+      actor: currentActor(),
+      ...entry,
+      args: structuredClone(entry.args),
+      changes: structuredClone(entry.changes),
+      inverse: structuredClone(entry.inverse)
+    };
+    this.entries.push(full);
+    applyToStacks(this, full);
+    this.compact();
+    return full;
+  }
+
+  /**
+   * Fold the oldest entries into the base state if the log holds more than
+   * `limit` mutations. Undo and redo entries do not count toward the limit,
+   * and entries that can still be redone, and everything after them, are kept.
+   */
+  compact() {
+    if (!this.rebase || this.entries.length <= this.limit) {
+      return;
+    }
+    const mutations = this.entries.filter(entry => entry.kind === 'mutation').length;
+    if (mutations <= this.limit) {
+      return;
+    }
+
+    const keep = Math.max(1, Math.floor(this.limit * COMPACTION_KEEP_RATIO));
+    const oldestRedo = this.redoStack.length > 0 ? Math.min(...this.redoStack) : Infinity;
+    let dropCount = 0;
+    let droppedMutations = 0;
+    while (droppedMutations < mutations - keep && this.entries[dropCount].seq < oldestRedo) {
+      if (this.entries[dropCount].kind === 'mutation') droppedMutations++;
+      dropCount++;
+    }
+    if (dropCount === 0) {
+      return;
+    }
+    const dropped = this.entries.splice(0, dropCount);
+    this.base = this.rebase(this.base, dropped.flatMap(entry => entry.changes));
+    dropCompactedFromStacks(this);
+  }
+
+  /**
+   * Undo the most recent mutation that has not been undone
+   * @param {ConceptNetwork} network The network the log belongs to
+   * @returns {Object} The appended undo entry
+   * @throws {ValidationError} If there is nothing to undo
+   */
+  undo(network) {
+    const target = this.getEntry(this.undoStack[this.undoStack.length - 1]);
+    if (!target) {
+      throw new ValidationError('Nothing to undo');
+    }
+
+    this.apply(network, target.inverse);
+    return this.append({
+      kind: 'undo',
+      operation: target.operation,
+      args: target.args,
+      target: target.seq,
+      changes: target.inverse,
+      inverse: target.changes
+    });
+  }
+
+  /**
+   * Redo the most recently undone mutation
+   * @param {ConceptNetwork} network The network the log belongs to
+   * @returns {Object} The appended redo entry
+   * @throws {ValidationError} If there is nothing to redo
+   */
+  redo(network) {
+    const target = this.getEntry(this.redoStack[this.redoStack.length - 1]);
+    if (!target) {
+      throw new ValidationError('Nothing to redo');
+    }
+
+    this.apply(network, target.changes);
+    return this.append({
+      kind: 'redo',
+      operation: target.operation,
+      args: target.args,
+      target: target.seq,
+      changes: target.changes,
+      inverse: target.inverse
+    });
+  }
+
+  /**
+   * Apply network calls without recording them
+   * @param {ConceptNetwork} network The network
+   * @param {Array<Object>} calls Network calls ({ method, args })
+   */
+  apply(network, calls) {
+    this.suspended++;
+    try {
+      for (const { method, args } of calls) {
+        if (!REPLAYABLE_METHODS.includes(method)) {
+          throw new ValidationError(`Mutation log entry calls unsupported method ${method}`);
+        }
+        network[method](...structuredClone(args));
+      }
+    } finally {
+      this.suspended--;
+    }
+  }
+
+  /**
+   * Get an entry by sequence number
+   * @param {number} seq Sequence number
+   * @returns {Object|undefined} The entry
+   */
+  getEntry(seq) {
+    const entry = this.entries.length > 0 ? this.entries[seq - this.entries[0].seq] : undefined;
+    return entry?.seq === seq ? entry : undefined;
+  }
+
+  /**
+   * Get a page of entries with the undo and redo state
+   * @param {Object} options Page options
+   * @param {number} options.start Index of the first entry
+   * @param {number} options.limit Maximum number of entries
+   * @param {boolean} options.includeChanges Whether to include the network calls of each entry
+   * @returns {Object} { total, entries, canUndo, canRedo, nextUndo, nextRedo }
+   */
+  getEntries({ start = 0, limit = 50, includeChanges = false } = {}) {
+    const entries = this.entries.slice(start, start + limit)
+      .map(entry => includeChanges ? entry : summarizeEntry(entry));
+    return {
+      total: this.entries.length,
+      entries,
+      ...this.getStatus()
+    };
+  }
+
+  /**
+   * Describe the undo and redo state
+   * @returns {Object} { canUndo, canRedo, nextUndo, nextRedo } with the operations undo and redo would revert or reapply
+   */
+  getStatus() {
+    const describe = seq => {
+      const entry = this.getEntry(seq);
+      return entry ? { seq: entry.seq, operation: entry.operation, args: entry.args } : null;
+    };
+    return {
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+      nextUndo: describe(this.undoStack[this.undoStack.length - 1]),
+      nextRedo: describe(this.redoStack[this.redoStack.length - 1])
+    };
+  }
+
+  /**
+   * Get a serializable representation
+   * @returns {Object} Serialized log
+   */
+  toJSON() {
+    return {
+      base: this.base,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Rebuild a log from its base and entries, recomputing the undo and redo
+   * stacks from the entries
+   * @param {Object} data Serialized log ({ base, entries })
+   * @param {number|null} upToSeq Only keep entries up to this sequence number
+   * @returns {MutationLog} The log
+   */
+  static fromJSON({ base = null, entries = [] } = {}, upToSeq = null) {
+    const log = new MutationLog(base);
+    for (const entry of entries) {
+      if (upToSeq !== null && entry.seq > upToSeq) break;
+      const restored = { ...entry, timestamp: new Date(entry.timestamp) };
+      log.entries.push(restored);
+      log.nextSeq = entry.seq + 1;
+      applyToStacks(log, restored);
+    }
+    dropCompactedFromStacks(log);
+    return log;
+  }
+}
+
+/**
+ * Drop the undo and redo steps that reach back to compacted entries: a
+ * stack only keeps the steps above its last step onto a compacted entry
+ * @param {MutationLog} log The log
+ * @private
+ */
+function dropCompactedFromStacks(log) {
+  const firstSeq = log.entries.length > 0 ? log.entries[0].seq : log.nextSeq;
+  const retained = stack => stack.slice(stack.findLastIndex(seq => seq < firstSeq) + 1);
+  log.undoStack = retained(log.undoStack);
+  log.redoStack = retained(log.redoStack);
+}
+
+/**
+ * Update the undo and redo stacks of a log for an appended entry
+ * @param {MutationLog} log The log
+ * @param {Object} entry The entry
+ * @private
+ */
+function applyToStacks(log, entry) {
+  switch (entry.kind) {
+    case 'undo':
+      log.undoStack.pop();
+      log.redoStack.push(entry.target);
+      break;
+    case 'redo':
+      log.redoStack.pop();
+      log.undoStack.push(entry.target);
+      break;
+    default:
+      log.undoStack.push(entry.seq);
+      log.redoStack = [];
+  }
+}
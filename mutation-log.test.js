@@ -0,0 +1,133 @@
+/**
+ * Checks undo, redo, replay and compaction of the mutation log
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+
+function conceptIds(network) {
+  return Array.from(network.nodes.keys()).sort();
+}
+
+function weights(network) {
+  const result = {};
+  for (const node of network.nodes.values()) {
+    for (const [targetId, weight] of node.connections.entries()) {
+      result[`${node.id}->${targetId}`] = weight;
+    }
+  }
+  return result;
+}
+
+describe('undo and redo', () => {
+  test('undo reverts and redo reapplies changes', () => {
+    const network = new ConceptNetwork();
+    network.addConcept('a', null, 'a');
+    network.addConcept('b', null, 'b');
+    network.addConnection('a', 'b', 0.4);
+    network.updateConnection('a', 'b', { weight: 0.9 });
+
+    network.undo();
+    expect(network.getConcept('a').connections.get('b')).toBe(0.4);
+    network.undo(2);
+    expect(conceptIds(network)).toEqual(['a']);
+
+    network.redo(3);
+    expect(conceptIds(network)).toEqual(['a', 'b']);
+    expect(network.getConcept('a').connections.get('b')).toBe(0.9);
+    expect(() => network.redo()).toThrow();
+  });
+
+  test('a new change discards what could be redone', () => {
+    const network = new ConceptNetwork();
+    network.addConcept('a', null, 'a');
+    network.undo();
+    network.addConcept('b', null, 'b');
+
+    expect(network.mutationLog.getStatus().canRedo).toBe(false);
+  });
+
+  test('undo restores the connections of a removed concept', () => {
+    const network = new ConceptNetwork();
+    network.addConcept('a', null, 'a');
+    network.addConcept('b', null, 'b');
+    network.addConnection('a', 'b', 0.7, true, { type: 'is-a' });
+    network.removeConcept('b');
+
+    network.undo();
+    expect(network.getConcept('a').connections.get('b')).toBe(0.7);
+    expect(network.getConcept('b').connections.get('a')).toBe(0.7);
+    expect(network.getConcept('a').getRelation('b').type).toBe('is-a');
+  });
+
+  test('a learning step is logged as one compact entry and can be undone', () => {
+    const network = new ConceptNetwork();
+    for (const id of ['a', 'b', 'c']) network.addConcept(id, null, id);
+    network.addConnection('a', 'b', 0.3);
+    network.addConnection('b', 'c', 0.3);
+    network.setInitialActivation(['a', 'b', 'c']);
+    const before = weights(network);
+
+    network.learnFromActivation({ learningRate: 0.5, weightDecay: 0.1 });
+    const entry = network.mutationLog.entries[network.mutationLog.entries.length - 1];
+    expect(entry.operation).toBe('learnFromActivation');
+    const setWeights = entry.changes.filter(call => call.method === 'setWeights');
+    expect(setWeights).toHaveLength(1);
+    expect(setWeights[0].args[0].every(triple => triple.length === 3)).toBe(true);
+    const learned = weights(network);
+    expect(learned).not.toEqual(before);
+
+    network.undo();
+    expect(weights(network)).toEqual(before);
+    network.redo();
+    expect(weights(network)).toEqual(learned);
+  });
+});
+
+describe('replay', () => {
+  test('replaying the log rebuilds the network, optionally up to an entry', () => {
+    const network = new ConceptNetwork();
+    network.addConcept('a', null, 'a');
+    network.addConcept('b', null, 'b');
+    network.addConnection('a', 'b', 0.6);
+    const seq = network.mutationLog.entries[network.mutationLog.entries.length - 1].seq;
+    network.removeConcept('a');
+    network.undo();
+
+    const replayed = ConceptNetwork.fromMutationLog(network.mutationLog.toJSON());
+    expect(conceptIds(replayed)).toEqual(['a', 'b']);
+    expect(weights(replayed)).toEqual(weights(network));
+
+    const partial = ConceptNetwork.fromMutationLog(network.mutationLog.toJSON(), { upToSeq: seq - 1 });
+    expect(conceptIds(partial)).toEqual(['a', 'b']);
+    expect(weights(partial)).toEqual({});
+  });
+});
+
+describe('compaction', () => {
+  test('the log keeps at most mutationLogLimit entries and still replays', () => {
+    const network = new ConceptNetwork();
+    network.setParameters({ mutationLogLimit: 20 });
+    for (let i = 0; i < 50; i++) network.addConcept(`c${i}`, null, `c${i}`);
+
+    expect(network.mutationLog.entries.length).toBeLessThanOrEqual(20);
+    const replayed = ConceptNetwork.fromMutationLog(network.mutationLog.toJSON());
+    expect(conceptIds(replayed)).toEqual(conceptIds(network));
+  });
+
+  test('entries that can be redone are not compacted', () => {
+    const network = new ConceptNetwork();
+    network.setParameters({ mutationLogLimit: 50 });
+    for (let i = 0; i < 40; i++) network.addConcept(`c${i}`, null, `c${i}`);
+    const full = conceptIds(network);
+
+    network.undo(24);
+    expect(network.nodes.size).toBe(16);
+
+    expect(network.redo(24)).toHaveLength(24);
+    expect(conceptIds(network)).toEqual(full);
+    expect(network.mutationLog.getStatus().canRedo).toBe(false);
+
+    const replayed = ConceptNetwork.fromMutationLog(network.mutationLog.toJSON());
+    expect(conceptIds(replayed)).toEqual(full);
+  });
+});
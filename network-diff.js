@@ -0,0 +1,274 @@
+/**
+ * Network Diff
+ *
+ * Compares two concept networks, typically a session and a fork of it:
+ * - concepts and connections added, removed or changed
+ * - parameters that differ
+ * - concepts entering or leaving the top activations, and the largest
+ *   activation changes
+ * - emergent patterns, matched by the Jaccard similarity of their
+ *   concepts (at least 0.5)
+ *
+ * "Added" means present in the compared network but not in the base one.
+ */
+
+/**
+ * Concept attributes compared by diffNetworks
+ */
+const CONCEPT_FIELDS = ['label', 'category', 'metadata', 'bias', 'activationCap'];
+
+/**
+ * Check whether two attribute values are equal
+ * @param {*} a First value
+ * @param {*} b Second value
+ * @returns {boolean} True if equal
+ * @private
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Collect the attributes that differ between two objects
+ * @param {Object} base Base values
+ * @param {Object} compare Compared values
+ * @param {Array<string>} fields Fields to compare
+ * @returns {Object} Map of field to { from, to }, empty if nothing differs
+ * @private
+ */
+function fieldChanges(base, compare, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (!sameValue(base[field], compare[field])) {
+      changes[field] = { from: base[field], to: compare[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * List the connections of a network with their relations
+ * @param {ConceptNetwork} network The network
+ * @returns {Map<string, Object>} Connections keyed by source and target ID
+ * @private
+ */
+function connectionMap(network) {
+  const connections = new Map();
+  for (const node of network.nodes.values()) {
+    for (const [targetId, weight] of node.connections.entries()) {
+      const relation = node.getRelation(targetId);
+      connections.set(`${node.id}\u0000${targetId}`, {
+        sourceId: node.id,
+        targetId,
+        weight,
+        relation: relation.type,
+        relationLabel: relation.label,
+        provenance: relation.provenance
+      });
+    }
+  }
+  return connections;
+}
+
+/**
+ * Compare the concepts of two networks
+ * @param {ConceptNetwork} base Base network
+ * @param {ConceptNetwork} compare Compared network
+ * @returns {Object} { added, removed, changed }
+ * @private
+ */
+function diffConcepts(base, compare) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, node] of compare.nodes.entries()) {
+    const baseNode = base.nodes.get(id);
+    if (!baseNode) {
+      added.push(node.toJSON());
+      continue;
+    }
+    const changes = fieldChanges(baseNode, node, CONCEPT_FIELDS);
+    // Embeddings are large, so only whether they differ is reported
+    const embeddingChanged = !sameValue(baseNode.embedding ?? null, node.embedding ?? null);
+    if (Object.keys(changes).length > 0 || embeddingChanged) {
+      changed.push({ id, label: node.label, changes, embeddingChanged });
+    }
+  }
+  for (const [id, node] of base.nodes.entries()) {
+    if (!compare.nodes.has(id)) {
+      removed.push(node.toJSON());
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare the connections of two networks
+ * @param {ConceptNetwork} base Base network
+ * @param {ConceptNetwork} compare Compared network
+ * @returns {Object} { added, removed, changed }
+ * @private
+ */
+function diffConnections(base, compare) {
+  const baseConnections = connectionMap(base);
+  const compareConnections = connectionMap(compare);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, connection] of compareConnections.entries()) {
+    const baseConnection = baseConnections.get(key);
+    if (!baseConnection) {
+      added.push(connection);
+      continue;
+    }
+    const changes = fieldChanges(baseConnection, connection, ['weight', 'relation', 'relationLabel', 'provenance']);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ sourceId: connection.sourceId, targetId: connection.targetId, changes });
+    }
+  }
+  for (const [key, connection] of baseConnections.entries()) {
+    if (!compareConnections.has(key)) {
+      removed.push(connection);
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare the top activations of two networks
+ * @param {ConceptNetwork} base Base network
+ * @param {ConceptNetwork} compare Compared network
+ * @param {number|null} threshold Activation threshold (defaults to each network's parameter)
+ * @param {number} limit Maximum number of concepts per list
+ * @returns {Object} { base, compare, entered, left, changed }
+ * @private
+ */
+function diffActivations(base, compare, threshold, limit) {
+  const baseTop = base.getTopActivatedConcepts(limit, threshold);
+  const compareTop = compare.getTopActivatedConcepts(limit, threshold);
+  const baseTopIds = new Set(baseTop.map(c => c.id));
+  const compareTopIds = new Set(compareTop.map(c => c.id));
+
+  const changed = [];
+  for (const [id, node] of compare.nodes.entries()) {
+    const baseNode = base.nodes.get(id);
+    if (baseNode && baseNode.activation !== node.activation) {
+      changed.push({
+        id,
+        label: node.label,
+        from: baseNode.activation,
+        to: node.activation,
+        delta: node.activation - baseNode.activation
+      });
+    }
+  }
+
+  return {
+    base: baseTop,
+    compare: compareTop,
+    entered: compareTop.filter(c => !baseTopIds.has(c.id)),
+    left: baseTop.filter(c => !compareTopIds.has(c.id)),
+    changed: changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, limit)
+  };
+}
+
+/**
+ * Compare the emergent patterns of two networks
+ * @param {ConceptNetwork} base Base network
+ * @param {ConceptNetwork} compare Compared network
+ * @param {number|null} threshold Activation threshold (defaults to each network's parameter)
+ * @returns {Object} { matched, onlyInBase, onlyInCompare }
+ * @private
+ */
+function diffPatterns(base, compare, threshold) {
+  // Pattern IDs are only meaningful within a network, so patterns are
+  // identified without touching either network's pattern tracking
+  const summarize = pattern => ({
+    representativeConcept: pattern.representativeConcept,
+    conceptIds: pattern.concepts.map(c => c.id),
+    averageActivation: pattern.averageActivation
+  });
+  const basePatterns = base.identifyEmergentPatterns(threshold, { track: false }).map(summarize);
+  const comparePatterns = compare.identifyEmergentPatterns(threshold, { track: false }).map(summarize);
+
+  const candidates = [];
+  basePatterns.forEach((basePattern, i) => {
+    const baseIds = new Set(basePattern.conceptIds);
+    comparePatterns.forEach((comparePattern, j) => {
+      const shared = comparePattern.conceptIds.filter(id => baseIds.has(id)).length;
+      const similarity = shared / (baseIds.size + comparePattern.conceptIds.length - shared);
+      if (similarity >= 0.5) {
+        candidates.push({ i, j, similarity });
+      }
+    });
+  });
+
+  // Greedily match the most similar pairs first
+  candidates.sort((a, b) => b.similarity - a.similarity);
+  const matchedBase = new Set();
+  const matchedCompare = new Set();
+  const matched = [];
+  for (const { i, j, similarity } of candidates) {
+    if (matchedBase.has(i) || matchedCompare.has(j)) continue;
+    matchedBase.add(i);
+    matchedCompare.add(j);
+
+    const baseIds = new Set(basePatterns[i].conceptIds);
+    const compareIds = new Set(comparePatterns[j].conceptIds);
+    matched.push({
+      base: basePatterns[i],
+      compare: comparePatterns[j],
+      similarity,
+      addedConceptIds: comparePatterns[j].conceptIds.filter(id => !baseIds.has(id)),
+      removedConceptIds: basePatterns[i].conceptIds.filter(id => !compareIds.has(id))
+    });
+  }
+
+  return {
+    matched,
+    onlyInBase: basePatterns.filter((_, i) => !matchedBase.has(i)),
+    onlyInCompare: comparePatterns.filter((_, j) => !matchedCompare.has(j))
+  };
+}
+
+/**
+ * Compare two concept networks
+ * @param {ConceptNetwork} base Base network
+ * @param {ConceptNetwork} compare Compared network
+ * @param {Object} options Diff options
+ * @param {number|null} options.threshold Activation threshold for top activations and patterns
+ * @param {number} options.limit Maximum number of concepts per activation list
+ * @returns {Object} { concepts, connections, parameters, activations, patterns, summary }
+ */
+export function diffNetworks(base, compare, { threshold = null, limit = 10 } = {}) {
+  const concepts = diffConcepts(base, compare);
+  const connections = diffConnections(base, compare);
+  const parameterNames = new Set([...Object.keys(base.params), ...Object.keys(compare.params)]);
+  const parameters = fieldChanges(base.params, compare.params, Array.from(parameterNames));
+  const activations = diffActivations(base, compare, threshold, limit);
+  const patterns = diffPatterns(base, compare, threshold);
+
+  return {
+    concepts,
+    connections,
+    parameters,
+    activations,
+    patterns,
+    summary: {
+      conceptsAdded: concepts.added.length,
+      conceptsRemoved: concepts.removed.length,
+      conceptsChanged: concepts.changed.length,
+      connectionsAdded: connections.added.length,
+      connectionsRemoved: connections.removed.length,
+      connectionsChanged: connections.changed.length,
+      parametersChanged: Object.keys(parameters).length,
+      identical: concepts.added.length + concepts.removed.length + concepts.changed.length +
+        connections.added.length + connections.removed.length + connections.changed.length +
+        Object.keys(parameters).length === 0 && activations.changed.length === 0
+    }
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Checks forking sessions and diffing a session against its fork
+ */
+
+import { jest } from '@jest/globals';
+import { ConceptNetwork } from './concept-network.js';
+import { diffNetworks } from './network-diff.js';
+import { SessionManager } from './session-manager.js';
+
+beforeEach(() => {
+  // The manager's hourly cleanup interval must not keep jest running
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+function buildNetwork() {
+  const network = new ConceptNetwork();
+  network.addConcept('Sun', 'astronomy', 'sun');
+  network.addConcept('Light', null, 'light');
+  network.addConcept('Heat', null, 'heat');
+  network.addConnection('sun', 'light', 0.8);
+  network.addConnection('sun', 'heat', 0.6);
+  return network;
+}
+
+describe('diffNetworks', () => {
+  test('reports identical networks as identical', () => {
+    const network = buildNetwork();
+    const diff = diffNetworks(network, network.clone());
+
+    expect(diff.summary.identical).toBe(true);
+    expect(diff.concepts).toEqual({ added: [], removed: [], changed: [] });
+  });
+
+  test('reports concepts, connections and parameters that differ', () => {
+    const base = buildNetwork();
+    const compare = base.clone();
+    compare.addConcept('Plants', null, 'plants');
+    compare.removeConcept('heat');
+    compare.updateConcept('sun', { bias: 0.2, embedding: [1, 0] });
+    compare.updateConnection('sun', 'light', { weight: 0.5, relation: 'causes' }, false);
+    compare.setParameters({ decayRate: 0.3 });
+
+    const diff = diffNetworks(base, compare);
+    expect(diff.concepts.added.map(c => c.id)).toEqual(['plants']);
+    expect(diff.concepts.removed.map(c => c.id)).toEqual(['heat']);
+    expect(diff.concepts.changed).toEqual([
+      { id: 'sun', label: 'Sun', changes: { bias: { from: 0, to: 0.2 } }, embeddingChanged: true }
+    ]);
+    expect(diff.connections.changed).toEqual([{
+      sourceId: 'sun',
+      targetId: 'light',
+      changes: { weight: { from: 0.8, to: 0.5 }, relation: { from: 'related', to: 'causes' } }
+    }]);
+    expect(diff.connections.removed).toHaveLength(2);
+    expect(diff.parameters).toEqual({ decayRate: { from: base.params.decayRate, to: 0.3 } });
+    expect(diff.summary).toMatchObject({ conceptsAdded: 1, conceptsRemoved: 1, identical: false });
+  });
+
+  test('reports concepts entering the top activations', () => {
+    const base = buildNetwork();
+    const compare = base.clone();
+    compare.setInitialActivation(['sun']);
+
+    const { activations } = diffNetworks(base, compare, { threshold: 0.5 });
+    expect(activations.entered.map(c => c.id)).toContain('sun');
+    expect(activations.changed[0]).toMatchObject({ id: 'sun' });
+  });
+});
+
+describe('forkSession', () => {
+  test('copies the network, so changes to the fork leave the original alone', () => {
+    const manager = new SessionManager();
+    const { sessionId } = manager.createSession({ name: 'Solar' });
+    const original = manager.getNetwork(sessionId);
+    original.addConcept('Sun', null, 'sun');
+    original.addConcept('Light', null, 'light');
+    original.addConnection('sun', 'light', 0.8);
+
+    const fork = manager.forkSession(sessionId);
+    expect(fork).toMatchObject({ forkedFrom: sessionId, name: expect.stringMatching(/^Solar-fork-/) });
+    const forked = manager.getNetwork(fork.sessionId);
+    forked.updateConnection('sun', 'light', { weight: 0.2 });
+    forked.addConcept('Moon', null, 'moon');
+
+    expect(original.getConcept('sun').connections.get('light')).toBe(0.8);
+    expect(original.nodes.has('moon')).toBe(false);
+
+    const diff = manager.diffSessions(sessionId, fork.sessionId);
+    expect(diff.summary).toMatchObject({ conceptsAdded: 1, connectionsChanged: 2 });
+  });
+
+  test('copies the activation history only on request', () => {
+    const manager = new SessionManager();
+    const { sessionId } = manager.createSession({});
+    const network = manager.getNetwork(sessionId);
+    network.addConcept('Sun', null, 'sun');
+    network.setInitialActivation(['sun']);
+    network.runUntilConvergence({ maxIterations: 2 });
+
+    const plain = manager.getNetwork(manager.forkSession(sessionId).sessionId);
+    const withHistory = manager.getNetwork(manager.forkSession(sessionId, { includeHistory: true }).sessionId);
+    expect(plain.getActivationHistory()).toHaveLength(0);
+    expect(withHistory.getActivationHistory()).toHaveLength(network.getActivationHistory().length);
+  });
+});
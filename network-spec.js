@@ -0,0 +1,300 @@
+/**
+ * Declarative Network Specification
+ *
+ * A network spec describes concepts, connections, parameters and initial
+ * activation in one document:
+ *
+ *   {
+ *     "concepts": [{ "id": "sun", "label": "Sun", "category": "astronomy", "metadata": {}, "bias": 0.1, "embedding": [0.1, 0.7] }],
+ *     "connections": [{ "sourceId": "sun", "targetId": "light", "weight": 0.8, "relation": "causes" }],
+ *     "parameters": { "activationThreshold": 0.6 },
+ *     "initialActivation": ["sun"]
+ *   }
+ *
+ * Specs are validated completely, including references, before the
+ * network is touched: connections may refer to concepts defined anywhere
+ * in the spec, every problem is reported at once, and an invalid spec
+ * leaves the network unchanged. If applying a valid spec still fails, the
+ * changes made so far are reverted.
+ */
+
+import { z } from 'zod';
+import { COMMUNITY_METHODS } from './community-detection.js';
+import { LEARNING_RULES } from './hebbian-learning.js';
+import { HISTORY_RETENTION_MODES } from './activation-history.js';
+import { MAX_PARALLEL_WORKERS } from './parallel-spreading.js';
+import { validateEmbedding } from './embedding-index.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Modes for applying a spec to a network
+ */
+export const SPEC_MODES = ['merge', 'replace'];
+
+/**
+ * Activation parameters accepted by ConceptNetwork.setParameters
+ */
+export const parametersSchema = z.object({
+  activationThreshold: z.number(),
+  decayRate: z.number().min(0).max(1),
+  maxIterations: z.number().int().positive(),
+  convergenceThreshold: z.number().min(0),
+  lateralInhibition: z.number().min(0),
+  activationFunction: z.string(),
+  activationGain: z.number(),
+  activationBias: z.number(),
+  activationCeiling: z.number(),
+  restingLevel: z.number(),
+  algorithm: z.string(),
+  restartProbability: z.number().min(0).max(1),
+  diffusionTime: z.number().min(0),
+  patternDetection: z.enum(COMMUNITY_METHODS),
+  patternResolution: z.number().positive(),
+  trackPatterns: z.boolean(),
+  autoLearn: z.boolean(),
+  learningRate: z.number().min(0),
+  weightDecay: z.number().min(0).max(1),
+  maxWeight: z.number().min(0).max(1),
+  learningRule: z.enum(LEARNING_RULES),
+  createConnections: z.boolean(),
+  coactivationThreshold: z.number(),
+  maxNewConnections: z.number().int().min(0),
+  relationMultipliers: z.record(z.number()),
+  relationTypes: z.array(z.string().min(1)).nullable(),
+  historyRetention: z.enum(HISTORY_RETENTION_MODES),
+  historyLimit: z.number().int().positive(),
+  historyInterval: z.number().int().positive(),
+  parallelWorkers: z.number().int().min(0).max(MAX_PARALLEL_WORKERS),
+  mutationLogLimit: z.number().int().positive()
+}).partial().strict();
+
+/**
+ * A concept; the label defaults to the ID
+ */
+export const conceptSpecSchema = z.object({
+  id: z.string().min(1),
+  label: z.string().min(1).optional(),
+  category: z.string().nullable().optional(),
+  metadata: z.record(z.any()).optional(),
+  bias: z.number().optional(),
+  activationCap: z.number().nullable().optional(),
+  embedding: z.array(z.number()).nullable().optional()
+}).strict();
+
+/**
+ * A connection between two concepts of the spec or the network
+ */
+export const connectionSpecSchema = z.object({
+  sourceId: z.string().min(1),
+  targetId: z.string().min(1),
+  weight: z.number().min(-1).max(1).default(0.5),
+  bidirectional: z.boolean().default(true),
+  relation: z.string().min(1).optional(),
+  relationLabel: z.string().nullable().optional(),
+  provenance: z.string().nullable().optional()
+}).strict();
+
+/**
+ * A complete network spec
+ */
+export const networkSpecSchema = z.object({
+  concepts: z.array(conceptSpecSchema).default([]),
+  connections: z.array(connectionSpecSchema).default([]),
+  parameters: parametersSchema.optional(),
+  initialActivation: z.union([z.array(z.string()), z.record(z.number())]).optional()
+}).strict();
+
+/**
+ * The defaultConcepts option of create_session: a map of concept ID to
+ * { label, category, connections: [{ targetId, weight }] }
+ */
+export const defaultConceptsSchema = z.record(z.object({
+  label: z.string().min(1),
+  category: z.string().nullable().optional(),
+  connections: z.array(z.object({
+    targetId: z.string().min(1),
+    weight: z.number().min(-1).max(1).default(0.5)
+  })).optional()
+}));
+
+/**
+ * Convert create_session's defaultConcepts map to a network spec
+ * @param {Object} defaultConcepts Map of concept ID to concept data
+ * @returns {Object} Network spec
+ */
+export function defaultConceptsToSpec(defaultConcepts) {
+  const result = defaultConceptsSchema.safeParse(defaultConcepts);
+  if (!result.success) {
+    throw specError(result.error.issues.map(issue => ({
+      path: ['defaultConcepts', ...issue.path].join('.'),
+      message: issue.message
+    })));
+  }
+
+  const spec = { concepts: [], connections: [] };
+  for (const [id, data] of Object.entries(result.data)) {
+    spec.concepts.push({ id, label: data.label, category: data.category ?? null });
+    for (const connection of data.connections || []) {
+      spec.connections.push({ sourceId: id, targetId: connection.targetId, weight: connection.weight });
+    }
+  }
+  return spec;
+}
+
+/**
+ * Validate a spec against a network without modifying it
+ * @param {ConceptNetwork} network The network the spec would be applied to
+ * @param {Object} input The spec
+ * @param {Object} options Options
+ * @param {string} options.mode 'merge' adds to the network, 'replace' clears it first
+ * @returns {Object} { spec: parsed spec or null, errors: [{ path, message }] }
+ */
+export function validateNetworkSpec(network, input, { mode = 'merge' } = {}) {
+  const errors = [];
+  if (!SPEC_MODES.includes(mode)) {
+    errors.push({ path: 'mode', message: `Unsupported mode ${mode}` });
+  }
+
+  const result = networkSpecSchema.safeParse(input ?? {});
+  if (!result.success) {
+    for (const issue of result.error.issues) {
+      errors.push({ path: issue.path.join('.') || 'spec', message: issue.message });
+    }
+  }
+
+  // Reference checks run on the raw input, so they are reported even when
+  // other parts of the spec are malformed
+  const raw = input && typeof input === 'object' ? input : {};
+  const concepts = Array.isArray(raw.concepts) ? raw.concepts : [];
+  const connections = Array.isArray(raw.connections) ? raw.connections : [];
+
+  const existingIds = mode === 'replace' ? new Set() : new Set(network.nodes.keys());
+  const specIds = new Set();
+  concepts.forEach((concept, index) => {
+    if (typeof concept?.id !== 'string') return;
+    if (specIds.has(concept.id)) {
+      errors.push({ path: `concepts.${index}.id`, message: `Duplicate concept ID ${concept.id}` });
+    } else if (existingIds.has(concept.id)) {
+      errors.push({ path: `concepts.${index}.id`, message: `Concept with ID ${concept.id} already exists` });
+    }
+    specIds.add(concept.id);
+  });
+
+  // Embeddings must have the dimensions of the network's, or of the first one
+  let dimensions = mode === 'replace' ? null : network.getEmbeddingDimensions();
+  concepts.forEach((concept, index) => {
+    if (!Array.isArray(concept?.embedding)) return;
+    dimensions ??= concept.embedding.length;
+    for (const message of validateEmbedding(concept.embedding, dimensions)) {
+      errors.push({ path: `concepts.${index}.embedding`, message });
+    }
+  });
+
+  const isKnown = id => specIds.has(id) || existingIds.has(id);
+  connections.forEach((connection, index) => {
+    for (const key of ['sourceId', 'targetId']) {
+      const id = connection?.[key];
+      if (typeof id === 'string' && !isKnown(id)) {
+        errors.push({ path: `connections.${index}.${key}`, message: `Concept ${id} not found` });
+      }
+    }
+  });
+
+  if (raw.parameters && typeof raw.parameters === 'object') {
+    for (const message of network.validateParameters(raw.parameters)) {
+      errors.push({ path: 'parameters', message });
+    }
+  }
+
+  if (raw.initialActivation && typeof raw.initialActivation === 'object') {
+    const activatedIds = Array.isArray(raw.initialActivation)
+      ? raw.initialActivation
+      : Object.keys(raw.initialActivation);
+    for (const id of activatedIds) {
+      if (typeof id === 'string' && !isKnown(id)) {
+        errors.push({ path: `initialActivation.${id}`, message: `Concept ${id} not found` });
+      }
+    }
+  }
+
+  return { spec: errors.length === 0 ? result.data : null, errors };
+}
+
+/**
+ * Apply a spec to a network, all or nothing
+ * @param {ConceptNetwork} network The network
+ * @param {Object} input The spec
+ * @param {Object} options Options
+ * @param {string} options.mode 'merge' adds to the network, 'replace' clears it first
+ * @returns {Object} Statistics about the applied changes
+ * @throws {ValidationError} Listing every problem of the spec, without modifying the network
+ */
+export function applyNetworkSpec(network, input, { mode = 'merge' } = {}) {
+  const { spec, errors } = validateNetworkSpec(network, input, { mode });
+  if (errors.length > 0) {
+    throw specError(errors);
+  }
+
+  // The whole spec is one entry in the mutation log, so it is undone at once
+  return network.mutationLog.group(network, 'applyNetworkSpec', [{ mode }], () => {
+    if (mode === 'replace') {
+      network.clear();
+    }
+
+    for (const concept of spec.concepts) {
+      network.addConcept(concept.label ?? concept.id, concept.category ?? null, concept.id);
+      if (concept.metadata || concept.bias !== undefined || concept.activationCap !== undefined || concept.embedding) {
+        network.updateConcept(concept.id, {
+          metadata: concept.metadata,
+          bias: concept.bias,
+          activationCap: concept.activationCap,
+          embedding: concept.embedding ?? undefined
+        });
+      }
+    }
+
+    let connectionsAdded = 0;
+    for (const connection of spec.connections) {
+      network.addConnection(connection.sourceId, connection.targetId, connection.weight, connection.bidirectional, {
+        type: connection.relation,
+        label: connection.relationLabel,
+        provenance: connection.provenance
+      });
+      connectionsAdded += connection.bidirectional ? 2 : 1;
+    }
+
+    if (spec.parameters) {
+      network.setParameters(spec.parameters);
+    }
+
+    if (spec.initialActivation) {
+      network.setInitialActivation(spec.initialActivation);
+    }
+
+    return {
+      mode,
+      conceptsAdded: spec.concepts.length,
+      connectionsAdded,
+      parametersSet: Object.keys(spec.parameters || {}),
+      activatedConcepts: spec.initialActivation
+        ? (Array.isArray(spec.initialActivation) ? spec.initialActivation.length : Object.keys(spec.initialActivation).length)
+        : 0,
+      networkSize: network.getNetworkSize()
+    };
+  });
+}
+
+/**
+ * Build the error thrown for an invalid spec
+ * @param {Array<Object>} errors Problems ({ path, message })
+ * @returns {ValidationError} The error, with the problems in its issues property
+ * @private
+ */
+function specError(errors) {
+  const error = new ValidationError(
+    `Invalid network spec (${errors.length} error${errors.length === 1 ? '' : 's'}): ` +
+    errors.map(e => `${e.path}: ${e.message}`).join('; ')
+  );
+  error.issues = errors;
+  return error;
+}
@@ -0,0 +1,79 @@
+/**
+ * Checks that network specs are applied all-or-nothing
+ */
+
+import { jest } from '@jest/globals';
+import { ConceptNetwork } from './concept-network.js';
+import { applyNetworkSpec } from './network-spec.js';
+
+function snapshot(network) {
+  return JSON.stringify(Array.from(network.nodes.values()).map(node => ({
+    id: node.id,
+    label: node.label,
+    connections: Array.from(node.connections.entries())
+  })));
+}
+
+function seededNetwork() {
+  const network = new ConceptNetwork();
+  network.addConcept('Sun', 'astronomy', 'sun');
+  network.addConcept('Light', null, 'light');
+  network.addConnection('sun', 'light', 0.8);
+  return network;
+}
+
+const spec = {
+  concepts: [{ id: 'moon', label: 'Moon' }, { id: 'tide', label: 'Tide' }],
+  connections: [
+    { sourceId: 'moon', targetId: 'tide', weight: 0.6 },
+    { sourceId: 'tide', targetId: 'moon', weight: 0.3, bidirectional: false }
+  ]
+};
+
+describe('applyNetworkSpec', () => {
+  test('applies a valid spec as one mutation log entry', () => {
+    const network = seededNetwork();
+    const entries = network.mutationLog.entries.length;
+
+    applyNetworkSpec(network, spec);
+    expect(network.getConcept('moon').connections.get('tide')).toBe(0.6);
+    expect(network.mutationLog.entries).toHaveLength(entries + 1);
+
+    network.undo();
+    expect(network.nodes.has('moon')).toBe(false);
+  });
+
+  test('rejects an invalid spec listing every problem, without changes', () => {
+    const network = seededNetwork();
+    const before = snapshot(network);
+    const invalid = {
+      concepts: [{ id: 'moon' }],
+      connections: [
+        { sourceId: 'moon', targetId: 'missing', weight: 0.5 },
+        { sourceId: 'nowhere', targetId: 'sun', weight: 2 }
+      ]
+    };
+
+    expect(() => applyNetworkSpec(network, invalid)).toThrow(/missing[\s\S]*nowhere/);
+    expect(snapshot(network)).toBe(before);
+  });
+
+  test.each(['merge', 'replace'])('reverts a spec that fails while applied in %s mode', mode => {
+    const network = seededNetwork();
+    const before = snapshot(network);
+    const entries = network.mutationLog.entries.length;
+    const addConnection = network.addConnection.bind(network);
+    const spy = jest.spyOn(network, 'addConnection')
+      .mockImplementationOnce(addConnection)
+      .mockImplementationOnce(() => {
+        throw new Error('Disk full');
+      });
+
+    expect(() => applyNetworkSpec(network, spec, { mode })).toThrow('Disk full');
+    spy.mockRestore();
+
+    expect(snapshot(network)).toBe(before);
+    expect(network.mutationLog.entries).toHaveLength(entries);
+    expect(network.mutationLog.getStatus().nextUndo.operation).toBe('addConnection');
+  });
+});
@@ -0,0 +1,406 @@
+/**
+ * Network Visualization
+ *
+ * Renders a session's network as a static SVG snapshot or as a
+ * self-contained HTML page:
+ * - concepts are placed with a force-directed (Fruchterman-Reingold) layout,
+ *   computed on the server so both renderings agree
+ * - node size and colour show activation, edge thickness shows weight
+ *   (inhibitory connections are dashed), and members of emergent patterns
+ *   get a coloured halo
+ * - the page plays back the activation history iteration by iteration with
+ *   a scrubber, and highlights a pattern when it is selected
+ *
+ * Large networks are cut down to the most active concepts (then the most
+ * connected ones), limit of them at most.
+ */
+
+import { escapeXML } from './graph-formats.js';
+
+/**
+ * Default rendering options
+ */
+export const DEFAULT_VISUALIZATION_OPTIONS = {
+  limit: 150, // Maximum number of concepts shown
+  width: 960,
+  height: 640,
+  layoutIterations: 300,
+  labels: 40 // Number of concepts labelled, most active first
+};
+
+/**
+ * Largest accepted limit
+ */
+export const MAX_VISUALIZATION_CONCEPTS = 500;
+
+/**
+ * Halo colours of patterns, in pattern order
+ */
+const PATTERN_COLORS = ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666'];
+
+/**
+ * Colour of an activation on a blue-yellow-red scale. Also used by the
+ * page's script, so it must not refer to anything outside its body.
+ * @param {number} activation Activation (clamped to 0..1)
+ * @returns {string} CSS colour
+ */
+export function activationColor(activation) {
+  const stops = [[44, 123, 182], [255, 255, 191], [215, 25, 28]];
+  const value = Math.min(1, Math.max(0, activation)) * 2;
+  const index = Math.min(1, Math.floor(value));
+  const t = value - index;
+  const rgb = stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * t));
+  return `rgb(${rgb.join(',')})`;
+}
+
+/**
+ * Radius of a concept's node. Also used by the page's script.
+ * @param {number} activation Activation (clamped to 0..1)
+ * @returns {number} Radius in pixels
+ */
+export function nodeRadius(activation) {
+  return 4 + 10 * Math.min(1, Math.max(0, activation));
+}
+
+/**
+ * Place nodes with the Fruchterman-Reingold algorithm: nodes repel each
+ * other, connections pull their ends together in proportion to their
+ * weight, and a weak pull towards the centre keeps components together.
+ * Starts from a spiral, so the layout of a network is always the same.
+ * @param {number} count Number of nodes
+ * @param {Array<Object>} edges Edges ({ source, target, weight } with node indexes)
+ * @param {Object} options Layout options ({ width, height, iterations })
+ * @returns {Array<Object>} Position ({ x, y }) of each node, inside the drawing area
+ */
+export function computeLayout(count, edges, { width, height, iterations }) {
+  const margin = 30;
+  const k = Math.sqrt((width * height) / Math.max(count, 1));
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const radius = k * 0.5 * Math.sqrt(i);
+    const angle = i * 2.399963; // Golden angle
+    x[i] = radius * Math.cos(angle);
+    y[i] = radius * Math.sin(angle);
+  }
+
+  const dx = new Float64Array(count);
+  const dy = new Float64Array(count);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const temperature = (width / 10) * (1 - iteration / iterations);
+    dx.fill(0);
+    dy.fill(0);
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const ddx = x[i] - x[j];
+        const ddy = y[i] - y[j];
+        const distance = Math.max(0.01, Math.hypot(ddx, ddy));
+        const force = (k * k) / distance / distance;
+        dx[i] += ddx * force;
+        dy[i] += ddy * force;
+        dx[j] -= ddx * force;
+        dy[j] -= ddy * force;
+      }
+    }
+
+    for (const { source, target, weight } of edges) {
+      const ddx = x[source] - x[target];
+      const ddy = y[source] - y[target];
+      const distance = Math.max(0.01, Math.hypot(ddx, ddy));
+      const force = (distance / k) * (0.2 + Math.abs(weight));
+      dx[source] -= ddx * force;
+      dy[source] -= ddy * force;
+      dx[target] += ddx * force;
+      dy[target] += ddy * force;
+    }
+
+    for (let i = 0; i < count; i++) {
+      dx[i] -= x[i] * 0.05;
+      dy[i] -= y[i] * 0.05;
+      const length = Math.hypot(dx[i], dy[i]);
+      if (length > 0) {
+        const step = Math.min(length, temperature);
+        x[i] += (dx[i] / length) * step;
+        y[i] += (dy[i] / length) * step;
+      }
+    }
+  }
+
+  // Fit the layout into the drawing area
+  const minX = Math.min(...x);
+  const minY = Math.min(...y);
+  const spanX = Math.max(...x) - minX || 1;
+  const spanY = Math.max(...y) - minY || 1;
+  return Array.from(x, (value, i) => ({
+    x: count === 1 ? width / 2 : margin + ((value - minX) / spanX) * (width - 2 * margin),
+    y: count === 1 ? height / 2 : margin + ((y[i] - minY) / spanY) * (height - 2 * margin)
+  }));
+}
+
+/**
+ * Round a number for output
+ * @param {number} value Value
+ * @returns {number} Value with at most 4 decimals
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+/**
+ * Lay out a network and collect what the renderings show
+ * @param {ConceptNetwork} network The network
+ * @param {Object} options Rendering options (see DEFAULT_VISUALIZATION_OPTIONS)
+ * @returns {Object} { width, height, totalConcepts, iteration, nodes, edges, patterns, history }, where
+ *   nodes are sorted by activation and history.activations holds each node's activation
+ *   at history.iterations (null where the concept did not exist)
+ */
+export function buildVisualization(network, options = {}) {
+  const { limit, width, height, layoutIterations } = { ...DEFAULT_VISUALIZATION_OPTIONS, ...options };
+
+  // Most active concepts, then the most connected ones
+  const shown = Array.from(network.nodes.values())
+    .sort((a, b) => b.activation - a.activation || b.connections.size - a.connections.size)
+    .slice(0, limit);
+  const indexOf = new Map(shown.map((node, i) => [node.id, i]));
+
+  const edges = [];
+  shown.forEach((node, source) => {
+    for (const [targetId, weight] of node.connections) {
+      const target = indexOf.get(targetId);
+      if (target !== undefined && target !== source) {
+        edges.push({ source, target, weight, relation: node.getRelation(targetId).type });
+      }
+    }
+  });
+  const positions = computeLayout(shown.length, edges, { width, height, iterations: layoutIterations });
+
+  const patterns = network.identifyEmergentPatterns(null, { track: false })
+    .map(pattern => ({
+      conceptIds: pattern.concepts.map(concept => concept.id).filter(id => indexOf.has(id)),
+      averageActivation: round(pattern.averageActivation)
+    }))
+    .filter(pattern => pattern.conceptIds.length > 0);
+
+  const { iterations, trajectories } = network.getConceptTrajectories(shown.map(node => node.id));
+
+  return {
+    width,
+    height,
+    totalConcepts: network.nodes.size,
+    iteration: network.iterationCount > 0 ? network.iterationCount - 1 : null,
+    nodes: shown.map((node, i) => ({
+      id: node.id,
+      label: node.label,
+      category: node.category,
+      activation: round(node.activation),
+      x: round(positions[i].x),
+      y: round(positions[i].y),
+      patterns: patterns.flatMap((pattern, p) => pattern.conceptIds.includes(node.id) ? [p] : [])
+    })),
+    edges: edges.map(({ source, target, weight, relation }) => ({ source, target, weight: round(weight), relation })),
+    patterns,
+    history: {
+      iterations,
+      activations: trajectories.map(({ activations }) => activations.map(value => value === null ? null : round(value)))
+    }
+  };
+}
+
+/**
+ * Render a visualization as SVG
+ * @param {Object} visualization Visualization from buildVisualization
+ * @param {Object} options Rendering options
+ * @param {string} options.title Title of the drawing
+ * @param {number} options.labels Number of concepts labelled, most active first
+ * @returns {string} SVG document
+ */
+export function renderNetworkSvg(visualization, { title = 'Concept network', labels = DEFAULT_VISUALIZATION_OPTIONS.labels } = {}) {
+  const { width, height, nodes, edges, patterns } = visualization;
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+    `<title>${escapeXML(title)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    '<g class="edges">'
+  ];
+
+  for (const { source, target, weight, relation } of edges) {
+    const from = nodes[source];
+    const to = nodes[target];
+    lines.push(`<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" ` +
+      `stroke="${weight < 0 ? '#b2182b' : '#888888'}" stroke-width="${round(0.5 + 2.5 * Math.abs(weight))}" ` +
+      `stroke-opacity="0.6"${weight < 0 ? ' stroke-dasharray="4 3"' : ''}>` +
+      `<title>${escapeXML(`${from.label} -[${relation}]-> ${to.label} (${weight})`)}</title></line>`);
+  }
+  lines.push('</g>', '<g class="halos">');
+
+  nodes.forEach((node, i) => {
+    node.patterns.forEach((p, ring) => {
+      lines.push(`<circle class="halo" data-index="${i}" data-pattern="${p}" cx="${node.x}" cy="${node.y}" ` +
+        `r="${round(nodeRadius(node.activation) + 3 + 3 * ring)}" fill="none" ` +
+        `stroke="${PATTERN_COLORS[p % PATTERN_COLORS.length]}" stroke-width="2.5"/>`);
+    });
+  });
+  lines.push('</g>', '<g class="nodes">');
+
+  nodes.forEach((node, i) => {
+    lines.push(`<circle class="node" data-index="${i}" cx="${node.x}" cy="${node.y}" r="${round(nodeRadius(node.activation))}" ` +
+      `fill="${activationColor(node.activation)}" stroke="#333333" stroke-width="0.75">` +
+      `<title>${escapeXML(`${node.label}${node.category ? ` [${node.category}]` : ''}: ${node.activation}`)}</title></circle>`);
+  });
+  lines.push('</g>', '<g class="labels" font-size="11" fill="#222222">');
+
+  nodes.slice(0, labels).forEach((node, i) => {
+    lines.push(`<text data-index="${i}" x="${round(node.x + nodeRadius(node.activation) + 3)}" y="${round(node.y + 4)}">` +
+      `${escapeXML(node.label)}</text>`);
+  });
+  lines.push('</g>');
+
+  // Legend: activation scale, and what the drawing covers
+  lines.push('<defs><linearGradient id="activation-scale">' +
+    [0, 0.5, 1].map(a => `<stop offset="${a}" stop-color="${activationColor(a)}"/>`).join('') +
+    '</linearGradient></defs>');
+  lines.push(`<g class="legend" font-size="11" fill="#222222" transform="translate(10, ${height - 28})">`,
+    '<rect width="120" height="8" fill="url(#activation-scale)" stroke="#333333" stroke-width="0.5"/>',
+    '<text y="20">0</text>', '<text x="120" y="20" text-anchor="end">1</text>',
+    `<text x="130" y="8">activation · ${nodes.length} of ${visualization.totalConcepts} concepts · ` +
+      `${patterns.length} pattern${patterns.length === 1 ? '' : 's'}` +
+      `${visualization.iteration !== null ? ` · iteration ${visualization.iteration}` : ''}</text>`,
+    '</g>', '</svg>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Serialize a value into a script element
+ * @param {*} value Value
+ * @returns {string} JSON that cannot end the script element
+ * @private
+ */
+function scriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render a visualization as a self-contained HTML page with history playback
+ * and pattern highlighting
+ * @param {Object} visualization Visualization from buildVisualization
+ * @param {Object} options Rendering options
+ * @param {string} options.title Page title
+ * @param {number} options.labels Number of concepts labelled, most active first
+ * @returns {string} HTML document
+ */
+export function renderVisualizationPage(visualization, { title = 'Concept network', labels = DEFAULT_VISUALIZATION_OPTIONS.labels } = {}) {
+  const data = {
+    nodes: visualization.nodes.map(({ label, category, patterns }) => ({ label, category, patterns })),
+    history: visualization.history
+  };
+  const patternItems = visualization.patterns.map((pattern, p) =>
+    `<li><button data-pattern="${p}" style="border-color: ${PATTERN_COLORS[p % PATTERN_COLORS.length]}">` +
+    `Pattern ${p + 1}</button> ${pattern.conceptIds.length} concepts, average activation ${pattern.averageActivation}</li>`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXML(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 1em; color: #222; }
+  .controls { display: flex; gap: 1em; align-items: center; margin: 0.5em 0; }
+  .controls input[type=range] { flex: 1; max-width: 600px; }
+  svg { border: 1px solid #ccc; max-width: 100%; height: auto; }
+  svg.highlighting .node, svg.highlighting .halo, svg.highlighting text { opacity: 0.15; }
+  svg.highlighting .selected { opacity: 1; }
+  ul { padding-left: 1.2em; }
+  button[data-pattern] { border: 2px solid; background: #fff; cursor: pointer; }
+  button[data-pattern].active { background: #eee; }
+</style>
+</head>
+<body>
+<h1>${escapeXML(title)}</h1>
+<div class="controls">
+  <button id="play">Play</button>
+  <input id="scrubber" type="range" min="0" max="${Math.max(0, visualization.history.iterations.length - 1)}" value="${Math.max(0, visualization.history.iterations.length - 1)}">
+  <span id="iteration"></span>
+</div>
+${renderNetworkSvg(visualization, { title, labels })}
+<h2>Emergent patterns</h2>
+${patternItems ? `<ul>\n${patternItems}\n</ul>` : '<p>No emergent patterns.</p>'}
+<script>
+const data = ${scriptJSON(data)};
+${activationColor.toString()}
+${nodeRadius.toString()}
+
+const svg = document.querySelector('svg');
+const nodes = svg.querySelectorAll('.node');
+const scrubber = document.getElementById('scrubber');
+const playButton = document.getElementById('play');
+const iterationLabel = document.getElementById('iteration');
+const { iterations, activations } = data.history;
+
+// Show the activations recorded at one history entry
+function show(step) {
+  if (iterations.length === 0) {
+    iterationLabel.textContent = 'No activation history recorded';
+    scrubber.disabled = true;
+    playButton.disabled = true;
+    return;
+  }
+  iterationLabel.textContent = 'Iteration ' + iterations[step];
+  nodes.forEach((circle, i) => {
+    const activation = activations[i][step];
+    const { label, category } = data.nodes[i];
+    circle.style.visibility = activation === null ? 'hidden' : 'visible';
+    if (activation === null) return;
+    circle.setAttribute('r', nodeRadius(activation));
+    circle.setAttribute('fill', activationColor(activation));
+    circle.querySelector('title').textContent = label + (category ? ' [' + category + ']' : '') + ': ' + activation;
+  });
+}
+
+let timer = null;
+function stop() {
+  clearInterval(timer);
+  timer = null;
+  playButton.textContent = 'Play';
+}
+playButton.addEventListener('click', () => {
+  if (timer) return stop();
+  if (Number(scrubber.value) >= iterations.length - 1) scrubber.value = 0;
+  playButton.textContent = 'Pause';
+  show(Number(scrubber.value));
+  timer = setInterval(() => {
+    if (Number(scrubber.value) >= iterations.length - 1) return stop();
+    scrubber.value = Number(scrubber.value) + 1;
+    show(Number(scrubber.value));
+  }, 300);
+});
+scrubber.addEventListener('input', () => show(Number(scrubber.value)));
+
+// Highlight the members of a pattern, or nothing when it is selected again
+document.querySelectorAll('button[data-pattern]').forEach(button => {
+  button.addEventListener('click', () => {
+    const wasActive = button.classList.contains('active');
+    document.querySelectorAll('button[data-pattern]').forEach(other => other.classList.remove('active'));
+    svg.querySelectorAll('.selected').forEach(element => element.classList.remove('selected'));
+    svg.classList.toggle('highlighting', !wasActive);
+    if (wasActive) return;
+    button.classList.add('active');
+    const pattern = Number(button.dataset.pattern);
+    svg.querySelectorAll('[data-index]').forEach(element => {
+      const selected = element.dataset.pattern !== undefined
+        ? Number(element.dataset.pattern) === pattern
+        : data.nodes[element.dataset.index].patterns.includes(pattern);
+      if (selected) element.classList.add('selected');
+    });
+  });
+});
+
+show(Number(scrubber.value));
+</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,1131 @@
+/**
+ * OpenAPI Document for the CAN REST API
+ *
+ * Describes the routes implemented in rest-api.js. Served by the Express
+ * app at /openapi.json.
+ */
+
+/**
+ * Reference a component schema
+ * @param {string} name Schema name
+ * @returns {Object} Schema reference
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Build a JSON response description
+ * @param {string} description Response description
+ * @param {Object} schema Response schema
+ * @returns {Object} Response object
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Build a JSON request body description
+ * @param {Object} schema Body schema
+ * @param {boolean} required Whether the body is required
+ * @returns {Object} Request body object
+ */
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Build a path or query parameter description
+ * @param {string} name Parameter name
+ * @param {string} location 'path' or 'query'
+ * @param {Object} schema Parameter schema
+ * @param {string} description Parameter description
+ * @returns {Object} Parameter object
+ */
+function param(name, location, schema, description) {
+  return { name, in: location, required: location === 'path', schema, description };
+}
+
+const sessionIdParam = param('sessionId', 'path', { type: 'string' }, 'Session ID');
+const conceptIdParam = param('conceptId', 'path', { type: 'string' }, 'Concept ID');
+const templateIdParam = param('templateId', 'path', { type: 'string' }, 'Template ID');
+
+const errorResponses = {
+  400: jsonResponse('Invalid request', ref('Error')),
+  404: jsonResponse('Session or concept not found', ref('Error'))
+};
+
+const formats = ['json', 'graphml', 'gexf', 'dot'];
+const matchModes = ['exact', 'caseInsensitive', 'prefix', 'fuzzy'];
+
+// Relation of a connection
+const relationProperties = {
+  relation: { type: 'string', default: 'related', description: 'Relation type' },
+  relationLabel: { type: 'string', nullable: true },
+  provenance: { type: 'string', nullable: true, description: 'Where the connection came from' }
+};
+const relationTypesProperty = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Relation types to spread along (defaults to the relationTypes parameter)'
+};
+
+// Client-supplied embedding vector
+const embeddingProperty = {
+  type: 'array',
+  items: { type: 'number' },
+  minItems: 1,
+  maxItems: 4096,
+  description: 'Embedding vector, with as many dimensions as the other embeddings of the network'
+};
+
+// Options of the visualization endpoints
+const visualizationParams = [
+  param('limit', 'query', { type: 'integer', minimum: 1, maximum: 500, default: 150 }, 'Maximum number of concepts shown'),
+  param('width', 'query', { type: 'integer', minimum: 200, maximum: 4000, default: 960 }, 'Drawing width in pixels'),
+  param('height', 'query', { type: 'integer', minimum: 200, maximum: 4000, default: 640 }, 'Drawing height in pixels'),
+  param('token', 'query', { type: 'string' }, 'API token, for browsers that cannot send an Authorization header')
+];
+
+/**
+ * The OpenAPI 3.0 document
+ */
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Concept Activation Network REST API',
+    version: '1.0.0',
+    description: 'Resource-oriented access to CAN sessions, mirroring the MCP tools.'
+  },
+  paths: {
+    '/sessions': {
+      get: {
+        summary: 'List active sessions',
+        responses: { 200: jsonResponse('Sessions', { type: 'array', items: ref('SessionInfo') }) }
+      },
+      post: {
+        summary: 'Create a session',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            defaultConcepts: { type: 'object', additionalProperties: true },
+            spec: ref('NetworkSpec'),
+            persist: { type: 'boolean', default: false }
+          },
+          additionalProperties: false
+        }, false),
+        responses: {
+          201: jsonResponse('Session created', ref('SessionInfo')),
+          400: errorResponses[400],
+          409: jsonResponse('Duplicate concept ID', ref('Error'))
+        }
+      }
+    },
+    '/sessions/{sessionId}': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Get session details and parameters',
+        responses: { 200: jsonResponse('Session', ref('SessionInfo')), 404: errorResponses[404] }
+      },
+      delete: {
+        summary: 'Delete a session, including its persisted copy',
+        responses: { 204: { description: 'Session deleted' }, 404: errorResponses[404] }
+      }
+    },
+    '/sessions/{sessionId}/save': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Persist a session to storage',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { includeHistory: { type: 'boolean', default: false } },
+          additionalProperties: false
+        }, false),
+        responses: { 200: jsonResponse('Session saved', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/load': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Reload a session from storage',
+        responses: { 200: jsonResponse('Session loaded', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/fork': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Fork a session into a new session holding a deep copy of its network',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            includeHistory: { type: 'boolean', default: false },
+            persist: { type: 'boolean', default: false }
+          },
+          additionalProperties: false
+        }, false),
+        responses: { 201: jsonResponse('Fork created', ref('SessionInfo')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/diff/{compareSessionId}': {
+      parameters: [
+        sessionIdParam,
+        param('compareSessionId', 'path', { type: 'string' }, 'Session compared against the base session')
+      ],
+      get: {
+        summary: 'Compare two sessions; "added" means only in the compared session',
+        parameters: [
+          param('threshold', 'query', { type: 'number' }, 'Activation threshold for top activations and patterns'),
+          param('limit', 'query', { type: 'integer', default: 10 }, 'Maximum number of concepts per activation list')
+        ],
+        responses: { 200: jsonResponse('Differences', ref('SessionDiff')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/undo': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Undo the most recent mutations',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { steps: { type: 'integer', minimum: 1, default: 1 } },
+          additionalProperties: false
+        }, false),
+        responses: {
+          200: jsonResponse('Undo entries and the undo/redo state', {
+            type: 'object',
+            properties: { undone: { type: 'array', items: ref('MutationEntry') } }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/redo': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Redo the most recently undone mutations',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { steps: { type: 'integer', minimum: 1, default: 1 } },
+          additionalProperties: false
+        }, false),
+        responses: {
+          200: jsonResponse('Redo entries and the undo/redo state', {
+            type: 'object',
+            properties: { redone: { type: 'array', items: ref('MutationEntry') } }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/mutations': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Get the mutation log',
+        parameters: [
+          param('start', 'query', { type: 'integer', default: 0 }, 'Index of the first entry'),
+          param('limit', 'query', { type: 'integer', default: 50 }, 'Maximum number of entries'),
+          param('includeChanges', 'query', { type: 'boolean', default: false }, 'Include the network calls of each entry')
+        ],
+        responses: {
+          200: jsonResponse('Log entries and the undo/redo state', {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              entries: { type: 'array', items: ref('MutationEntry') },
+              canUndo: { type: 'boolean' },
+              canRedo: { type: 'boolean' },
+              nextUndo: { type: 'object', nullable: true },
+              nextRedo: { type: 'object', nullable: true }
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/replay': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Create a new session by replaying the mutation log',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            upToSeq: { type: 'integer', description: 'Only replay entries up to this sequence number' },
+            name: { type: 'string' },
+            persist: { type: 'boolean', default: false }
+          },
+          additionalProperties: false
+        }, false),
+        responses: { 201: jsonResponse('Session created', ref('SessionInfo')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/concepts': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'List concepts',
+        responses: {
+          200: jsonResponse('Concepts', { type: 'array', items: ref('Concept') }),
+          404: errorResponses[404]
+        }
+      },
+      post: {
+        summary: 'Add a concept',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['label'],
+          properties: {
+            label: { type: 'string' },
+            category: { type: 'string' },
+            id: { type: 'string' }
+          },
+          additionalProperties: false
+        }),
+        responses: {
+          201: jsonResponse('Concept added', ref('Concept')),
+          ...errorResponses,
+          409: jsonResponse('Concept ID already exists', ref('Error'))
+        }
+      }
+    },
+    '/sessions/{sessionId}/concepts/search': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Find concepts by label, category and metadata',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            match: { type: 'string', enum: matchModes, default: 'fuzzy' },
+            minScore: { type: 'number', minimum: 0, maximum: 1, default: 0.4 },
+            category: { type: 'string' },
+            metadata: { type: 'object', additionalProperties: true },
+            limit: { type: 'integer', default: 10 }
+          },
+          additionalProperties: false
+        }, false),
+        responses: {
+          200: jsonResponse('Matching concepts, best first', {
+            type: 'array',
+            items: { allOf: [ref('Concept'), { type: 'object', properties: { score: { type: 'number' } } }] }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/concepts/batch': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Add several concepts at once, all or nothing',
+        requestBody: jsonBody({ type: 'array', items: ref('ConceptSpec') }),
+        responses: { 201: jsonResponse('Spec statistics', ref('SpecResult')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/concepts/{conceptId}': {
+      parameters: [sessionIdParam, conceptIdParam],
+      get: {
+        summary: 'Get a concept with its incoming and outgoing connections',
+        responses: { 200: jsonResponse('Concept', ref('ConceptDetails')), 404: errorResponses[404] }
+      },
+      patch: {
+        summary: 'Update the label, category, metadata, bias, activation cap or embedding of a concept',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            label: { type: 'string' },
+            category: { type: 'string', nullable: true },
+            metadata: { type: 'object', additionalProperties: true },
+            metadataMode: { type: 'string', enum: ['merge', 'replace'], default: 'merge' },
+            bias: { type: 'number' },
+            activationCap: { type: 'number', nullable: true },
+            embedding: { ...embeddingProperty, nullable: true }
+          },
+          additionalProperties: false
+        }),
+        responses: { 200: jsonResponse('Updated concept', ref('ConceptDetails')), ...errorResponses }
+      },
+      delete: {
+        summary: 'Remove a concept and all connections to it',
+        responses: { 204: { description: 'Concept removed' }, 404: errorResponses[404] }
+      }
+    },
+    '/sessions/{sessionId}/connections': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'List connections',
+        responses: {
+          200: jsonResponse('Connections', { type: 'array', items: ref('Connection') }),
+          404: errorResponses[404]
+        }
+      },
+      post: {
+        summary: 'Add a connection',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['sourceId', 'targetId'],
+          properties: {
+            sourceId: { type: 'string' },
+            targetId: { type: 'string' },
+            weight: { type: 'number', minimum: -1, maximum: 1, default: 0.5 },
+            bidirectional: { type: 'boolean', default: true },
+            ...relationProperties
+          },
+          additionalProperties: false
+        }),
+        responses: { 201: jsonResponse('Connection added', ref('Connection')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/connections/batch': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Add several connections at once, all or nothing',
+        requestBody: jsonBody({ type: 'array', items: ref('ConnectionSpec') }),
+        responses: { 201: jsonResponse('Spec statistics', ref('SpecResult')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/connections/suggestions': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Propose connections between nearest neighbours by embedding that are not connected yet',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            conceptIds: { type: 'array', items: { type: 'string' }, description: 'Concepts to find neighbours for (defaults to all with an embedding)' },
+            k: { type: 'integer', minimum: 1, default: 5, description: 'Neighbours considered per concept' },
+            minSimilarity: { type: 'number', minimum: -1, maximum: 1, default: 0.5 },
+            limit: { type: 'integer', minimum: 1, default: 100 },
+            apply: { type: 'boolean', default: false, description: "Add the suggestions as 'similar-to' connections" }
+          },
+          additionalProperties: false
+        }, false),
+        responses: {
+          200: jsonResponse('Suggestions, weighted by cosine similarity', {
+            type: 'object',
+            properties: {
+              suggestions: { type: 'array', items: { type: 'object' } },
+              applied: { type: 'boolean' },
+              connectionsAdded: { type: 'integer' }
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/embeddings': {
+      parameters: [sessionIdParam],
+      put: {
+        summary: 'Set or remove the embeddings of several concepts, all or nothing',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['embeddings'],
+          properties: {
+            embeddings: {
+              type: 'object',
+              additionalProperties: { ...embeddingProperty, nullable: true },
+              description: 'Map of concept ID to embedding, or null to remove it'
+            }
+          },
+          additionalProperties: false
+        }),
+        responses: { 200: jsonResponse('Embedding statistics', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/connections/{sourceId}/{targetId}': {
+      parameters: [
+        sessionIdParam,
+        param('sourceId', 'path', { type: 'string' }, 'Source concept ID'),
+        param('targetId', 'path', { type: 'string' }, 'Target concept ID'),
+        param('bidirectional', 'query', { type: 'string', enum: ['true', 'false'], default: 'true' },
+          'Also remove the reverse connection')
+      ],
+      patch: {
+        summary: 'Change the weight or relation of a connection',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            weight: { type: 'number', minimum: -1, maximum: 1 },
+            relation: relationProperties.relation,
+            relationLabel: relationProperties.relationLabel,
+            provenance: relationProperties.provenance,
+            bidirectional: { type: 'boolean', default: true, description: 'Also update the reverse connection, if it exists' }
+          },
+          additionalProperties: false
+        }),
+        responses: {
+          200: jsonResponse('Updated connections', {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                sourceId: { type: 'string' },
+                targetId: { type: 'string' },
+                oldWeight: { type: 'number' },
+                weight: { type: 'number' },
+                ...relationProperties
+              }
+            }
+          }),
+          ...errorResponses
+        }
+      },
+      delete: {
+        summary: 'Remove a connection',
+        responses: { 204: { description: 'Connection removed' }, ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/spec': {
+      parameters: [
+        sessionIdParam,
+        param('mode', 'query', { type: 'string', enum: ['merge', 'replace'], default: 'merge' },
+          'Add to the network, or clear it first')
+      ],
+      post: {
+        summary: 'Apply a network spec, all or nothing',
+        requestBody: jsonBody(ref('NetworkSpec')),
+        responses: { 200: jsonResponse('Spec statistics', ref('SpecResult')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/text': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Create concepts for the salient terms of a text and connect co-occurring terms',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: { type: 'string', maxLength: 1000000 },
+            source: { type: 'string', description: 'Name of the text, recorded in spans and provenance' },
+            category: { type: 'string', description: 'Category of the concepts created' },
+            maxConcepts: { type: 'integer', minimum: 1, default: 50 },
+            minSupport: { type: 'integer', minimum: 1, default: 2, description: 'Minimum occurrences of a term' },
+            maxNgram: { type: 'integer', minimum: 1, maximum: 5, default: 3, description: 'Longest phrase, in words' },
+            windowSize: { type: 'integer', minimum: 2, default: 10, description: 'Co-occurrence window, in words' },
+            minCooccurrence: { type: 'integer', minimum: 1, default: 2 },
+            minPmi: { type: 'number', minimum: -1, maximum: 1, default: 0.1, description: 'Minimum normalized PMI of connected terms' },
+            maxConnectionsPerConcept: { type: 'integer', minimum: 0, default: 8 },
+            maxSpans: { type: 'integer', minimum: 0, default: 5, description: 'Spans kept per concept, the most recent across ingestions' },
+            stopwords: { type: 'array', items: { type: 'string' }, description: 'Added to the built-in English stopwords' }
+          },
+          additionalProperties: false
+        }),
+        responses: { 200: jsonResponse('Ingestion statistics', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/parameters': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Get activation parameters',
+        responses: { 200: jsonResponse('Parameters', ref('Parameters')), 404: errorResponses[404] }
+      },
+      patch: {
+        summary: 'Update activation parameters',
+        requestBody: jsonBody(ref('Parameters')),
+        responses: { 200: jsonResponse('Updated parameters', ref('Parameters')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/activation': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Get the most activated concepts',
+        parameters: [
+          param('limit', 'query', { type: 'integer', default: 10 }, 'Maximum number of concepts'),
+          param('threshold', 'query', { type: 'number' }, 'Minimum activation')
+        ],
+        responses: {
+          200: jsonResponse('Activated concepts', { type: 'array', items: ref('ActivatedConcept') }),
+          ...errorResponses
+        }
+      },
+      put: {
+        summary: 'Set the initial activation and reset the history',
+        requestBody: jsonBody({
+          oneOf: [
+            {
+              type: 'object',
+              description: 'Concepts given by ID, label (ignoring case) or search query',
+              properties: {
+                conceptIds: { type: 'array', items: { type: 'string' } },
+                labels: { type: 'array', items: { type: 'string' } },
+                queries: { type: 'array', items: { type: 'string' } },
+                match: { type: 'string', enum: matchModes, default: 'fuzzy' },
+                category: { type: 'string' },
+                matchesPerQuery: { type: 'integer', default: 1 },
+                activationValue: { type: 'number', default: 1.0 }
+              }
+            },
+            {
+              type: 'object',
+              required: ['activations'],
+              properties: { activations: { type: 'object', additionalProperties: { type: 'number' } } }
+            }
+          ]
+        }),
+        responses: { 200: jsonResponse('Activation set', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/activation/vector': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Set the initial activation from the similarity of concept embeddings to a vector',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['vector'],
+          properties: {
+            vector: embeddingProperty,
+            k: { type: 'integer', minimum: 1, default: 10, description: 'Maximum number of concepts activated' },
+            minSimilarity: { type: 'number', minimum: 0, maximum: 1, default: 0 }
+          },
+          additionalProperties: false
+        }),
+        responses: { 200: jsonResponse('Activated concepts with their similarity', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/activation/iterations': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Run one iteration of activation spreading',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { decayRate: { type: 'number' }, algorithm: { type: 'string' }, relationTypes: relationTypesProperty }
+        }, false),
+        responses: {
+          201: jsonResponse('Iteration result', { type: 'object' }),
+          ...errorResponses,
+          409: jsonResponse('A run is already in progress, or the activation was reset during the run', ref('Error'))
+        }
+      }
+    },
+    '/sessions/{sessionId}/activation/convergence': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Run iterations until convergence',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            maxIterations: { type: 'integer' },
+            convergenceThreshold: { type: 'number' },
+            decayRate: { type: 'number' },
+            algorithm: { type: 'string' },
+            relationTypes: relationTypesProperty
+          }
+        }, false),
+        responses: {
+          200: jsonResponse('Convergence result', { type: 'object' }),
+          ...errorResponses,
+          409: jsonResponse('A run is already in progress, or the activation was reset during the run', ref('Error'))
+        }
+      }
+    },
+    '/sessions/{sessionId}/learning': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Apply Hebbian learning from the current activations',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            learningRate: { type: 'number' },
+            weightDecay: { type: 'number' },
+            maxWeight: { type: 'number' },
+            learningRule: { type: 'string', enum: ['hebbian', 'oja'] },
+            createConnections: { type: 'boolean' },
+            coactivationThreshold: { type: 'number' },
+            maxNewConnections: { type: 'integer' }
+          }
+        }, false),
+        responses: { 200: jsonResponse('Learning statistics', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/patterns': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Identify emergent patterns',
+        parameters: [
+          param('threshold', 'query', { type: 'number' }, 'Minimum activation'),
+          param('method', 'query', { type: 'string', enum: ['louvain', 'labelPropagation', 'components'] },
+            'Community detection method')
+        ],
+        responses: {
+          200: jsonResponse('Patterns', { type: 'array', items: ref('Pattern') }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/summary': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Summarize the activation process',
+        responses: { 200: jsonResponse('Summary', { type: 'object' }), 404: errorResponses[404] }
+      }
+    },
+    '/sessions/{sessionId}/concepts/{conceptId}/explanation': {
+      parameters: [sessionIdParam, conceptIdParam],
+      get: {
+        summary: 'Explain why a concept became active',
+        parameters: [
+          param('maxPaths', 'query', { type: 'integer', default: 5 }, 'Maximum number of paths from the seeds'),
+          param('maxContributors', 'query', { type: 'integer', default: 5 }, 'Maximum number of contributors per iteration')
+        ],
+        responses: { 200: jsonResponse('Explanation', ref('Explanation')), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/history': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Get the activation history',
+        parameters: [
+          param('start', 'query', { type: 'integer', default: 0 }, 'First iteration'),
+          param('limit', 'query', { type: 'integer', default: 10 }, 'Maximum number of entries')
+        ],
+        responses: { 200: jsonResponse('History entries', { type: 'array', items: { type: 'object' } }), ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/trajectories': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Get the activation time series of concepts across the recorded iterations',
+        parameters: [
+          param('conceptIds', 'query', { type: 'string' }, 'Comma-separated concept IDs (defaults to the most active concepts)'),
+          param('limit', 'query', { type: 'integer', default: 5 }, 'Number of most active concepts when no IDs are given'),
+          param('startIteration', 'query', { type: 'integer' }, 'First iteration'),
+          param('endIteration', 'query', { type: 'integer' }, 'Last iteration')
+        ],
+        responses: {
+          200: jsonResponse('Trajectories', {
+            type: 'object',
+            properties: {
+              iterations: { type: 'array', items: { type: 'integer' } },
+              trajectories: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    label: { type: 'string', nullable: true },
+                    category: { type: 'string', nullable: true },
+                    activations: { type: 'array', items: { type: 'number', nullable: true } }
+                  }
+                }
+              }
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/sessions/{sessionId}/export': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Export the network',
+        parameters: [param('format', 'query', { type: 'string', enum: formats, default: 'json' }, 'Graph format')],
+        responses: { 200: { description: 'Serialized network' }, ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/visualization': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Show the network as an HTML page with activation history playback',
+        parameters: visualizationParams,
+        responses: { 200: { description: 'HTML page', content: { 'text/html': {} } }, ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/visualization.svg': {
+      parameters: [sessionIdParam],
+      get: {
+        summary: 'Draw the network as SVG',
+        parameters: visualizationParams,
+        responses: { 200: { description: 'SVG drawing', content: { 'image/svg+xml': {} } }, ...errorResponses }
+      }
+    },
+    '/sessions/{sessionId}/import': {
+      parameters: [sessionIdParam],
+      post: {
+        summary: 'Import a graph into the network',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['data'],
+          properties: {
+            format: { type: 'string', enum: formats, default: 'json' },
+            data: { type: 'string' },
+            mode: { type: 'string', enum: ['merge', 'replace'], default: 'merge' }
+          }
+        }),
+        responses: { 200: jsonResponse('Import statistics', { type: 'object' }), ...errorResponses }
+      }
+    },
+    '/templates': {
+      get: {
+        summary: 'List the template library with the latest version of each template',
+        parameters: [param('tag', 'query', { type: 'string' }, 'Only list templates with this tag')],
+        responses: { 200: jsonResponse('Templates', { type: 'array', items: ref('TemplateInfo') }), 400: errorResponses[400] }
+      }
+    },
+    '/templates/{templateId}': {
+      parameters: [templateIdParam],
+      get: {
+        summary: 'Get a template, including its network spec',
+        parameters: [param('version', 'query', { type: 'string' }, 'Template version (defaults to the latest)')],
+        responses: {
+          200: jsonResponse('Template', {
+            allOf: [ref('TemplateInfo'), { type: 'object', properties: { spec: ref('NetworkSpec') } }]
+          }),
+          404: jsonResponse('Template or version not found', ref('Error'))
+        }
+      }
+    },
+    '/templates/{templateId}/load': {
+      parameters: [templateIdParam],
+      post: {
+        summary: 'Load a template into a session, or into a new session if no sessionId is given',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            sessionId: { type: 'string', description: 'Session to load the template into' },
+            version: { type: 'string', description: 'Template version (defaults to the latest)' },
+            mode: { type: 'string', enum: ['merge', 'replace'], default: 'merge' },
+            name: { type: 'string', description: 'Name of a new session (defaults to the template name)' },
+            persist: { type: 'boolean', default: false, description: 'Persist a new session' }
+          },
+          additionalProperties: false
+        }, false),
+        responses: {
+          200: jsonResponse('Template loaded into the session', { type: 'object' }),
+          201: jsonResponse('Session created from the template', { type: 'object' }),
+          400: jsonResponse('Invalid request, or the template conflicts with concepts of the session', ref('Error')),
+          404: jsonResponse('Template, version or session not found', ref('Error'))
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          message: { type: 'string' },
+          issues: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      SessionInfo: {
+        type: 'object',
+        properties: {
+          sessionId: { type: 'string' },
+          name: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lastAccessed: { type: 'string', format: 'date-time' },
+          persisted: { type: 'boolean' },
+          forkedFrom: { type: 'string', nullable: true, description: 'Session this session was forked from' },
+          networkSize: {
+            type: 'object',
+            properties: { conceptCount: { type: 'integer' }, connectionCount: { type: 'integer' } }
+          }
+        }
+      },
+      MutationEntry: {
+        type: 'object',
+        properties: {
+          seq: { type: 'integer' },
+          timestamp: { type: 'string', format: 'date-time' },
+          actor: { type: 'string', description: "'mcp:<client name>', 'rest:<address>' or 'local'" },
+          kind: { type: 'string', enum: ['mutation', 'undo', 'redo'] },
+          operation: { type: 'string' },
+          args: { type: 'array', items: {} },
+          target: { type: 'integer', description: 'Entry undone or redone' },
+          changes: { type: 'array', items: ref('NetworkCall') },
+          inverse: { type: 'array', items: ref('NetworkCall') }
+        }
+      },
+      NetworkCall: {
+        type: 'object',
+        properties: {
+          method: { type: 'string' },
+          args: { type: 'array', items: {} }
+        }
+      },
+      TemplateInfo: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          version: { type: 'string' },
+          versions: { type: 'array', items: { type: 'string' }, description: 'Available versions, newest first' },
+          description: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          conceptCount: { type: 'integer' },
+          connectionCount: { type: 'integer' }
+        }
+      },
+      SessionDiff: {
+        type: 'object',
+        properties: {
+          baseSessionId: { type: 'string' },
+          compareSessionId: { type: 'string' },
+          concepts: ref('DiffSet'),
+          connections: ref('DiffSet'),
+          parameters: { type: 'object', description: 'Map of parameter name to { from, to }' },
+          activations: {
+            type: 'object',
+            properties: {
+              base: { type: 'array', items: ref('ActivatedConcept') },
+              compare: { type: 'array', items: ref('ActivatedConcept') },
+              entered: { type: 'array', items: ref('ActivatedConcept') },
+              left: { type: 'array', items: ref('ActivatedConcept') },
+              changed: { type: 'array', items: { type: 'object' } }
+            }
+          },
+          patterns: {
+            type: 'object',
+            properties: {
+              matched: { type: 'array', items: { type: 'object' } },
+              onlyInBase: { type: 'array', items: { type: 'object' } },
+              onlyInCompare: { type: 'array', items: { type: 'object' } }
+            }
+          },
+          summary: { type: 'object' }
+        }
+      },
+      DiffSet: {
+        type: 'object',
+        properties: {
+          added: { type: 'array', items: { type: 'object' } },
+          removed: { type: 'array', items: { type: 'object' } },
+          changed: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      Concept: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          category: { type: 'string', nullable: true },
+          activation: { type: 'number' },
+          connectionCount: { type: 'integer' },
+          metadata: { type: 'object' }
+        }
+      },
+      ConceptDetails: {
+        allOf: [
+          ref('Concept'),
+          {
+            type: 'object',
+            properties: {
+              bias: { type: 'number' },
+              activationCap: { type: 'number', nullable: true },
+              embeddingDimensions: { type: 'integer', nullable: true, description: 'Dimensions of the embedding, if any' },
+              outgoing: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    targetId: { type: 'string' },
+                    label: { type: 'string' },
+                    weight: { type: 'number' },
+                    ...relationProperties
+                  }
+                }
+              },
+              incoming: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    sourceId: { type: 'string' },
+                    label: { type: 'string' },
+                    weight: { type: 'number' },
+                    ...relationProperties
+                  }
+                }
+              }
+            }
+          }
+        ]
+      },
+      ActivatedConcept: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          activation: { type: 'number' },
+          category: { type: 'string', nullable: true }
+        }
+      },
+      Connection: {
+        type: 'object',
+        properties: {
+          sourceId: { type: 'string' },
+          targetId: { type: 'string' },
+          weight: { type: 'number' },
+          ...relationProperties
+        }
+      },
+      Pattern: {
+        type: 'object',
+        properties: {
+          patternId: { type: 'string' },
+          concepts: { type: 'array', items: ref('ActivatedConcept') },
+          averageActivation: { type: 'number' },
+          cohesion: { type: 'number' },
+          conductance: { type: 'number' },
+          representativeConcept: { type: 'object' },
+          centralConcepts: { type: 'array', items: { type: 'object' } },
+          relationTypes: {
+            type: 'object',
+            additionalProperties: { type: 'integer' },
+            description: 'Number of connections of each relation type within the pattern'
+          },
+          firstSeenIteration: { type: 'integer' }
+        }
+      },
+      Explanation: {
+        type: 'object',
+        properties: {
+          conceptId: { type: 'string' },
+          label: { type: 'string' },
+          activation: { type: 'number' },
+          iteration: { type: 'integer' },
+          iterations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                iteration: { type: 'integer' },
+                activation: { type: 'number' },
+                netInput: { type: 'number' },
+                contributors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      kind: { type: 'string', enum: ['previous', 'connection', 'seed', 'bias', 'inhibition'] },
+                      sourceId: { type: 'string' },
+                      label: { type: 'string' },
+                      relation: { type: 'string' },
+                      weight: { type: 'number' },
+                      sourceActivation: { type: 'number' },
+                      value: { type: 'number' },
+                      share: { type: 'number' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          paths: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                seedId: { type: 'string' },
+                concepts: { type: 'array', items: { type: 'object' } },
+                relations: { type: 'array', items: { type: 'string' } },
+                share: { type: 'number' }
+              }
+            }
+          },
+          seeds: { type: 'array', items: { type: 'object' } },
+          attributedShare: { type: 'number' }
+        }
+      },
+      ConceptSpec: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string', description: 'Defaults to the ID' },
+          category: { type: 'string', nullable: true },
+          metadata: { type: 'object' },
+          bias: { type: 'number' },
+          activationCap: { type: 'number', nullable: true },
+          embedding: { ...embeddingProperty, nullable: true }
+        },
+        additionalProperties: false
+      },
+      ConnectionSpec: {
+        type: 'object',
+        required: ['sourceId', 'targetId'],
+        properties: {
+          sourceId: { type: 'string' },
+          targetId: { type: 'string' },
+          weight: { type: 'number', minimum: -1, maximum: 1, default: 0.5 },
+          bidirectional: { type: 'boolean', default: true },
+          ...relationProperties
+        },
+        additionalProperties: false
+      },
+      NetworkSpec: {
+        type: 'object',
+        properties: {
+          concepts: { type: 'array', items: ref('ConceptSpec') },
+          connections: { type: 'array', items: ref('ConnectionSpec') },
+          parameters: ref('Parameters'),
+          initialActivation: {
+            oneOf: [
+              { type: 'array', items: { type: 'string' } },
+              { type: 'object', additionalProperties: { type: 'number' } }
+            ]
+          }
+        },
+        additionalProperties: false
+      },
+      SpecResult: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string' },
+          conceptsAdded: { type: 'integer' },
+          connectionsAdded: { type: 'integer' },
+          parametersSet: { type: 'array', items: { type: 'string' } },
+          activatedConcepts: { type: 'integer' },
+          networkSize: { type: 'object' }
+        }
+      },
+      Parameters: {
+        type: 'object',
+        properties: {
+          activationThreshold: { type: 'number' },
+          decayRate: { type: 'number' },
+          maxIterations: { type: 'integer' },
+          convergenceThreshold: { type: 'number' },
+          lateralInhibition: { type: 'number' },
+          activationFunction: { type: 'string' },
+          activationGain: { type: 'number' },
+          activationBias: { type: 'number' },
+          activationCeiling: { type: 'number' },
+          restingLevel: { type: 'number' },
+          algorithm: { type: 'string' },
+          restartProbability: { type: 'number' },
+          diffusionTime: { type: 'number' },
+          patternDetection: { type: 'string' },
+          patternResolution: { type: 'number' },
+          trackPatterns: { type: 'boolean' },
+          autoLearn: { type: 'boolean' },
+          learningRate: { type: 'number' },
+          weightDecay: { type: 'number' },
+          maxWeight: { type: 'number' },
+          learningRule: { type: 'string' },
+          createConnections: { type: 'boolean' },
+          coactivationThreshold: { type: 'number' },
+          maxNewConnections: { type: 'integer' },
+          relationMultipliers: {
+            type: 'object',
+            additionalProperties: { type: 'number' },
+            description: 'Weight multiplier per relation type (default 1)'
+          },
+          relationTypes: { type: 'array', items: { type: 'string' }, nullable: true },
+          historyRetention: { type: 'string', enum: ['all', 'ring', 'interval', 'off'] },
+          historyLimit: { type: 'integer', minimum: 1 },
+          historyInterval: { type: 'integer', minimum: 1 },
+          parallelWorkers: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 64,
+            description: 'Worker threads that run activation iterations (0 runs them on the main thread)'
+          },
+          mutationLogLimit: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Mutation log mutations kept before the oldest are compacted into the base state (undo and redo entries do not count)'
+          }
+        }
+      }
+    }
+  }
+};
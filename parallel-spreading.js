@@ -0,0 +1,195 @@
+/**
+ * Parallel Activation Spreading
+ *
+ * Pool of worker threads that run the propagation requests of spreading
+ * algorithms (see computeSpreadingStepAsync in spreading-algorithms.js):
+ * the concepts of the compact graph are split into contiguous ranges with
+ * about the same number of incoming edges, and each worker sums the
+ * incoming values of one range. The graph arrays, the weights, the input
+ * vectors and the results live on SharedArrayBuffers, so nothing is copied
+ * between threads.
+ *
+ * Every concept's sum is computed by a single worker, adding its terms in
+ * the same order as the main thread would, so results are identical to
+ * single-threaded spreading. The main thread only does the per-concept work
+ * of each iteration and stays free to serve other requests meanwhile.
+ *
+ * Pools are shared by all networks, one per worker count, and their threads
+ * do not keep the process alive.
+ */
+
+import { Worker } from 'worker_threads';
+
+/**
+ * Largest supported number of workers
+ */
+export const MAX_PARALLEL_WORKERS = 64;
+
+const pools = new Map();
+
+/**
+ * Copy a typed array to a SharedArrayBuffer unless it already is on one
+ * @param {Float64Array} array Array to share
+ * @returns {Float64Array} Array on a SharedArrayBuffer
+ * @private
+ */
+function toShared(array) {
+  if (array.buffer instanceof SharedArrayBuffer) {
+    return array;
+  }
+  const shared = new Float64Array(new SharedArrayBuffer(array.byteLength));
+  shared.set(array);
+  return shared;
+}
+
+/**
+ * Split the concepts of a graph into ranges of similar cost
+ * @param {CompactGraph} graph Compact graph
+ * @param {number} count Number of ranges
+ * @returns {Array<Array<number>>} [start, end) ranges, empty ones left out
+ * @private
+ */
+function partition(graph, count) {
+  // Cost of the concepts before i: their incoming edges plus one per concept
+  const cost = i => graph.inOffsets[i] + i;
+  const total = cost(graph.size);
+  const ranges = [];
+  let start = 0;
+  for (let part = 1; part <= count && start < graph.size; part++) {
+    let end = graph.size;
+    if (part < count) {
+      // First concept boundary at or beyond this part's share of the cost
+      const target = total * part / count;
+      let low = start;
+      let high = graph.size;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (cost(middle) < target) low = middle + 1;
+        else high = middle;
+      }
+      end = low;
+    }
+    if (end > start) {
+      ranges.push([start, end]);
+      start = end;
+    }
+  }
+  return ranges;
+}
+
+export class SpreadingWorkerPool {
+  /**
+   * Start a pool of worker threads
+   * @param {number} size Number of workers
+   */
+  constructor(size) {
+    this.size = size;
+    this.pending = new Map(); // Request ID to { resolve, reject }
+    this.nextId = 1;
+    this.partitions = new WeakMap(); // Compact graph to its concept ranges
+    this.closed = false;
+    this.workers = Array.from({ length: size }, () => this.startWorker());
+  }
+
+  /**
+   * Start a worker thread
+   * @returns {Worker} The worker
+   * @private
+   */
+  startWorker() {
+    const worker = new Worker(new URL('./spreading-worker.js', import.meta.url));
+    worker.unref();
+    worker.on('message', ({ id, error }) => {
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve();
+    });
+    worker.on('error', error => this.fail(error));
+    worker.on('exit', code => {
+      if (!this.closed) this.fail(new Error(`Spreading worker stopped with exit code ${code}`));
+    });
+    return worker;
+  }
+
+  /**
+   * Reject every pending request and retire the pool, so the next caller
+   * of getWorkerPool starts a new one
+   * @param {Error} error Cause
+   * @private
+   */
+  fail(error) {
+    for (const { reject } of this.pending.values()) {
+      reject(error);
+    }
+    this.pending.clear();
+    if (pools.get(this.size) === this) {
+      pools.delete(this.size);
+    }
+    this.close();
+  }
+
+  /**
+   * Run a propagation request on the workers
+   * @param {CompactGraph} graph Compact graph the request belongs to
+   * @param {Object} request Propagation request (see propagateRange in compact-graph.js)
+   * @returns {Promise<Float64Array>} Values by concept index
+   */
+  async propagate(graph, request) {
+    if (this.closed) {
+      throw new Error('Spreading worker pool is closed');
+    }
+    if (!this.partitions.has(graph)) {
+      this.partitions.set(graph, partition(graph, this.size));
+    }
+
+    const edges = { inOffsets: graph.inOffsets, inSources: graph.inSources, inEdges: graph.inEdges };
+    const shared = {
+      ...request,
+      vector: toShared(request.vector),
+      weights: toShared(request.weights),
+      scale: toShared(request.scale)
+    };
+    const out = new Float64Array(new SharedArrayBuffer(Float64Array.BYTES_PER_ELEMENT * graph.size));
+
+    await Promise.all(this.partitions.get(graph).map(([start, end], part) => new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      this.workers[part].postMessage({ id, graph: edges, request: shared, start, end, out });
+    })));
+    return out;
+  }
+
+  /**
+   * Stop the worker threads
+   */
+  close() {
+    this.closed = true;
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+  }
+}
+
+/**
+ * Get the shared pool with a number of workers, starting it if needed
+ * @param {number} size Number of workers
+ * @returns {SpreadingWorkerPool} The pool
+ */
+export function getWorkerPool(size) {
+  if (!pools.has(size)) {
+    pools.set(size, new SpreadingWorkerPool(size));
+  }
+  return pools.get(size);
+}
+
+/**
+ * Stop every shared pool
+ */
+export function closeWorkerPools() {
+  for (const pool of pools.values()) {
+    pool.close();
+  }
+  pools.clear();
+}
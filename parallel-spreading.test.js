@@ -0,0 +1,73 @@
+/**
+ * Checks that spreading on worker threads gives the same activations as
+ * spreading on the main thread
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+import { closeWorkerPools, getWorkerPool } from './parallel-spreading.js';
+
+afterAll(() => {
+  closeWorkerPools();
+});
+
+/**
+ * Network of 60 concepts with irregular connections, a few of them inhibitory
+ */
+function buildNetwork(algorithm, parallelWorkers) {
+  const network = new ConceptNetwork();
+  for (let i = 0; i < 60; i++) {
+    network.addConcept(`c${i}`, null, `c${i}`);
+  }
+  for (let i = 0; i < 60; i++) {
+    for (const step of [1, 7, 13]) {
+      const j = (i * 3 + step) % 60;
+      if (j !== i) {
+        network.addConnection(`c${i}`, `c${j}`, ((i + step) % 9 - 2) / 10 || 0.05, false);
+      }
+    }
+  }
+  network.setParameters({ algorithm, parallelWorkers });
+  network.setInitialActivation(['c0', 'c17', 'c42']);
+  return network;
+}
+
+function activationsOf(network) {
+  return Array.from(network.nodes.values(), node => node.activation);
+}
+
+describe.each(['decay', 'fanout', 'pagerank', 'heat'])('%s', algorithm => {
+  test.each([1, 3])('gives the single-threaded activations with %i workers', async workers => {
+    const single = buildNetwork(algorithm, 0);
+    const parallel = buildNetwork(algorithm, workers);
+    const options = { maxIterations: 6, convergenceThreshold: 0 };
+
+    single.runUntilConvergence(options);
+    const result = await parallel.runUntilConvergenceAsync(options);
+
+    expect(result.iterations).toBe(6);
+    expect(activationsOf(parallel)).toEqual(activationsOf(single));
+  });
+});
+
+describe('SpreadingWorkerPool', () => {
+  test('is shared per worker count and replaced once closed', () => {
+    const pool = getWorkerPool(2);
+    expect(getWorkerPool(2)).toBe(pool);
+
+    closeWorkerPools();
+    expect(pool.closed).toBe(true);
+    expect(getWorkerPool(2)).not.toBe(pool);
+  });
+
+  test('rejects requests once closed', async () => {
+    const pool = getWorkerPool(2);
+    pool.close();
+
+    await expect(pool.propagate(null, {})).rejects.toThrow('Spreading worker pool is closed');
+  });
+
+  test.each([-1, 1.5, 65])('parallelWorkers rejects %d', value => {
+    const network = new ConceptNetwork();
+    expect(() => network.setParameters({ parallelWorkers: value })).toThrow('parallelWorkers must be an integer');
+  });
+});
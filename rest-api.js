@@ -0,0 +1,758 @@
+/**
+ * REST API for Concept Activation Network
+ *
+ * Resource-oriented HTTP interface mirroring the MCP tools, backed by the
+ * same SessionManager and ConceptNetwork methods. Request bodies and query
+ * strings are validated with zod; errors map to HTTP status codes:
+ * - 400 for invalid input
+ * - 401 for requests without the API token, when one is configured
+ * - 404 for unknown sessions, concepts and connections
+ * - 409 for duplicate IDs
+ */
+
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { z } from 'zod';
+
+import { NotFoundError, ConflictError, ValidationError } from './errors.js';
+import { exportNetwork, importNetwork, GRAPH_FORMATS } from './graph-formats.js';
+import { COMMUNITY_METHODS } from './community-detection.js';
+import { MATCH_MODES } from './concept-index.js';
+import { ingestText, MAX_INGESTION_TEXT_LENGTH, MAX_NGRAM } from './text-ingestion.js';
+import { MAX_EMBEDDING_DIMENSIONS } from './embedding-index.js';
+import { applyNetworkSpec, defaultConceptsSchema, parametersSchema, SPEC_MODES } from './network-spec.js';
+import { runAsActor, summarizeEntry } from './mutation-log.js';
+import { openApiDocument } from './openapi.js';
+import {
+  buildVisualization, renderNetworkSvg, renderVisualizationPage, MAX_VISUALIZATION_CONCEPTS
+} from './network-visualization.js';
+
+/**
+ * Content types used when returning exported networks
+ */
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  graphml: 'application/graphml+xml',
+  gexf: 'application/gexf+xml',
+  dot: 'text/vnd.graphviz'
+};
+
+const createSessionSchema = z.object({
+  name: z.string().optional(),
+  defaultConcepts: defaultConceptsSchema.optional(),
+  spec: z.unknown().optional(),
+  persist: z.boolean().default(false)
+}).strict();
+
+const saveSessionSchema = z.object({
+  includeHistory: z.boolean().default(false)
+}).strict();
+
+const forkSessionSchema = z.object({
+  name: z.string().optional(),
+  includeHistory: z.boolean().default(false),
+  persist: z.boolean().default(false)
+}).strict();
+
+const diffQuerySchema = z.object({
+  threshold: z.coerce.number().optional(),
+  limit: z.coerce.number().int().positive().default(10)
+});
+
+const undoSchema = z.object({
+  steps: z.number().int().positive().default(1)
+}).strict();
+
+const mutationsQuerySchema = z.object({
+  start: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().positive().default(50),
+  includeChanges: z.enum(['true', 'false']).default('false').transform(value => value === 'true')
+});
+
+const replaySchema = z.object({
+  upToSeq: z.number().int().min(0).optional(),
+  name: z.string().optional(),
+  persist: z.boolean().default(false)
+}).strict();
+
+const addConceptSchema = z.object({
+  label: z.string().min(1),
+  category: z.string().optional(),
+  id: z.string().min(1).optional()
+}).strict();
+
+const addConnectionSchema = z.object({
+  sourceId: z.string(),
+  targetId: z.string(),
+  weight: z.number().min(-1).max(1).default(0.5),
+  bidirectional: z.boolean().default(true),
+  relation: z.string().min(1).optional(),
+  relationLabel: z.string().optional(),
+  provenance: z.string().optional()
+}).strict();
+
+const specQuerySchema = z.object({
+  mode: z.enum(SPEC_MODES).default('merge')
+});
+
+const embeddingSchema = z.array(z.number()).min(1).max(MAX_EMBEDDING_DIMENSIONS);
+
+const setEmbeddingsSchema = z.object({
+  embeddings: z.record(embeddingSchema.nullable())
+}).strict();
+
+const suggestConnectionsSchema = z.object({
+  conceptIds: z.array(z.string()).optional(),
+  k: z.number().int().positive().default(5),
+  minSimilarity: z.number().min(-1).max(1).default(0.5),
+  limit: z.number().int().positive().default(100),
+  apply: z.boolean().default(false)
+}).strict();
+
+const vectorActivationSchema = z.object({
+  vector: embeddingSchema,
+  k: z.number().int().positive().default(10),
+  minSimilarity: z.number().min(0).max(1).default(0)
+}).strict();
+
+const ingestTextSchema = z.object({
+  text: z.string().min(1).max(MAX_INGESTION_TEXT_LENGTH),
+  source: z.string().min(1).optional(),
+  category: z.string().optional(),
+  maxConcepts: z.number().int().positive().optional(),
+  minSupport: z.number().int().positive().optional(),
+  maxNgram: z.number().int().min(1).max(MAX_NGRAM).optional(),
+  windowSize: z.number().int().min(2).optional(),
+  minCooccurrence: z.number().int().positive().optional(),
+  minPmi: z.number().min(-1).max(1).optional(),
+  maxConnectionsPerConcept: z.number().int().min(0).optional(),
+  maxSpans: z.number().int().min(0).optional(),
+  stopwords: z.array(z.string().min(1)).optional()
+}).strict();
+
+const updateConceptSchema = z.object({
+  label: z.string().min(1).optional(),
+  category: z.string().nullable().optional(),
+  metadata: z.record(z.any()).optional(),
+  metadataMode: z.enum(['merge', 'replace']).default('merge'),
+  bias: z.number().optional(),
+  activationCap: z.number().nullable().optional(),
+  embedding: z.array(z.number()).min(1).max(MAX_EMBEDDING_DIMENSIONS).nullable().optional()
+}).strict();
+
+const updateConnectionSchema = z.object({
+  weight: z.number().min(-1).max(1).optional(),
+  relation: z.string().min(1).optional(),
+  relationLabel: z.string().nullable().optional(),
+  provenance: z.string().nullable().optional(),
+  bidirectional: z.boolean().default(true)
+}).strict();
+
+const removeConnectionQuerySchema = z.object({
+  bidirectional: z.enum(['true', 'false']).default('true')
+});
+
+const initialActivationSchema = z.union([
+  z.object({
+    conceptIds: z.array(z.string()).default([]),
+    labels: z.array(z.string()).optional(),
+    queries: z.array(z.string()).optional(),
+    match: z.enum(MATCH_MODES).default('fuzzy'),
+    category: z.string().optional(),
+    matchesPerQuery: z.number().int().positive().default(1),
+    activationValue: z.number().default(1.0)
+  }).strict(),
+  z.object({
+    activations: z.record(z.number())
+  }).strict()
+]);
+
+const findConceptsSchema = z.object({
+  query: z.string().optional(),
+  match: z.enum(MATCH_MODES).default('fuzzy'),
+  minScore: z.number().min(0).max(1).default(0.4),
+  category: z.string().optional(),
+  metadata: z.record(z.any()).optional(),
+  limit: z.number().int().positive().default(10)
+}).strict();
+
+const iterationSchema = z.object({
+  decayRate: z.number().min(0).max(1).optional(),
+  algorithm: z.string().optional(),
+  relationTypes: z.array(z.string().min(1)).optional()
+}).strict();
+
+const convergenceSchema = z.object({
+  maxIterations: z.number().int().positive().optional(),
+  convergenceThreshold: z.number().min(0).optional(),
+  decayRate: z.number().min(0).max(1).optional(),
+  algorithm: z.string().optional(),
+  relationTypes: z.array(z.string().min(1)).optional()
+}).strict();
+
+const learningSchema = parametersSchema.pick({
+  learningRate: true,
+  weightDecay: true,
+  maxWeight: true,
+  learningRule: true,
+  createConnections: true,
+  coactivationThreshold: true,
+  maxNewConnections: true
+});
+
+const topActivatedQuerySchema = z.object({
+  limit: z.coerce.number().int().positive().default(10),
+  threshold: z.coerce.number().optional()
+});
+
+const patternsQuerySchema = z.object({
+  threshold: z.coerce.number().optional(),
+  method: z.enum(COMMUNITY_METHODS).optional()
+});
+
+const historyQuerySchema = z.object({
+  start: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().positive().default(10)
+});
+
+const trajectoryQuerySchema = z.object({
+  conceptIds: z.string().min(1).transform(value => value.split(',')).optional(),
+  limit: z.coerce.number().int().positive().default(5),
+  startIteration: z.coerce.number().int().min(0).optional(),
+  endIteration: z.coerce.number().int().min(0).optional()
+});
+
+const explanationQuerySchema = z.object({
+  maxPaths: z.coerce.number().int().positive().default(5),
+  maxContributors: z.coerce.number().int().positive().default(5)
+});
+
+const visualizationQuerySchema = z.object({
+  limit: z.coerce.number().int().positive().max(MAX_VISUALIZATION_CONCEPTS).optional(),
+  width: z.coerce.number().int().min(200).max(4000).optional(),
+  height: z.coerce.number().int().min(200).max(4000).optional()
+});
+
+const exportQuerySchema = z.object({
+  format: z.enum(GRAPH_FORMATS).default('json')
+});
+
+const importSchema = z.object({
+  format: z.enum(GRAPH_FORMATS).default('json'),
+  data: z.string(),
+  mode: z.enum(['merge', 'replace']).default('merge')
+}).strict();
+
+const templatesQuerySchema = z.object({
+  tag: z.string().optional()
+});
+
+const templateQuerySchema = z.object({
+  version: z.string().optional()
+});
+
+const loadTemplateSchema = z.object({
+  version: z.string().optional(),
+  sessionId: z.string().optional(),
+  mode: z.enum(SPEC_MODES).default('merge'),
+  name: z.string().optional(),
+  persist: z.boolean().default(false)
+}).strict();
+
+/**
+ * Validate input against a zod schema
+ * @param {Object} schema Zod schema
+ * @param {*} input Input to validate
+ * @returns {*} Parsed input
+ * @throws {ValidationError} Listing every validation issue
+ */
+function validate(schema, input) {
+  const result = schema.safeParse(input ?? {});
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `${issue.path.length > 0 ? issue.path.join('.') : 'body'}: ${issue.message}`);
+    const error = new ValidationError(`Invalid request: ${issues.join('; ')}`);
+    error.issues = result.error.issues;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler Route handler
+ * @returns {Function} Express handler
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Paths whose GET requests may pass the API token as a `token` query
+ * parameter, so the visualization can be opened in a browser
+ */
+const QUERY_TOKEN_PATH = /^\/sessions\/[^/]+\/visualization(\.svg)?$/;
+
+/**
+ * Express middleware requiring a bearer token on every request. GET
+ * requests for the visualization may send it as `?token=` instead.
+ * @param {string} token The expected token
+ * @returns {Function} Middleware answering 401 to requests without the token
+ */
+export function requireApiToken(token) {
+  const expected = createHash('sha256').update(token).digest();
+  return (req, res, next) => {
+    const [scheme, bearer] = (req.get('authorization') || '').split(' ');
+    const queryToken = req.method === 'GET' && QUERY_TOKEN_PATH.test(req.path) && typeof req.query.token === 'string'
+      ? req.query.token
+      : null;
+    const supplied = scheme === 'Bearer' ? bearer : queryToken;
+    // Compare digests so the comparison takes the same time for any token
+    const digest = createHash('sha256').update(supplied || '').digest();
+    if (supplied && timingSafeEqual(digest, expected)) {
+      next();
+      return;
+    }
+    res.status(401).json({ error: 'UnauthorizedError', message: 'Missing or invalid API token' });
+  };
+}
+
+/**
+ * Express error middleware translating errors to status codes. Mount it
+ * after the router so that body parsing errors are reported as JSON too.
+ * @param {Error} error The error
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} _next Next middleware
+ */
+export function restErrorHandler(error, req, res, _next) {
+  let status = 500;
+  const errorStatus = error.status ?? error.statusCode;
+  if (error instanceof NotFoundError) {
+    status = 404;
+  } else if (error instanceof ConflictError) {
+    status = 409;
+  } else if (error instanceof ValidationError) {
+    status = 400;
+  } else if (Number.isInteger(errorStatus) && errorStatus >= 400 && errorStatus < 500) {
+    // Client errors raised by middleware, e.g. body-parser's entity.too.large
+    status = errorStatus;
+  }
+
+  if (status === 500) {
+    console.error('REST API error:', error);
+  }
+
+  res.status(status).json({
+    error: error.name || 'Error',
+    message: status === 500 ? 'Internal server error' : error.message,
+    ...(error.issues ? { issues: error.issues } : {})
+  });
+}
+
+/**
+ * List all connections of a network
+ * @param {ConceptNetwork} network The network
+ * @returns {Array<Object>} Connections
+ */
+function listConnections(network) {
+  const connections = [];
+  for (const node of network.nodes.values()) {
+    for (const [targetId, weight] of node.connections.entries()) {
+      const relation = node.getRelation(targetId);
+      connections.push({
+        sourceId: node.id,
+        targetId,
+        weight,
+        relation: relation.type,
+        relationLabel: relation.label,
+        provenance: relation.provenance
+      });
+    }
+  }
+  return connections;
+}
+
+/**
+ * Create the router serving the visualization page and SVG drawing, which
+ * is mounted with the MCP HTTP transport when the REST API is off
+ * @param {SessionManager} sessionManager Session manager instance
+ * @returns {Object} Express router
+ */
+export function createVisualizationRouter(sessionManager) {
+  const router = express.Router();
+
+  router.get('/sessions/:sessionId/visualization', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+    const visualization = buildVisualization(session.network, validate(visualizationQuerySchema, req.query));
+    res.type('html').send(renderVisualizationPage(visualization, { title: session.name }));
+  });
+
+  router.get('/sessions/:sessionId/visualization.svg', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+    const visualization = buildVisualization(session.network, validate(visualizationQuerySchema, req.query));
+    res.type('image/svg+xml').send(renderNetworkSvg(visualization, { title: session.name }));
+  });
+
+  return router;
+}
+
+/**
+ * Create the REST API router
+ * @param {SessionManager} sessionManager Session manager instance
+ * @returns {Object} Express router
+ */
+export function createRestRouter(sessionManager) {
+  const router = express.Router();
+
+  // Mutations made by requests are attributed to the client address
+  router.use((req, res, next) => {
+    runAsActor(`rest:${req.ip}`, next);
+  });
+
+  // OpenAPI document
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // Sessions
+  router.get('/sessions', (req, res) => {
+    res.json(sessionManager.getAllSessions());
+  });
+
+  router.post('/sessions', (req, res) => {
+    const body = validate(createSessionSchema, req.body);
+    res.status(201).json(sessionManager.createSession(body));
+  });
+
+  router.get('/sessions/:sessionId', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+    res.json({
+      sessionId: session.id,
+      name: session.name,
+      createdAt: session.createdAt,
+      lastAccessed: session.lastAccessed,
+      persisted: session.persisted,
+      savedAt: session.savedAt,
+      parameters: session.network.params,
+      networkSize: session.network.getNetworkSize()
+    });
+  });
+
+  router.delete('/sessions/:sessionId', asyncHandler(async (req, res) => {
+    const deleted = await sessionManager.deleteSession(req.params.sessionId);
+    if (!deleted) {
+      throw new NotFoundError(`Session ${req.params.sessionId} not found`);
+    }
+    res.status(204).end();
+  }));
+
+  router.post('/sessions/:sessionId/save', asyncHandler(async (req, res) => {
+    const body = validate(saveSessionSchema, req.body);
+    res.json(await sessionManager.saveSession(req.params.sessionId, body));
+  }));
+
+  router.post('/sessions/:sessionId/load', asyncHandler(async (req, res) => {
+    res.json(await sessionManager.loadSession(req.params.sessionId));
+  }));
+
+  router.post('/sessions/:sessionId/fork', (req, res) => {
+    const body = validate(forkSessionSchema, req.body);
+    res.status(201).json(sessionManager.forkSession(req.params.sessionId, body));
+  });
+
+  router.get('/sessions/:sessionId/diff/:compareSessionId', (req, res) => {
+    const { threshold, limit } = validate(diffQuerySchema, req.query);
+    res.json(sessionManager.diffSessions(req.params.sessionId, req.params.compareSessionId, {
+      threshold: threshold ?? null,
+      limit
+    }));
+  });
+
+  // Mutation log
+  router.post('/sessions/:sessionId/undo', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { steps } = validate(undoSchema, req.body);
+    res.json({ undone: network.undo(steps).map(summarizeEntry), ...network.mutationLog.getStatus() });
+  });
+
+  router.post('/sessions/:sessionId/redo', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { steps } = validate(undoSchema, req.body);
+    res.json({ redone: network.redo(steps).map(summarizeEntry), ...network.mutationLog.getStatus() });
+  });
+
+  router.get('/sessions/:sessionId/mutations', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(network.mutationLog.getEntries(validate(mutationsQuerySchema, req.query)));
+  });
+
+  router.post('/sessions/:sessionId/replay', (req, res) => {
+    const { upToSeq, name, persist } = validate(replaySchema, req.body);
+    res.status(201).json(sessionManager.replaySession(req.params.sessionId, { upToSeq: upToSeq ?? null, name, persist }));
+  });
+
+  // Concepts
+  router.get('/sessions/:sessionId/concepts', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(Array.from(network.nodes.values()).map(node => node.toJSON()));
+  });
+
+  router.post('/sessions/:sessionId/concepts', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const body = validate(addConceptSchema, req.body);
+    const conceptId = network.addConcept(body.label, body.category, body.id);
+    res.status(201).json(network.getConcept(conceptId).toJSON());
+  });
+
+  router.post('/sessions/:sessionId/concepts/search', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(network.findConcepts(validate(findConceptsSchema, req.body)));
+  });
+
+  router.post('/sessions/:sessionId/concepts/batch', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.status(201).json(applyNetworkSpec(network, { concepts: req.body }));
+  });
+
+  router.get('/sessions/:sessionId/concepts/:conceptId', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(network.getConceptDetails(req.params.conceptId));
+  });
+
+  router.patch('/sessions/:sessionId/concepts/:conceptId', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    network.updateConcept(req.params.conceptId, validate(updateConceptSchema, req.body));
+    res.json(network.getConceptDetails(req.params.conceptId));
+  });
+
+  router.delete('/sessions/:sessionId/concepts/:conceptId', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    if (!network.removeConcept(req.params.conceptId)) {
+      throw new NotFoundError(`Concept ${req.params.conceptId} not found`);
+    }
+    res.status(204).end();
+  });
+
+  // Connections
+  router.get('/sessions/:sessionId/connections', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(listConnections(network));
+  });
+
+  router.post('/sessions/:sessionId/connections', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const body = validate(addConnectionSchema, req.body);
+    network.addConnection(body.sourceId, body.targetId, body.weight, body.bidirectional, {
+      type: body.relation,
+      label: body.relationLabel,
+      provenance: body.provenance
+    });
+    const source = network.getConcept(body.sourceId);
+    const relation = source.getRelation(body.targetId);
+    res.status(201).json({
+      sourceId: body.sourceId,
+      targetId: body.targetId,
+      weight: source.connections.get(body.targetId),
+      bidirectional: body.bidirectional,
+      relation: relation.type,
+      relationLabel: relation.label,
+      provenance: relation.provenance
+    });
+  });
+
+  router.post('/sessions/:sessionId/connections/batch', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.status(201).json(applyNetworkSpec(network, { connections: req.body }));
+  });
+
+  router.post('/sessions/:sessionId/connections/suggestions', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { conceptIds, ...options } = validate(suggestConnectionsSchema, req.body);
+    res.json(network.suggestConnections({ conceptIds: conceptIds ?? null, ...options }));
+  });
+
+  // Embeddings
+  router.put('/sessions/:sessionId/embeddings', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { embeddings } = validate(setEmbeddingsSchema, req.body);
+    res.json(network.setEmbeddings(embeddings));
+  });
+
+  router.patch('/sessions/:sessionId/connections/:sourceId/:targetId', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { bidirectional, ...updates } = validate(updateConnectionSchema, req.body);
+    res.json(network.updateConnection(req.params.sourceId, req.params.targetId, updates, bidirectional));
+  });
+
+  router.delete('/sessions/:sessionId/connections/:sourceId/:targetId', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { bidirectional } = validate(removeConnectionQuerySchema, req.query);
+    const removed = network.removeConnection(req.params.sourceId, req.params.targetId, bidirectional === 'true');
+    if (!removed) {
+      throw new NotFoundError(`Connection ${req.params.sourceId} -> ${req.params.targetId} not found`);
+    }
+    res.status(204).end();
+  });
+
+  // Network spec
+  router.post('/sessions/:sessionId/spec', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { mode } = validate(specQuerySchema, req.query);
+    res.json(applyNetworkSpec(network, req.body, { mode }));
+  });
+
+  router.post('/sessions/:sessionId/text', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { text, ...options } = validate(ingestTextSchema, req.body);
+    res.json(ingestText(network, text, options));
+  });
+
+  // Parameters
+  router.get('/sessions/:sessionId/parameters', (req, res) => {
+    res.json(sessionManager.getNetwork(req.params.sessionId).params);
+  });
+
+  router.patch('/sessions/:sessionId/parameters', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    network.setParameters(validate(parametersSchema, req.body));
+    res.json(network.params);
+  });
+
+  // Activation
+  router.get('/sessions/:sessionId/activation', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { limit, threshold } = validate(topActivatedQuerySchema, req.query);
+    res.json(network.getTopActivatedConcepts(limit, threshold ?? null));
+  });
+
+  router.put('/sessions/:sessionId/activation', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const body = validate(initialActivationSchema, req.body);
+    if (body.activations) {
+      for (const id of Object.keys(body.activations)) {
+        network.getConcept(id);
+      }
+      network.setInitialActivation(body.activations);
+      res.json({ activatedCount: Object.keys(body.activations).length });
+      return;
+    }
+
+    for (const id of body.conceptIds) {
+      network.getConcept(id);
+    }
+    const { conceptIds, resolved } = network.resolveConcepts(
+      { conceptIds: body.conceptIds, labels: body.labels, queries: body.queries },
+      { match: body.match, category: body.category, matchesPerQuery: body.matchesPerQuery }
+    );
+    network.setInitialActivation(conceptIds, body.activationValue);
+    res.json({ activatedCount: conceptIds.length, resolved });
+  });
+
+  router.post('/sessions/:sessionId/activation/vector', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { vector, k, minSimilarity } = validate(vectorActivationSchema, req.body);
+    const result = network.activateByVector(vector, { k, minSimilarity });
+    res.json({ activatedCount: result.activated.length, ...result });
+  });
+
+  router.post('/sessions/:sessionId/activation/iterations', asyncHandler(async (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const body = validate(iterationSchema, req.body);
+    const result = await network.spreadActivationAsync(body.decayRate ?? null, body.algorithm ?? null, body.relationTypes ?? null);
+    res.status(201).json({
+      ...result,
+      topActivatedConcepts: network.getTopActivatedConcepts(5)
+    });
+  }));
+
+  router.post('/sessions/:sessionId/activation/convergence', asyncHandler(async (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const result = await network.runUntilConvergenceAsync(validate(convergenceSchema, req.body));
+    res.json({
+      ...result,
+      topActivatedConcepts: network.getTopActivatedConcepts(5)
+    });
+  }));
+
+  router.post('/sessions/:sessionId/learning', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(network.learnFromActivation(validate(learningSchema, req.body)));
+  });
+
+  // Analysis
+  router.get('/sessions/:sessionId/patterns', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { threshold, method } = validate(patternsQuerySchema, req.query);
+    res.json(network.identifyEmergentPatterns(threshold ?? null, { method: method ?? null }));
+  });
+
+  router.get('/sessions/:sessionId/summary', (req, res) => {
+    res.json(sessionManager.getNetwork(req.params.sessionId).generateSummary());
+  });
+
+  router.get('/sessions/:sessionId/concepts/:conceptId/explanation', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    res.json(network.explainActivation(req.params.conceptId, validate(explanationQuerySchema, req.query)));
+  });
+
+  router.get('/sessions/:sessionId/history', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { start, limit } = validate(historyQuerySchema, req.query);
+    res.json(network.getActivationHistory({ start, limit }));
+  });
+
+  router.get('/sessions/:sessionId/trajectories', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const { conceptIds, limit, startIteration, endIteration } = validate(trajectoryQuerySchema, req.query);
+    const ids = conceptIds ?? network.getTopActivatedConcepts(limit, -Infinity).map(c => c.id);
+    res.json(network.getConceptTrajectories(ids, {
+      startIteration: startIteration ?? null,
+      endIteration: endIteration ?? null
+    }));
+  });
+
+  // Visualization
+  router.use(createVisualizationRouter(sessionManager));
+
+  // Import / export
+  router.get('/sessions/:sessionId/export', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+    const { format } = validate(exportQuerySchema, req.query);
+    res.type(EXPORT_CONTENT_TYPES[format])
+      .send(exportNetwork(session.network, format, { name: session.name }));
+  });
+
+  router.post('/sessions/:sessionId/import', (req, res) => {
+    const network = sessionManager.getNetwork(req.params.sessionId);
+    const body = validate(importSchema, req.body);
+    res.json(importNetwork(network, body.data, body.format, { mode: body.mode }));
+  });
+
+  // Templates
+  router.get('/templates', asyncHandler(async (req, res) => {
+    const { tag } = validate(templatesQuerySchema, req.query);
+    res.json(await sessionManager.listTemplates({ tag: tag ?? null }));
+  }));
+
+  router.get('/templates/:templateId', asyncHandler(async (req, res) => {
+    const { version } = validate(templateQuerySchema, req.query);
+    res.json(await sessionManager.templates.get(req.params.templateId, version ?? null));
+  }));
+
+  router.post('/templates/:templateId/load', asyncHandler(async (req, res) => {
+    const body = validate(loadTemplateSchema, req.body);
+    const result = await sessionManager.loadTemplate(req.params.templateId, {
+      version: body.version ?? null,
+      sessionId: body.sessionId ?? null,
+      mode: body.mode,
+      name: body.name ?? null,
+      persist: body.persist
+    });
+    res.status(result.created ? 201 : 200).json(result);
+  }));
+
+  return router;
+}
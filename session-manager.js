@@ -2,50 +2,97 @@
  * Concept Activation Network Session Manager
  * 
  * Manages active CAN sessions and their associated concept networks.
- * Handles session creation, retrieval, and cleanup.
+ * Handles session creation, forking, replay, comparison, templates,
+ * retrieval, persistence, and cleanup.
+ *
+ * Events:
+ * - 'sessions-changed': a session was added to or removed from memory
+ * - 'session-changed' (sessionId, change): a session's network changed,
+ *   where change is the network's change event ({ type, ...details }),
+ *   or the session was added or removed ('session-added', 'session-removed')
  */
 
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import { ConceptNetwork } from './concept-network.js';
+import { NotFoundError } from './errors.js';
+import { applyNetworkSpec, defaultConceptsToSpec } from './network-spec.js';
+import { diffNetworks } from './network-diff.js';
+import { TemplateRegistry } from './template-registry.js';
 
-export class SessionManager {
-  constructor() {
+/**
+ * Version of the persisted session record format
+ */
+const SESSION_RECORD_VERSION = 1;
+
+export class SessionManager extends EventEmitter {
+  /**
+   * Create a new session manager
+   * @param {Object} options Manager options
+   * @param {Object} options.store Optional storage backend (see session-store.js)
+   * @param {TemplateRegistry} options.templates Template registry (defaults to the shipped templates)
+   */
+  constructor({ store = null, templates = new TemplateRegistry() } = {}) {
+    super();
     this.sessions = new Map();
+    this.store = store;
+    this.templates = templates;
+    
+    // Every connected MCP client listens for changes
+    this.setMaxListeners(0);
     
     // Session cleanup interval (check for expired sessions every hour)
     setInterval(() => this.cleanupSessions(), 60 * 60 * 1000);
   }
 
+  /**
+   * Load all persisted sessions from the storage backend. Records that
+   * cannot be restored are logged and skipped.
+   * @returns {Promise<number>} Number of sessions restored
+   */
+  async initialize() {
+    if (!this.store) {
+      return 0;
+    }
+    
+    const records = await this.store.loadAll();
+    let restoredCount = 0;
+    for (const record of records) {
+      try {
+        this.restoreSession(record);
+        restoredCount++;
+      } catch (error) {
+        console.error(`Error restoring session ${record?.id}:`, error);
+      }
+    }
+    
+    return restoredCount;
+  }
+
   /**
    * Create a new CAN session
    * @param {Object} config Configuration options for the session
    * @param {string} config.name Optional name for the session
    * @param {Object} config.defaultConcepts Optional default concepts to include
+   * @param {Object} config.spec Optional network spec to apply (see network-spec.js)
+   * @param {boolean} config.persist Whether the session is saved to the store on shutdown and cleanup
    * @returns {Object} Session information including ID
+   * @throws {ValidationError} If the default concepts or spec are invalid; no session is created
    */
-  createSession({ name = null, defaultConcepts = null }) {
+  createSession({ name = null, defaultConcepts = null, spec = null, persist = false }) {
     const sessionId = uuidv4();
     const sessionName = name || `can-session-${sessionId.substring(0, 8)}`;
     
     // Create new concept network
     const network = new ConceptNetwork();
     
-    // Optionally initialize with default concepts
+    // Optionally initialize with default concepts and a spec; connections
+    // may refer to concepts defined later
     if (defaultConcepts) {
-      for (const [conceptId, conceptData] of Object.entries(defaultConcepts)) {
-        network.addConcept(conceptData.label, conceptData.category, conceptId);
-        
-        // Add connections if specified
-        if (conceptData.connections) {
-          for (const connection of conceptData.connections) {
-            network.addConnection(
-              conceptId, 
-              connection.targetId, 
-              connection.weight
-            );
-          }
-        }
-      }
+      applyNetworkSpec(network, defaultConceptsToSpec(defaultConcepts));
+    }
+    if (spec) {
+      applyNetworkSpec(network, spec);
     }
     
     const session = {
@@ -53,29 +100,359 @@ export class SessionManager {
       name: sessionName,
       network,
       createdAt: new Date(),
-      lastAccessed: new Date()
+      lastAccessed: new Date(),
+      persisted: persist && this.store !== null,
+      savedAt: null,
+      forkedFrom: null
     };
     
-    this.sessions.set(sessionId, session);
+    this.addSession(session);
     
     return {
       sessionId,
       name: sessionName,
       networkSize: network.getNetworkSize(),
-      createdAt: session.createdAt
+      createdAt: session.createdAt,
+      persisted: session.persisted
+    };
+  }
+
+  /**
+   * Create a new session holding a deep copy of another session's network,
+   * so changes can be tried out without touching the original
+   * @param {string} sessionId The session to fork
+   * @param {Object} options Fork options
+   * @param {string} options.name Optional name for the fork
+   * @param {boolean} options.includeHistory Whether to copy the activation history
+   * @param {boolean} options.persist Whether the fork is saved to the store on shutdown and cleanup
+   * @returns {Object} Session information including ID
+   * @throws {NotFoundError} If the session does not exist
+   */
+  forkSession(sessionId, { name = null, includeHistory = false, persist = false } = {}) {
+    const source = this.getSession(sessionId);
+    const forkId = uuidv4();
+    const forkName = name || `${source.name}-fork-${forkId.substring(0, 8)}`;
+    
+    const session = {
+      id: forkId,
+      name: forkName,
+      network: source.network.clone({ includeHistory }),
+      createdAt: new Date(),
+      lastAccessed: new Date(),
+      persisted: persist && this.store !== null,
+      savedAt: null,
+      includeHistory,
+      forkedFrom: sessionId
+    };
+    
+    this.addSession(session);
+    
+    return {
+      sessionId: forkId,
+      name: forkName,
+      forkedFrom: sessionId,
+      networkSize: session.network.getNetworkSize(),
+      createdAt: session.createdAt,
+      persisted: session.persisted
+    };
+  }
+
+  /**
+   * Create a new session whose network is rebuilt by replaying another
+   * session's mutation log, up to an entry if given
+   * @param {string} sessionId The session whose log is replayed
+   * @param {Object} options Replay options
+   * @param {number|null} options.upToSeq Only replay entries up to this sequence number
+   * @param {string} options.name Optional name for the new session
+   * @param {boolean} options.persist Whether the new session is saved to the store on shutdown and cleanup
+   * @returns {Object} Session information including ID
+   * @throws {NotFoundError} If the session does not exist
+   * @throws {ValidationError} If an entry cannot be replayed
+   */
+  replaySession(sessionId, { upToSeq = null, name = null, persist = false } = {}) {
+    const source = this.getSession(sessionId);
+    const network = ConceptNetwork.fromMutationLog(source.network.mutationLog.toJSON(), { upToSeq });
+    const replayId = uuidv4();
+    const replayName = name || `${source.name}-replay-${replayId.substring(0, 8)}`;
+    
+    const session = {
+      id: replayId,
+      name: replayName,
+      network,
+      createdAt: new Date(),
+      lastAccessed: new Date(),
+      persisted: persist && this.store !== null,
+      savedAt: null,
+      forkedFrom: sessionId
+    };
+    
+    this.addSession(session);
+    
+    return {
+      sessionId: replayId,
+      name: replayName,
+      forkedFrom: sessionId,
+      replayedEntries: network.mutationLog.entries.length,
+      networkSize: network.getNetworkSize(),
+      createdAt: session.createdAt,
+      persisted: session.persisted
+    };
+  }
+
+  /**
+   * List the available templates (see template-registry.js)
+   * @param {Object} options List options ({ tag })
+   * @returns {Promise<Array<Object>>} Template descriptions
+   */
+  async listTemplates(options = {}) {
+    return this.templates.list(options);
+  }
+
+  /**
+   * Load a template into a session, or into a new session
+   * @param {string} templateId Template ID
+   * @param {Object} options Load options
+   * @param {string|null} options.version Template version (null for the latest)
+   * @param {string|null} options.sessionId Session to load the template into (null creates a session)
+   * @param {string} options.mode 'merge' adds the template to the session, 'replace' clears it first
+   * @param {string|null} options.name Name of a new session (defaults to the template name)
+   * @param {boolean} options.persist Whether a new session is saved to the store on shutdown and cleanup
+   * @returns {Promise<Object>} { template: { id, name, version }, created, sessionId, ...spec statistics }
+   * @throws {NotFoundError} If the template, version or session does not exist
+   * @throws {ValidationError} If the template conflicts with the session's concepts; the session is unchanged
+   */
+  async loadTemplate(templateId, { version = null, sessionId = null, mode = 'merge', name = null, persist = false } = {}) {
+    const template = await this.templates.get(templateId, version);
+    const network = sessionId !== null ? this.getNetwork(sessionId) : null;
+    const info = { id: template.id, name: template.name, version: template.version };
+    
+    const created = network === null
+      ? this.createSession({ name: name || template.name, persist })
+      : null;
+    const target = network ?? this.getNetwork(created.sessionId);
+    
+    // The whole template is one entry in the mutation log
+    const result = target.mutationLog.group(target, 'loadTemplate', [{ templateId: info.id, version: info.version, mode }],
+      () => applyNetworkSpec(target, template.spec, { mode }));
+    
+    return {
+      template: info,
+      created: created !== null,
+      sessionId: created ? created.sessionId : sessionId,
+      ...(created ? { name: created.name, persisted: created.persisted } : {}),
+      ...result
+    };
+  }
+
+  /**
+   * Compare the networks of two sessions (see network-diff.js)
+   * @param {string} baseSessionId The base session
+   * @param {string} compareSessionId The session compared against it
+   * @param {Object} options Diff options ({ threshold, limit })
+   * @returns {Object} The differences, where "added" means only in the compared session
+   * @throws {NotFoundError} If either session does not exist
+   */
+  diffSessions(baseSessionId, compareSessionId, options = {}) {
+    const base = this.getNetwork(baseSessionId);
+    const compare = this.getNetwork(compareSessionId);
+    return {
+      baseSessionId,
+      compareSessionId,
+      ...diffNetworks(base, compare, options)
+    };
+  }
+
+  /**
+   * Persist a session to the storage backend
+   * @param {string} sessionId The session identifier
+   * @param {Object} options Save options
+   * @param {boolean} options.includeHistory Whether to persist the activation history
+   * @returns {Promise<Object>} Information about the saved session
+   * @throws {Error} If no store is configured or session not found
+   */
+  async saveSession(sessionId, { includeHistory = false } = {}) {
+    const store = this.requireStore();
+    const session = this.getSession(sessionId);
+    
+    session.savedAt = new Date();
+    session.persisted = true;
+    session.includeHistory = includeHistory;
+    await store.save(sessionId, this.serializeSession(session));
+    session.dirty = false;
+    
+    return {
+      sessionId,
+      name: session.name,
+      savedAt: session.savedAt,
+      includeHistory,
+      networkSize: session.network.getNetworkSize()
+    };
+  }
+
+  /**
+   * Load a session from the storage backend, replacing any in-memory copy
+   * @param {string} sessionId The session identifier
+   * @returns {Promise<Object>} Information about the loaded session
+   * @throws {Error} If no store is configured or session not stored
+   */
+  async loadSession(sessionId) {
+    const store = this.requireStore();
+    const record = await store.load(sessionId);
+    if (!record) {
+      throw new NotFoundError(`Session ${sessionId} not found in storage`);
+    }
+    
+    const session = this.restoreSession(record, sessionId);
+    session.lastAccessed = new Date();
+    
+    return {
+      sessionId,
+      name: session.name,
+      savedAt: session.savedAt,
+      networkSize: session.network.getNetworkSize()
+    };
+  }
+
+  /**
+   * Save every persisted session to the storage backend
+   * @returns {Promise<number>} Number of sessions saved
+   */
+  async flush() {
+    if (!this.store) {
+      return 0;
+    }
+    
+    let savedCount = 0;
+    for (const session of this.sessions.values()) {
+      if (session.persisted) {
+        await this.store.save(session.id, this.serializeSession(session));
+        session.dirty = false;
+        savedCount++;
+      }
+    }
+    
+    return savedCount;
+  }
+
+  /**
+   * Get the configured store
+   * @returns {Object} The storage backend
+   * @throws {Error} If no store is configured
+   * @private
+   */
+  requireStore() {
+    if (!this.store) {
+      throw new Error('Session persistence is not configured');
+    }
+    return this.store;
+  }
+
+  /**
+   * Convert a session to a persistable record
+   * @param {Object} session The session object
+   * @returns {Object} Serialized session record
+   * @private
+   */
+  serializeSession(session) {
+    return {
+      version: SESSION_RECORD_VERSION,
+      id: session.id,
+      name: session.name,
+      createdAt: session.createdAt,
+      lastAccessed: session.lastAccessed,
+      savedAt: session.savedAt,
+      includeHistory: Boolean(session.includeHistory),
+      forkedFrom: session.forkedFrom ?? null,
+      network: session.network.serialize({ includeHistory: session.includeHistory })
     };
   }
 
   /**
-   * Get a session by its ID
+   * Rebuild a session from a persisted record and register it
+   * @param {Object} record Serialized session record
+   * @param {string} expectedId ID the record was loaded under, if known
+   * @returns {Object} The restored session object
+   * @throws {Error} If the record has an unsupported version or holds another session
+   * @private
+   */
+  restoreSession(record, expectedId = record.id) {
+    if (record.version !== SESSION_RECORD_VERSION) {
+      throw new Error(`Unsupported session record version ${record.version}`);
+    }
+    if (record.id !== expectedId) {
+      throw new Error(`Session record ${record.id} was stored as session ${expectedId}`);
+    }
+    
+    const session = {
+      id: record.id,
+      name: record.name,
+      network: ConceptNetwork.deserialize(record.network),
+      createdAt: new Date(record.createdAt),
+      lastAccessed: new Date(record.lastAccessed),
+      persisted: true,
+      savedAt: record.savedAt ? new Date(record.savedAt) : null,
+      includeHistory: Boolean(record.includeHistory),
+      forkedFrom: record.forkedFrom ?? null,
+      dirty: false
+    };
+    
+    this.addSession(session);
+    return session;
+  }
+
+  /**
+   * Register a session in memory, replacing any session with the same ID,
+   * and forward its network's change events. Changes mark the session as
+   * dirty until it is saved.
+   * @param {Object} session The session object
+   * @private
+   */
+  addSession(session) {
+    this.removeSession(session.id);
+    
+    session.dirty = session.dirty ?? true;
+    session.network.on('change', change => {
+      session.dirty = true;
+      this.emit('session-changed', session.id, change);
+    });
+    this.sessions.set(session.id, session);
+    this.emit('sessions-changed');
+    this.emit('session-changed', session.id, { type: 'session-added' });
+  }
+
+  /**
+   * Remove a session from memory and stop forwarding its change events
+   * @param {string} sessionId The session identifier
+   * @returns {boolean} True if the session was in memory
+   * @private
+   */
+  removeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+    
+    session.network.removeAllListeners('change');
+    this.sessions.delete(sessionId);
+    this.emit('sessions-changed');
+    this.emit('session-changed', sessionId, { type: 'session-removed' });
+    return true;
+  }
+
+  /**
+   * Get a session by its ID, loading it from the store if cleanup evicted it
    * @param {string} sessionId The session identifier
    * @returns {Object} The session object
    * @throws {Error} If session not found
    */
   getSession(sessionId) {
-    const session = this.sessions.get(sessionId);
+    let session = this.sessions.get(sessionId);
+    if (!session && this.store) {
+      const record = this.store.loadSync(sessionId);
+      session = record ? this.restoreSession(record, sessionId) : undefined;
+    }
     if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
+      throw new NotFoundError(`Session ${sessionId} not found`);
     }
     
     // Update last accessed timestamp
@@ -96,12 +473,14 @@ export class SessionManager {
   }
 
   /**
-   * Delete a session
+   * Delete a session, including its persisted copy
    * @param {string} sessionId The session identifier
-   * @returns {boolean} True if session was deleted, false if it wasn't found
+   * @returns {Promise<boolean>} True if session was deleted, false if it wasn't found
    */
-  deleteSession(sessionId) {
-    return this.sessions.delete(sessionId);
+  async deleteSession(sessionId) {
+    const deleted = this.removeSession(sessionId);
+    const deletedFromStore = this.store ? await this.store.delete(sessionId) : false;
+    return deleted || deletedFromStore;
   }
 
   /**
@@ -114,23 +493,38 @@ export class SessionManager {
       name: session.name,
       createdAt: session.createdAt,
       lastAccessed: session.lastAccessed,
+      persisted: session.persisted,
+      savedAt: session.savedAt,
+      forkedFrom: session.forkedFrom,
       networkSize: session.network.getNetworkSize()
     }));
   }
 
   /**
-   * Clean up old sessions that haven't been accessed in a while
+   * Clean up old sessions that haven't been accessed in a while.
+   * Persisted sessions are saved if they changed since they were last
+   * saved and then evicted; getSession loads them again on access. A
+   * session that cannot be saved stays in memory.
    * @param {number} maxAgeMs Maximum session age in milliseconds
-   * @returns {number} Number of sessions cleaned up
+   * @returns {Promise<number>} Number of sessions cleaned up
    */
-  cleanupSessions(maxAgeMs = 24 * 60 * 60 * 1000) { // Default: 24 hours
+  async cleanupSessions(maxAgeMs = 24 * 60 * 60 * 1000) { // Default: 24 hours
     const now = new Date();
     let cleanedCount = 0;
     
     for (const [id, session] of this.sessions.entries()) {
       const age = now - session.lastAccessed;
       if (age > maxAgeMs) {
-        this.sessions.delete(id);
+        if (session.persisted && this.store && session.dirty) {
+          try {
+            await this.store.save(id, this.serializeSession(session));
+            session.dirty = false;
+          } catch (error) {
+            console.error(`Error saving session ${id} during cleanup:`, error);
+            continue;
+          }
+        }
+        this.removeSession(id);
         cleanedCount++;
       }
     }
@@ -0,0 +1,144 @@
+/**
+ * Checks session persistence: the file store, restoring sessions on
+ * startup, and evicting idle persisted sessions
+ */
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionManager } from './session-manager.js';
+import { FileSessionStore, MemorySessionStore } from './session-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let directory;
+
+beforeEach(async () => {
+  // The manager's hourly cleanup interval must not keep jest running
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'can-sessions-'));
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+function createPersistedSession(manager) {
+  const { sessionId } = manager.createSession({ name: 'Solar', persist: true });
+  const network = manager.getNetwork(sessionId);
+  network.addConcept('Sun', 'astronomy', 'sun');
+  network.addConcept('Light', null, 'light');
+  network.addConnection('sun', 'light', 0.8);
+  return sessionId;
+}
+
+describe('FileSessionStore', () => {
+  test('saves, loads and deletes records', async () => {
+    const store = new FileSessionStore(directory);
+    const record = { version: 1, id: 'abc', name: 'A' };
+
+    await store.save('abc', record);
+    expect(await store.has('abc')).toBe(true);
+    expect(await store.load('abc')).toEqual(record);
+    expect(store.loadSync('abc')).toEqual(record);
+    expect(await store.loadAll()).toEqual([record]);
+
+    expect(await store.delete('abc')).toBe(true);
+    expect(await store.load('abc')).toBeNull();
+    expect(store.loadSync('abc')).toBeNull();
+  });
+
+  test('rejects session IDs that are not safe file names', async () => {
+    const store = new FileSessionStore(directory);
+    await expect(store.save('../escape', {})).rejects.toThrow('Invalid session ID');
+  });
+
+  test('skips unreadable files and files holding another session', async () => {
+    const store = new FileSessionStore(directory);
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await store.save('good', { version: 1, id: 'good' });
+    await store.save('copied', { version: 1, id: 'good' });
+    await fs.writeFile(path.join(directory, 'broken.json'), '{', 'utf8');
+
+    expect(await store.loadAll()).toEqual([{ version: 1, id: 'good' }]);
+    expect(spy).toHaveBeenCalledTimes(2);
+    spy.mockRestore();
+  });
+});
+
+describe('SessionManager persistence', () => {
+  test('persisted sessions survive a restart', async () => {
+    const store = new FileSessionStore(directory);
+    const manager = new SessionManager({ store });
+    const sessionId = createPersistedSession(manager);
+    expect(await manager.flush()).toBe(1);
+
+    const restarted = new SessionManager({ store });
+    expect(await restarted.initialize()).toBe(1);
+    const network = restarted.getNetwork(sessionId);
+    expect(network.getConcept('sun').connections.get('light')).toBe(0.8);
+    expect(restarted.getSession(sessionId).name).toBe('Solar');
+  });
+
+  test('loadSession rejects a record stored under another ID', async () => {
+    const store = new MemorySessionStore();
+    const manager = new SessionManager({ store });
+    const sessionId = createPersistedSession(manager);
+    await manager.saveSession(sessionId);
+    await store.save('other', await store.load(sessionId));
+
+    await expect(manager.loadSession('other')).rejects.toThrow(`Session record ${sessionId} was stored as session other`);
+  });
+
+  test('cleanup saves changed persisted sessions, evicts them and loads them on access', async () => {
+    const store = new MemorySessionStore();
+    const manager = new SessionManager({ store });
+    const sessionId = createPersistedSession(manager);
+    const transient = manager.createSession({ name: 'Scratch' }).sessionId;
+    const save = jest.spyOn(store, 'save');
+
+    jest.setSystemTime(Date.now() + DAY_MS + 1);
+    expect(await manager.cleanupSessions()).toBe(2);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(manager.sessions.size).toBe(0);
+
+    expect(() => manager.getSession(transient)).toThrow(`Session ${transient} not found`);
+    const network = manager.getNetwork(sessionId);
+    expect(network.getConcept('sun').connections.get('light')).toBe(0.8);
+    expect(manager.sessions.has(sessionId)).toBe(true);
+  });
+
+  test('cleanup does not save persisted sessions that did not change', async () => {
+    const store = new MemorySessionStore();
+    const manager = new SessionManager({ store });
+    const sessionId = createPersistedSession(manager);
+    await manager.saveSession(sessionId);
+    manager.getNetwork(sessionId);
+    const save = jest.spyOn(store, 'save');
+
+    jest.setSystemTime(Date.now() + DAY_MS + 1);
+    expect(await manager.cleanupSessions()).toBe(1);
+    expect(save).not.toHaveBeenCalled();
+    expect(manager.sessions.size).toBe(0);
+
+    manager.getNetwork(sessionId).addConcept('Moon', null, 'moon');
+    jest.setSystemTime(Date.now() + DAY_MS + 1);
+    await manager.cleanupSessions();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  test('a session that cannot be saved stays in memory', async () => {
+    const store = new MemorySessionStore();
+    const manager = new SessionManager({ store });
+    const sessionId = createPersistedSession(manager);
+    jest.spyOn(store, 'save').mockRejectedValue(new Error('Disk full'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jest.setSystemTime(Date.now() + DAY_MS + 1);
+    expect(await manager.cleanupSessions()).toBe(0);
+    expect(manager.sessions.has(sessionId)).toBe(true);
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Concept Activation Network Session Stores
+ *
+ * Storage backends used by the session manager to persist sessions
+ * across server restarts. A store is any object implementing:
+ * - save(sessionId, record): Promise<void>
+ * - load(sessionId): Promise<Object|null>
+ * - loadSync(sessionId): Object|null, used to load evicted sessions on access
+ * - loadAll(): Promise<Array<Object>>
+ * - delete(sessionId): Promise<boolean>
+ * - has(sessionId): Promise<boolean>
+ */
+
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import { ValidationError } from './errors.js';
+
+/**
+ * In-memory store, mainly useful for tests and ephemeral deployments
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Save a session record
+   * @param {string} sessionId The session identifier
+   * @param {Object} record Serialized session record
+   */
+  async save(sessionId, record) {
+    this.records.set(sessionId, JSON.parse(JSON.stringify(record)));
+  }
+
+  /**
+   * Load a session record
+   * @param {string} sessionId The session identifier
+   * @returns {Object|null} The session record, or null if not stored
+   */
+  async load(sessionId) {
+    const record = this.records.get(sessionId);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  /**
+   * Load a session record synchronously
+   * @param {string} sessionId The session identifier
+   * @returns {Object|null} The session record, or null if not stored
+   */
+  loadSync(sessionId) {
+    const record = this.records.get(sessionId);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  /**
+   * Load every stored session record
+   * @returns {Array<Object>} Session records
+   */
+  async loadAll() {
+    return Array.from(this.records.values()).map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  /**
+   * Delete a session record
+   * @param {string} sessionId The session identifier
+   * @returns {boolean} True if a record was deleted
+   */
+  async delete(sessionId) {
+    return this.records.delete(sessionId);
+  }
+
+  /**
+   * Check whether a session record exists
+   * @param {string} sessionId The session identifier
+   * @returns {boolean} True if the session is stored
+   */
+  async has(sessionId) {
+    return this.records.has(sessionId);
+  }
+}
+
+/**
+ * File-system store keeping one JSON document per session
+ */
+export class FileSessionStore {
+  /**
+   * Create a new file-system store
+   * @param {string} directory Directory holding the session files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Get the file path for a session
+   * @param {string} sessionId The session identifier
+   * @returns {string} Absolute file path
+   * @private
+   */
+  filePath(sessionId) {
+    // Session IDs end up in file names, so only allow safe characters
+    if (!/^[A-Za-z0-9_-]+$/.test(sessionId)) {
+      throw new ValidationError(`Invalid session ID ${sessionId}`);
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  /**
+   * Save a session record
+   * @param {string} sessionId The session identifier
+   * @param {Object} record Serialized session record
+   */
+  async save(sessionId, record) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a truncated session
+    const target = this.filePath(sessionId);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record), 'utf8');
+    await fs.rename(temp, target);
+  }
+
+  /**
+   * Load a session record
+   * @param {string} sessionId The session identifier
+   * @returns {Object|null} The session record, or null if not stored
+   */
+  async load(sessionId) {
+    try {
+      const contents = await fs.readFile(this.filePath(sessionId), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a session record synchronously
+   * @param {string} sessionId The session identifier
+   * @returns {Object|null} The session record, or null if not stored
+   */
+  loadSync(sessionId) {
+    try {
+      return JSON.parse(readFileSync(this.filePath(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load every stored session record
+   * @returns {Array<Object>} Session records
+   */
+  async loadAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    // One unreadable file should not keep the other sessions from loading
+    const records = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const sessionId = path.basename(file, '.json');
+        const record = await this.load(sessionId);
+        if (record && record.id !== sessionId) {
+          console.error(`Skipping session file ${file}: it holds session ${record.id}`);
+        } else if (record) {
+          records.push(record);
+        }
+      } catch (error) {
+        console.error(`Error reading session file ${file}:`, error);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Delete a session record
+   * @param {string} sessionId The session identifier
+   * @returns {boolean} True if a record was deleted
+   */
+  async delete(sessionId) {
+    try {
+      await fs.unlink(this.filePath(sessionId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a session record exists
+   * @param {string} sessionId The session identifier
+   * @returns {boolean} True if the session is stored
+   */
+  async has(sessionId) {
+    try {
+      await fs.access(this.filePath(sessionId));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
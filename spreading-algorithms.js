@@ -0,0 +1,361 @@
+/**
+ * Spreading Algorithms for Concept Networks
+ *
+ * Registry of the dynamics used to compute one iteration of activation
+ * spreading. Each algorithm is a step function of (network, config)
+ * returning the new activations, either as a Map of concept ID to
+ * activation or as a Float64Array indexed like config.graph, where config
+ * holds:
+ * - decayRate: Decay rate for this iteration
+ * - relationTypes: Relation types to spread along (null for all)
+ * - params: The network parameters
+ * - state: Per-run algorithm state, reset by setInitialActivation
+ * - graph: Compact (CSR) graph of the network (see compact-graph.js)
+ *
+ * Algorithms whose natural output is a probability distribution
+ * (pagerank, heat) report activations scaled so the most active concept
+ * has activation 1.0, keeping thresholds comparable across algorithms.
+ *
+ * The built-in algorithms run over the compact graph, reading weights
+ * through graph.getEffectiveWeights so they honour the relation type filter
+ * and the relationMultipliers parameter.
+ *
+ * A step function may also be a generator that yields propagation requests
+ * (see propagateRange in compact-graph.js) and receives their results, the
+ * per-concept sums over incoming edges, then returns the new activations.
+ * The built-in algorithms do so, which lets computeSpreadingStepAsync run
+ * the edge work, the bulk of each iteration, on worker threads.
+ */
+
+import { applyActivationFunction } from './activation-functions.js';
+import { ValidationError } from './errors.js';
+
+const registry = new Map();
+
+/**
+ * Register a spreading algorithm
+ * @param {string} name Algorithm name used in the algorithm parameter
+ * @param {Function} step Function of (network, config) returning the new activations
+ * @param {string} description Human-readable description
+ */
+export function registerSpreadingAlgorithm(name, step, description = '') {
+  registry.set(name, { step, description });
+}
+
+/**
+ * Check whether a spreading algorithm is registered
+ * @param {string} name Algorithm name
+ * @returns {boolean} True if registered
+ */
+export function hasSpreadingAlgorithm(name) {
+  return registry.has(name);
+}
+
+/**
+ * List the registered spreading algorithms
+ * @returns {Array<Object>} Algorithm names and descriptions
+ */
+export function listSpreadingAlgorithms() {
+  return Array.from(registry.entries()).map(([name, { description }]) => ({ name, description }));
+}
+
+/**
+ * Start one iteration of a registered spreading algorithm
+ * @param {string} name Algorithm name
+ * @param {ConceptNetwork} network The network
+ * @param {Object} config Step configuration
+ * @returns {*} The step function's result: new activations, or a generator of propagation requests
+ * @throws {ValidationError} If the algorithm is not registered
+ * @private
+ */
+function startStep(name, network, config) {
+  const entry = registry.get(name);
+  if (!entry) {
+    throw new ValidationError(`Unknown spreading algorithm ${name}`);
+  }
+  return entry.step(network, config);
+}
+
+/**
+ * Check whether a step function returned a generator
+ * @param {*} result Step function result
+ * @returns {boolean} True for a generator
+ * @private
+ */
+function isGenerator(result) {
+  return typeof result?.next === 'function' && typeof result[Symbol.iterator] === 'function';
+}
+
+/**
+ * Compute one iteration of a registered spreading algorithm
+ * @param {string} name Algorithm name
+ * @param {ConceptNetwork} network The network
+ * @param {Object} config Step configuration ({ decayRate, relationTypes, params, state, graph })
+ * @returns {Map<string, number>|Float64Array} New activation of every concept
+ */
+export function computeSpreadingStep(name, network, config) {
+  const result = startStep(name, network, config);
+  if (!isGenerator(result)) {
+    return result;
+  }
+
+  let next = result.next();
+  while (!next.done) {
+    next = result.next(config.graph.propagate(next.value));
+  }
+  return next.value;
+}
+
+/**
+ * Compute one iteration of a registered spreading algorithm, handing its
+ * propagation requests to an asynchronous implementation
+ * @param {string} name Algorithm name
+ * @param {ConceptNetwork} network The network
+ * @param {Object} config Step configuration ({ decayRate, relationTypes, params, state, graph })
+ * @param {Function} propagate Function of a propagation request returning a promise of its result
+ * @returns {Promise<Map<string, number>|Float64Array>} New activation of every concept
+ */
+export async function computeSpreadingStepAsync(name, network, config, propagate) {
+  const result = startStep(name, network, config);
+  if (!isGenerator(result)) {
+    return result;
+  }
+
+  let next = result.next();
+  while (!next.done) {
+    next = result.next(await propagate(next.value));
+  }
+  return next.value;
+}
+
+/**
+ * Decay-based spreading: every concept decays towards the resting level,
+ * receives weighted input along its incoming connections plus its own
+ * bias, and the result is passed through the configured activation function.
+ * @param {ConceptNetwork} network The network
+ * @param {Object} config Step configuration
+ * @param {boolean} fanOut Whether each concept divides its output among its connections
+ * @yields {Object} Propagation request for the incoming activation
+ * @returns {Float64Array} New activations by compact graph index
+ * @private
+ */
+function* decayStep(network, { decayRate, relationTypes, params, graph }, fanOut) {
+  const { weights, absTotals } = graph.getEffectiveWeights(relationTypes, params.relationMultipliers);
+  const activations = graph.getActivations();
+  const size = graph.size;
+
+  // Share of its activation each concept sends along each connection
+  const shares = new Float64Array(size).fill(1);
+  if (fanOut) {
+    for (let i = 0; i < size; i++) {
+      shares[i] = absTotals[i] > 0 ? 1 / absTotals[i] : 0;
+    }
+  }
+
+  // Total activation per category, used for lateral inhibition
+  const lateralInhibition = params.lateralInhibition || 0;
+  let categoryTotals = null;
+  if (lateralInhibition > 0) {
+    categoryTotals = new Float64Array(graph.categoryNames.length);
+    for (let i = 0; i < size; i++) {
+      if (graph.categories[i] >= 0) categoryTotals[graph.categories[i]] += activations[i];
+    }
+  }
+
+  const restingLevel = params.restingLevel;
+
+  // Sum activation flowing along each incoming connection
+  // (negative weights inhibit the target)
+  const incoming = yield { vector: activations, weights, scale: shares, divide: false, positiveOnly: false };
+
+  // Calculate the net input of all nodes simultaneously
+  const inputs = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    let incomingActivation = incoming[i];
+
+    // Concepts in the same category compete: each is suppressed in
+    // proportion to its competitors' activation, so the strongest wins more
+    if (categoryTotals && graph.categories[i] >= 0) {
+      const competitorActivation = categoryTotals[graph.categories[i]] - activations[i];
+      incomingActivation -= lateralInhibition * competitorActivation;
+    }
+
+    // Apply decay towards the resting level to current activation
+    const decayedActivation = restingLevel + (activations[i] - restingLevel) * (1 - decayRate);
+
+    inputs[i] = decayedActivation + incomingActivation + graph.nodes[i].bias;
+  }
+
+  // Pass the inputs through the configured activation function
+  return Float64Array.from(applyActivationFunction(params.activationFunction, inputs, params));
+}
+
+/**
+ * Move a distribution one random-walk step along excitatory connections,
+ * each concept splitting its mass in proportion to its outgoing weights.
+ * @param {CompactGraph} graph Compact graph of the network
+ * @param {Object} effective Effective weights from graph.getEffectiveWeights
+ * @param {Float64Array} vector Mass per concept
+ * @yields {Object} Propagation request for the mass received
+ * @returns {Object} { result: mass received per concept, dangling: mass of concepts without outgoing links }
+ * @private
+ */
+function* randomWalkStep(graph, { weights, positiveTotals }, vector) {
+  const dangling = new Float64Array(graph.size);
+  for (let i = 0; i < graph.size; i++) {
+    if (positiveTotals[i] === 0) dangling[i] = vector[i];
+  }
+
+  const result = yield { vector, weights, scale: positiveTotals, divide: true, positiveOnly: true };
+  return { result, dangling };
+}
+
+/**
+ * Get the seed distribution of a run: the initial activations normalized
+ * to sum to 1, or a uniform distribution if nothing was activated.
+ * @param {ConceptNetwork} network The network
+ * @param {CompactGraph} graph Compact graph of the network
+ * @returns {Float64Array} Seed distribution
+ * @private
+ */
+function seedDistribution(network, graph) {
+  const seeds = new Float64Array(graph.size);
+  let total = 0;
+  for (const [id, value] of network.seedActivations.entries()) {
+    const index = graph.indexOf.get(id);
+    if (index !== undefined && value > 0) {
+      seeds[index] = value;
+      total += value;
+    }
+  }
+
+  if (total === 0) {
+    seeds.fill(1);
+    total = graph.size;
+  }
+
+  for (let i = 0; i < graph.size; i++) {
+    seeds[i] /= total;
+  }
+  return seeds;
+}
+
+/**
+ * Scale scores so the largest is 1.0
+ * @param {Float64Array} scores Raw scores
+ * @returns {Float64Array} Scaled activations
+ * @private
+ */
+function scaleToUnitMax(scores) {
+  const max = scores.reduce((best, value) => Math.max(best, value), 0);
+  return scores.map(value => max > 0 ? value / max : 0);
+}
+
+/**
+ * Keep per-run vectors aligned with the current compact graph, which is
+ * rebuilt when concepts or connections change between iterations
+ * @param {Object} state Algorithm state
+ * @param {CompactGraph} graph Compact graph of the network
+ * @param {Array<string>} keys State fields holding vectors
+ * @private
+ */
+function alignState(state, graph, keys) {
+  if (state.ids && state.ids !== graph.ids) {
+    for (const key of keys) {
+      state[key] = graph.align(state[key], state.ids);
+    }
+  }
+  state.ids = graph.ids;
+}
+
+/**
+ * Personalized PageRank (random walk with restart) from the seed concepts
+ * @param {ConceptNetwork} network The network
+ * @param {Object} config Step configuration
+ * @yields {Object} Propagation requests
+ * @returns {Float64Array} New activations by compact graph index
+ * @private
+ */
+function* pageRankStep(network, { relationTypes, params, state, graph }) {
+  const restart = params.restartProbability;
+
+  if (!state.scores) {
+    state.seeds = seedDistribution(network, graph);
+    state.scores = state.seeds.slice();
+    state.ids = graph.ids;
+  }
+  alignState(state, graph, ['seeds', 'scores']);
+
+  const effective = graph.getEffectiveWeights(relationTypes, params.relationMultipliers);
+  const { result, dangling } = yield* randomWalkStep(graph, effective, state.scores);
+  const danglingMass = dangling.reduce((sum, value) => sum + value, 0);
+
+  // Mass that cannot move, and the restart probability, return to the seeds
+  const scores = new Float64Array(graph.size);
+  for (let i = 0; i < graph.size; i++) {
+    scores[i] = (1 - restart) * result[i] + state.seeds[i] * (restart + (1 - restart) * danglingMass);
+  }
+
+  state.scores = scores;
+  return scaleToUnitMax(scores);
+}
+
+/**
+ * Heat-kernel diffusion exp(-t(I - P)) applied to the seed distribution,
+ * adding one more term of its Taylor series on every iteration
+ * @param {ConceptNetwork} network The network
+ * @param {Object} config Step configuration
+ * @yields {Object} Propagation requests
+ * @returns {Float64Array} New activations by compact graph index
+ * @private
+ */
+function* heatKernelStep(network, { relationTypes, params, state, graph }) {
+  const time = params.diffusionTime;
+  const scale = Math.exp(-time);
+
+  if (!state.term) {
+    state.term = seedDistribution(network, graph);
+    state.order = 0;
+    state.scores = state.term.map(value => scale * value);
+    state.ids = graph.ids;
+  }
+  alignState(state, graph, ['term', 'scores']);
+
+  // term_k = (t / k) * P * term_(k-1); concepts without outgoing links keep their heat
+  state.order++;
+  const effective = graph.getEffectiveWeights(relationTypes, params.relationMultipliers);
+  const { result, dangling } = yield* randomWalkStep(graph, effective, state.term);
+
+  const term = new Float64Array(graph.size);
+  for (let i = 0; i < graph.size; i++) {
+    term[i] = (result[i] + dangling[i]) * time / state.order;
+    state.scores[i] += scale * term[i];
+  }
+
+  state.term = term;
+  return scaleToUnitMax(state.scores);
+}
+
+registerSpreadingAlgorithm(
+  'decay',
+  (network, config) => decayStep(network, config, false),
+  'Activation decays towards the resting level while weighted input spreads along connections'
+);
+
+registerSpreadingAlgorithm(
+  'fanout',
+  (network, config) => decayStep(network, config, true),
+  'Like decay, but each concept divides its outgoing activation among its connections'
+);
+
+registerSpreadingAlgorithm(
+  'pagerank',
+  pageRankStep,
+  'Personalized PageRank: random walk with restart (restartProbability) to the initially activated concepts'
+);
+
+registerSpreadingAlgorithm(
+  'heat',
+  heatKernelStep,
+  'Heat-kernel diffusion from the initially activated concepts for diffusionTime'
+);
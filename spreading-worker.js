@@ -0,0 +1,20 @@
+/**
+ * Spreading Worker
+ *
+ * Worker thread of a SpreadingWorkerPool (see parallel-spreading.js). Each
+ * message asks for the incoming sums of a range of concepts, written to a
+ * shared output array; the reply carries the message ID, and an error
+ * message if the range could not be computed.
+ */
+
+import { parentPort } from 'worker_threads';
+import { propagateRange } from './compact-graph.js';
+
+parentPort.on('message', ({ id, graph, request, start, end, out }) => {
+  try {
+    propagateRange(graph, request, start, end, out);
+    parentPort.postMessage({ id });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
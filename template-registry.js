@@ -0,0 +1,242 @@
+/**
+ * Template Registry
+ *
+ * Pre-built concept networks for common domains, stored as versioned packs
+ * in a directory with one subdirectory per template and one JSON file per
+ * version:
+ *
+ *   templates/
+ *     software-architecture/
+ *       1.0.0.json
+ *
+ * A pack holds metadata and a network spec (see network-spec.js):
+ *
+ *   {
+ *     "id": "software-architecture",
+ *     "name": "Software Architecture",
+ *     "version": "1.0.0",
+ *     "description": "Principles, patterns and quality attributes ...",
+ *     "tags": ["engineering"],
+ *     "spec": { "concepts": [...], "connections": [...] }
+ *   }
+ *
+ * Packs are read and validated completely, including the references of
+ * their specs, the first time the registry is used; reload() picks up
+ * packs added later. Invalid packs are skipped and logged, and listed in
+ * the registry's errors, so one broken file does not hide the others. Connections without a provenance get
+ * 'template:<id>@<version>' when the template is loaded, so they can be
+ * told apart from connections added afterwards.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { ConceptNetwork } from './concept-network.js';
+import { networkSpecSchema, validateNetworkSpec } from './network-spec.js';
+import { NotFoundError } from './errors.js';
+
+/**
+ * Directory of the templates shipped with the server
+ */
+export const DEFAULT_TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+const TEMPLATE_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const VERSION = /^\d+\.\d+\.\d+$/;
+
+/**
+ * A template pack
+ */
+export const templateSchema = z.object({
+  id: z.string().regex(TEMPLATE_ID, 'Template IDs use lowercase letters, digits and dashes'),
+  name: z.string().min(1),
+  version: z.string().regex(VERSION, 'Versions have the form major.minor.patch'),
+  description: z.string().min(1),
+  tags: z.array(z.string().min(1)).default([]),
+  spec: networkSpecSchema
+}).strict();
+
+/**
+ * Compare two major.minor.patch versions
+ * @param {string} a First version
+ * @param {string} b Second version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Describe a template without its spec
+ * @param {Object} template Template pack
+ * @param {Array<string>} versions Available versions, newest first
+ * @returns {Object} { id, name, version, versions, description, tags, conceptCount, connectionCount }
+ * @private
+ */
+function describeTemplate(template, versions) {
+  return {
+    id: template.id,
+    name: template.name,
+    version: template.version,
+    versions,
+    description: template.description,
+    tags: template.tags,
+    conceptCount: template.spec.concepts.length,
+    connectionCount: template.spec.connections.length
+  };
+}
+
+export class TemplateRegistry {
+  /**
+   * Create a registry reading packs from a directory
+   * @param {string} directory Directory holding one subdirectory per template
+   */
+  constructor(directory = DEFAULT_TEMPLATE_DIR) {
+    this.directory = directory;
+    this.templates = null; // Map of template ID to its packs, newest first, once loaded
+    this.errors = []; // Problems with the packs skipped by the last reload
+  }
+
+  /**
+   * Read and validate every pack in the directory, skipping invalid packs
+   * @returns {Promise<number>} Number of templates
+   */
+  async reload() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      entries = [];
+    }
+
+    const templates = new Map();
+    const errors = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const files = (await fs.readdir(path.join(this.directory, entry.name)))
+        .filter(name => name.endsWith('.json'));
+      for (const file of files) {
+        const location = `${entry.name}/${file}`;
+        const template = await this.readPack(path.join(this.directory, entry.name, file), location, errors);
+        if (!template) continue;
+
+        if (template.id !== entry.name || `${template.version}.json` !== file) {
+          errors.push(`${location}: must be stored as ${template.id}/${template.version}.json`);
+          continue;
+        }
+        if (!templates.has(template.id)) {
+          templates.set(template.id, []);
+        }
+        templates.get(template.id).push(template);
+      }
+    }
+
+    for (const error of errors) {
+      console.error(`Skipping invalid template ${error}`);
+    }
+
+    for (const packs of templates.values()) {
+      packs.sort((a, b) => compareVersions(b.version, a.version));
+    }
+    this.templates = templates;
+    this.errors = errors;
+    return templates.size;
+  }
+
+  /**
+   * Read and validate a pack
+   * @param {string} file Path of the pack
+   * @param {string} location Path reported in errors
+   * @param {Array<string>} errors Problems found, added to
+   * @returns {Promise<Object|null>} The pack, or null if invalid
+   * @private
+   */
+  async readPack(file, location, errors) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      errors.push(`${location}: ${error.message}`);
+      return null;
+    }
+
+    const result = templateSchema.safeParse(data);
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        errors.push(`${location}: ${issue.path.join('.') || 'template'}: ${issue.message}`);
+      }
+      return null;
+    }
+
+    // The spec must be loadable into an empty network
+    const { errors: specErrors } = validateNetworkSpec(new ConceptNetwork(), result.data.spec, { mode: 'replace' });
+    for (const { path: specPath, message } of specErrors) {
+      errors.push(`${location}: spec.${specPath}: ${message}`);
+    }
+    return specErrors.length === 0 ? result.data : null;
+  }
+
+  /**
+   * Get the loaded packs, reading them on first use
+   * @returns {Promise<Map<string, Array<Object>>>} Template ID to its packs, newest first
+   * @private
+   */
+  async getTemplates() {
+    if (!this.templates) {
+      await this.reload();
+    }
+    return this.templates;
+  }
+
+  /**
+   * List the templates with their latest version
+   * @param {Object} options List options
+   * @param {string} options.tag Only list templates with this tag
+   * @returns {Promise<Array<Object>>} Template descriptions, sorted by ID
+   */
+  async list({ tag = null } = {}) {
+    const templates = await this.getTemplates();
+    return Array.from(templates.values())
+      .filter(([latest]) => tag === null || latest.tags.includes(tag))
+      .map(packs => describeTemplate(packs[0], packs.map(pack => pack.version)))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a template
+   * @param {string} templateId Template ID
+   * @param {string|null} version Version (null for the latest)
+   * @returns {Promise<Object>} The pack, with connections' provenance set to the template
+   * @throws {NotFoundError} If the template or version does not exist
+   */
+  async get(templateId, version = null) {
+    const packs = (await this.getTemplates()).get(templateId);
+    if (!packs) {
+      throw new NotFoundError(`Template ${templateId} not found`);
+    }
+    const template = version === null ? packs[0] : packs.find(pack => pack.version === version);
+    if (!template) {
+      throw new NotFoundError(`Template ${templateId} has no version ${version} (available: ${packs.map(pack => pack.version).join(', ')})`);
+    }
+
+    const provenance = `template:${template.id}@${template.version}`;
+    return {
+      ...structuredClone(template),
+      versions: packs.map(pack => pack.version),
+      spec: {
+        ...structuredClone(template.spec),
+        connections: template.spec.connections.map(connection => ({
+          ...connection,
+          provenance: connection.provenance ?? provenance
+        }))
+      }
+    };
+  }
+}
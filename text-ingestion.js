@@ -0,0 +1,420 @@
+/**
+ * Text Ingestion
+ *
+ * Builds concepts and connections from plain text, offline:
+ *
+ * 1. The text is split into word tokens. Tokens are lowercased and
+ *    singularized with a few suffix rules; stopwords, numbers and single
+ *    characters are not terms, and punctuation ends a phrase.
+ * 2. Phrases of up to maxNgram words that occur at least minSupport times
+ *    are chosen longest first, so "spreading activation" is one term and
+ *    its words only count where they occur on their own.
+ * 3. The maxConcepts most frequent terms become concepts, reusing concepts
+ *    with the same ID or label. Each concept records where it was found as
+ *    character spans in its metadata.
+ * 4. Terms occurring within windowSize tokens of each other are connected
+ *    by 'co-occurs' relations weighted by their normalized pointwise mutual
+ *    information (NPMI, -1 to 1), keeping pairs seen at least
+ *    minCooccurrence times with an NPMI of at least minPmi, and at most
+ *    maxConnectionsPerConcept connections per concept.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Longest text accepted, in characters
+ */
+export const MAX_INGESTION_TEXT_LENGTH = 1000000;
+
+/**
+ * Longest phrase considered, in words
+ */
+export const MAX_NGRAM = 5;
+
+/**
+ * Relation type of the connections created from co-occurrences
+ */
+export const COOCCURRENCE_RELATION = 'co-occurs';
+
+/**
+ * Default ingestion options
+ */
+export const DEFAULT_INGESTION_OPTIONS = {
+  source: null, // Name of the text, recorded in spans and provenance
+  category: null, // Category of the concepts created
+  maxConcepts: 50,
+  minSupport: 2,
+  maxNgram: 3,
+  windowSize: 10,
+  minCooccurrence: 2,
+  minPmi: 0.1,
+  maxConnectionsPerConcept: 8,
+  maxSpans: 5, // Spans kept per concept, the most recent ones across ingestions
+  stopwords: [] // Added to the built-in English stopwords
+};
+
+/**
+ * English stopwords
+ */
+export const STOPWORDS = new Set(`
+a about above after again against all almost also although always am among an and another any anyone
+anything are around as at be became because been before being below between both but by can cannot
+could did do does doing done down during each either else enough etc even ever every few for from
+further get gets given got had has have having he her here hers herself him himself his how however i
+if in into is it its itself just least less like made make makes many may me might more most much must
+my myself neither no nor not now of off often on once one only onto or other others otherwise our ours
+ourselves out over own per perhaps rather really same several shall she should since so some something
+still such than that the their theirs them themselves then there therefore these they this those though
+through thus to together too toward towards under until up upon us use used uses using very via was we
+well were what whatever when whenever where whereas whether which while who whoever whom whose why will
+with within without would yet you your yours yourself yourselves
+`.trim().split(/\s+/));
+
+// Words, including inner apostrophes and hyphens ("don't", "real-time")
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Characters between two words that end a phrase
+const PHRASE_BREAK = /[.!?;:,()[\]{}"“”…–—]|\n\s*\n/;
+
+/**
+ * Normalize a word: lowercase, without possessive and plural endings
+ * @param {string} word The word as written
+ * @returns {string} Normalized word
+ * @private
+ */
+function normalizeWord(word) {
+  let normalized = word.normalize('NFKC').toLowerCase().replace(/’/g, "'").replace(/'s$/, '');
+  if (normalized.length > 4 && normalized.endsWith('ies')) {
+    normalized = `${normalized.slice(0, -3)}y`;
+  } else if (normalized.length > 4 && /(ss|x|sh|ch|zz)es$/.test(normalized)) {
+    normalized = normalized.slice(0, -2);
+  } else if (normalized.length > 3 && normalized.endsWith('s') && !/(ss|us|is)$/.test(normalized)) {
+    normalized = normalized.slice(0, -1);
+  }
+  return normalized;
+}
+
+/**
+ * Split text into word tokens
+ * @param {string} text The text
+ * @param {Set<string>} stopwords Lowercase words that are not terms
+ * @returns {Array<Object>} Tokens ({ term, start, end, content, breakBefore })
+ * @private
+ */
+function tokenize(text, stopwords) {
+  const tokens = [];
+  let previousEnd = 0;
+  for (const match of text.matchAll(WORD)) {
+    const word = match[0];
+    const lower = word.toLowerCase();
+    const term = normalizeWord(word);
+    tokens.push({
+      term,
+      start: match.index,
+      end: match.index + word.length,
+      content: term.length > 1 && !/^\d+$/.test(term) && !stopwords.has(lower) && !stopwords.has(term),
+      breakBefore: PHRASE_BREAK.test(text.slice(previousEnd, match.index))
+    });
+    previousEnd = match.index + word.length;
+  }
+  return tokens;
+}
+
+/**
+ * Choose terms longest first: phrases occurring at least minSupport times
+ * claim their tokens, so shorter terms only count elsewhere
+ * @param {Array<Object>} tokens Tokens
+ * @param {Object} config Ingestion options
+ * @returns {Map<string, Array<Object>>} Term to its mentions ({ index, length, start, end })
+ * @private
+ */
+function selectTerms(tokens, config) {
+  const covered = new Uint8Array(tokens.length);
+  const terms = new Map();
+
+  for (let n = config.maxNgram; n >= 1; n--) {
+    const occurrences = new Map();
+    for (let i = 0; i + n <= tokens.length; i++) {
+      let valid = true;
+      for (let k = i; k < i + n && valid; k++) {
+        valid = tokens[k].content && !covered[k] && (k === i || !tokens[k].breakBefore);
+      }
+      if (!valid) continue;
+
+      const key = tokens.slice(i, i + n).map(token => token.term).join(' ');
+      if (!occurrences.has(key)) {
+        occurrences.set(key, []);
+      }
+      occurrences.get(key).push(i);
+    }
+
+    for (const [key, starts] of occurrences.entries()) {
+      if (starts.length < config.minSupport) continue;
+
+      // Overlapping occurrences ("a b a b") only count once
+      const mentions = [];
+      for (const i of starts) {
+        if (covered.subarray(i, i + n).some(Boolean)) continue;
+        covered.fill(1, i, i + n);
+        mentions.push({ index: i, length: n, start: tokens[i].start, end: tokens[i + n - 1].end });
+      }
+      terms.set(key, mentions);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Count the co-occurrences of terms within a window of tokens
+ * @param {Array<Object>} mentions Mentions of the chosen terms ({ term, index }), in text order
+ * @param {number} windowSize Window size, in tokens
+ * @returns {Map<string, Object>} Pair key to { a, b, count }
+ * @private
+ */
+function countCooccurrences(mentions, windowSize) {
+  const pairs = new Map();
+  for (let i = 0; i < mentions.length; i++) {
+    for (let j = i + 1; j < mentions.length && mentions[j].index - mentions[i].index < windowSize; j++) {
+      if (mentions[i].term === mentions[j].term) continue;
+
+      const [a, b] = [mentions[i].term, mentions[j].term].sort();
+      const key = `${a}\u0000${b}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, { a, b, count: 0 });
+      }
+      pairs.get(key).count++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Normalized pointwise mutual information of two terms, with the
+ * probabilities taken from the co-occurrence counts
+ * @param {number} pairCount Co-occurrences of the terms
+ * @param {number} countA Co-occurrences of the first term with any term
+ * @param {number} countB Co-occurrences of the second term with any term
+ * @param {number} total Co-occurrences of all terms, counting each pair in both directions
+ * @returns {number} NPMI (-1 to 1)
+ * @private
+ */
+function npmi(pairCount, countA, countB, total) {
+  const joint = pairCount / total;
+  if (joint >= 1) return 1;
+  const pmi = Math.log(joint / ((countA / total) * (countB / total)));
+  return Math.max(-1, Math.min(1, pmi / -Math.log(joint)));
+}
+
+/**
+ * Analyze text without modifying a network
+ * @param {string} text The text
+ * @param {Object} options Ingestion options (see DEFAULT_INGESTION_OPTIONS)
+ * @returns {Object} { tokens, candidates, terms: [{ term, label, mentions }], pairs: [{ a, b, cooccurrences, weight }] }
+ * @throws {ValidationError} If the text or an option is invalid
+ */
+export function analyzeText(text, options = {}) {
+  const config = { ...DEFAULT_INGESTION_OPTIONS, ...options };
+  validateOptions(text, config);
+
+  const stopwords = new Set([...STOPWORDS, ...config.stopwords.map(word => word.toLowerCase())]);
+  const tokens = tokenize(text, stopwords);
+  const candidates = selectTerms(tokens, config);
+
+  // Most frequent first; longer phrases, then earlier ones, win ties
+  const supported = Array.from(candidates.entries())
+    .filter(([, mentions]) => mentions.length >= config.minSupport);
+  const terms = supported
+    .sort(([termA, a], [termB, b]) =>
+      b.length - a.length || b[0].length - a[0].length || a[0].index - b[0].index || termA.localeCompare(termB))
+    .slice(0, config.maxConcepts)
+    .map(([term, mentions]) => ({ term, label: commonSurfaceForm(text, mentions), mentions }));
+
+  const mentions = terms
+    .flatMap(({ term, mentions: termMentions }) => termMentions.map(mention => ({ term, index: mention.index })))
+    .sort((a, b) => a.index - b.index);
+  const cooccurrences = Array.from(countCooccurrences(mentions, config.windowSize).values());
+  const marginals = new Map();
+  let total = 0;
+  for (const { a, b, count } of cooccurrences) {
+    marginals.set(a, (marginals.get(a) || 0) + count);
+    marginals.set(b, (marginals.get(b) || 0) + count);
+    total += 2 * count;
+  }
+
+  // Strongest associations first, each concept keeping its best connections
+  const degrees = new Map();
+  const pairs = [];
+  const scored = cooccurrences
+    .filter(pair => pair.count >= config.minCooccurrence)
+    .map(pair => ({
+      ...pair,
+      weight: npmi(pair.count, marginals.get(pair.a), marginals.get(pair.b), total)
+    }))
+    .filter(pair => pair.weight >= config.minPmi)
+    .sort((x, y) => y.weight - x.weight || y.count - x.count);
+  for (const { a, b, count, weight } of scored) {
+    if ((degrees.get(a) || 0) >= config.maxConnectionsPerConcept) continue;
+    if ((degrees.get(b) || 0) >= config.maxConnectionsPerConcept) continue;
+    degrees.set(a, (degrees.get(a) || 0) + 1);
+    degrees.set(b, (degrees.get(b) || 0) + 1);
+    pairs.push({ a, b, cooccurrences: count, weight: Math.round(weight * 1000) / 1000 });
+  }
+
+  return { tokens: tokens.length, candidates: supported.length, terms, pairs };
+}
+
+/**
+ * Create or reuse concepts for the salient terms of a text and connect
+ * co-occurring terms, as one entry in the mutation log
+ * @param {ConceptNetwork} network The network
+ * @param {string} text The text
+ * @param {Object} options Ingestion options (see DEFAULT_INGESTION_OPTIONS)
+ * @returns {Object} Ingestion statistics, with the concepts and connections (one per co-occurring pair)
+ * @throws {ValidationError} If the text or an option is invalid
+ */
+export function ingestText(network, text, options = {}) {
+  const config = { ...DEFAULT_INGESTION_OPTIONS, ...options };
+  const analysis = analyzeText(text, config);
+  const provenance = config.source ? `text:${config.source}` : 'text';
+
+  return network.mutationLog.group(network, 'ingestText', [{ source: config.source, length: text.length }], () => {
+    const ids = new Map();
+    const concepts = [];
+    for (const { term, label, mentions } of analysis.terms) {
+      const existingId = findExistingConcept(network, term, label);
+      const id = existingId ?? network.addConcept(label, config.category, slugify(term));
+      ids.set(term, id);
+
+      const metadata = network.getConcept(id).metadata;
+      const spans = mentions.slice(Math.max(0, mentions.length - config.maxSpans)).map(({ start, end }) => ({
+        source: config.source,
+        start,
+        end,
+        text: text.slice(start, end)
+      }));
+      const merged = [...(Array.isArray(metadata.spans) ? metadata.spans : []), ...spans];
+      network.updateConcept(id, {
+        metadata: {
+          mentions: (metadata.mentions || 0) + mentions.length,
+          spans: merged.slice(Math.max(0, merged.length - config.maxSpans))
+        }
+      });
+      concepts.push({ id, label: network.getConcept(id).label, mentions: mentions.length, created: existingId === null });
+    }
+
+    let connectionsAdded = 0;
+    let connectionsExisting = 0;
+    const connections = [];
+    for (const { a, b, cooccurrences, weight } of analysis.pairs) {
+      const sourceId = ids.get(a);
+      const targetId = ids.get(b);
+      if (sourceId === targetId) continue;
+      if (network.nodes.get(sourceId).connections.has(targetId) || network.nodes.get(targetId).connections.has(sourceId)) {
+        connectionsExisting++;
+        continue;
+      }
+      network.addConnection(sourceId, targetId, weight, true, { type: COOCCURRENCE_RELATION, provenance });
+      connectionsAdded += 2;
+      connections.push({ sourceId, targetId, weight, cooccurrences });
+    }
+
+    return {
+      source: config.source,
+      tokens: analysis.tokens,
+      candidates: analysis.candidates,
+      conceptsAdded: concepts.filter(concept => concept.created).length,
+      conceptsReused: concepts.filter(concept => !concept.created).length,
+      connectionsAdded,
+      connectionsExisting,
+      concepts,
+      connections,
+      networkSize: network.getNetworkSize()
+    };
+  });
+}
+
+/**
+ * Check the text and the ingestion options
+ * @param {string} text The text
+ * @param {Object} config Ingestion options
+ * @throws {ValidationError} Listing every problem
+ * @private
+ */
+function validateOptions(text, config) {
+  const errors = [];
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    errors.push('text must be a non-empty string');
+  } else if (text.length > MAX_INGESTION_TEXT_LENGTH) {
+    errors.push(`text is longer than ${MAX_INGESTION_TEXT_LENGTH} characters`);
+  }
+
+  const integers = { maxConcepts: 1, minSupport: 1, maxNgram: 1, windowSize: 2, minCooccurrence: 1, maxConnectionsPerConcept: 0, maxSpans: 0 };
+  for (const [key, min] of Object.entries(integers)) {
+    if (!Number.isInteger(config[key]) || config[key] < min) {
+      errors.push(`${key} must be an integer of at least ${min}`);
+    }
+  }
+  if (config.maxNgram > MAX_NGRAM) {
+    errors.push(`maxNgram must be at most ${MAX_NGRAM}`);
+  }
+  if (typeof config.minPmi !== 'number' || config.minPmi < -1 || config.minPmi > 1) {
+    errors.push('minPmi must be between -1 and 1');
+  }
+  if (!Array.isArray(config.stopwords)) {
+    errors.push('stopwords must be a list of words');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid text ingestion options: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Get the most frequent way a term is written, keeping its capitalization
+ * @param {string} text The text
+ * @param {Array<Object>} mentions Mentions of the term
+ * @returns {string} The surface form (the first one on ties)
+ * @private
+ */
+function commonSurfaceForm(text, mentions) {
+  const counts = new Map();
+  for (const { start, end } of mentions) {
+    const form = text.slice(start, end).replace(/\s+/g, ' ');
+    counts.set(form, (counts.get(form) || 0) + 1);
+  }
+  let best = null;
+  for (const [form, count] of counts.entries()) {
+    if (best === null || count > counts.get(best)) best = form;
+  }
+  return best;
+}
+
+/**
+ * Find a concept a term can reuse: one with the term's ID, or with its
+ * label or normalized form as label, ignoring case
+ * @param {ConceptNetwork} network The network
+ * @param {string} term Normalized term
+ * @param {string} label Label of the term
+ * @returns {string|null} Concept ID
+ * @private
+ */
+function findExistingConcept(network, term, label) {
+  if (network.nodes.has(slugify(term))) {
+    return slugify(term);
+  }
+  for (const query of [label, term]) {
+    const [match] = network.index.search(query, { match: 'caseInsensitive' }).keys();
+    if (match !== undefined) return match;
+  }
+  return null;
+}
+
+/**
+ * Derive a concept ID from a term
+ * @param {string} term Normalized term
+ * @returns {string} ID ("spreading-activation")
+ * @private
+ */
+function slugify(term) {
+  return term.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'term';
+}
@@ -0,0 +1,91 @@
+/**
+ * Checks term extraction, NPMI weighting and span bookkeeping of text
+ * ingestion
+ */
+
+import { ConceptNetwork } from './concept-network.js';
+import { analyzeText, ingestText, COOCCURRENCE_RELATION } from './text-ingestion.js';
+
+const NEURO_TEXT = 'Neurons fire. Synapses strengthen when neurons fire together. Neurons and synapses learn. ' +
+  'Synapses adapt while neurons fire. Memory forms in synapses.';
+
+describe('analyzeText', () => {
+  test.each([
+    ['Brown foxes jump. The brown foxes jump again.', 'brown fox jump'],
+    ['Churches stand. Churches fall.', 'church'],
+    ['Boxes stack. Boxes fall.', 'box'],
+    ['Wishes come. Wishes go.', 'wish'],
+    ['Theories compete. Theories win.', 'theory'],
+    ['Classes meet. Classes end.', 'class'],
+    ['Status changes. Status holds.', 'status']
+  ])('normalizes the terms of %j to %s', (text, term) => {
+    expect(analyzeText(text).terms.map(t => t.term)).toContain(term);
+  });
+
+  test('chooses phrases longest first and counts their words only on their own', () => {
+    const { terms } = analyzeText(NEURO_TEXT);
+    expect(terms.map(({ term, mentions }) => [term, mentions.length])).toEqual([
+      ['synapse', 4],
+      ['neuron fire', 3]
+    ]);
+  });
+
+  test('weights pairs by NPMI, strongest first, within the configured limits', () => {
+    const text = 'Solar panels convert sunlight. Wind turbines convert wind. Solar panels need sunlight. ' +
+      'Wind turbines need wind. Batteries store energy from solar panels and wind turbines. Batteries store energy.';
+    const { pairs } = analyzeText(text, { windowSize: 4, minCooccurrence: 1, minPmi: -1, maxConnectionsPerConcept: 2 });
+
+    expect(pairs.length).toBeGreaterThan(0);
+    const degrees = new Map();
+    for (const { a, b, weight } of pairs) {
+      expect(weight).toBeGreaterThanOrEqual(-1);
+      expect(weight).toBeLessThanOrEqual(1);
+      degrees.set(a, (degrees.get(a) || 0) + 1);
+      degrees.set(b, (degrees.get(b) || 0) + 1);
+    }
+    expect(Math.max(...degrees.values())).toBeLessThanOrEqual(2);
+    expect(pairs.map(pair => pair.weight)).toEqual([...pairs.map(pair => pair.weight)].sort((x, y) => y - x));
+
+    const strong = analyzeText(text, { windowSize: 4, minCooccurrence: 1, minPmi: 0.5 }).pairs;
+    expect(strong.every(pair => pair.weight >= 0.5)).toBe(true);
+  });
+});
+
+describe('ingestText', () => {
+  test('creates concepts and co-occurrence connections as one log entry', () => {
+    const network = new ConceptNetwork();
+    const result = ingestText(network, NEURO_TEXT, { source: 'notes' });
+
+    expect(result.concepts.map(concept => concept.id)).toEqual(['synapse', 'neuron-fire']);
+    expect(network.getConcept('synapse').getRelation('neuron-fire')).toMatchObject({
+      type: COOCCURRENCE_RELATION,
+      provenance: 'text:notes'
+    });
+    expect(network.mutationLog.entries).toHaveLength(1);
+
+    network.undo();
+    expect(network.nodes.size).toBe(0);
+  });
+
+  test('keeps the most recent maxSpans spans, within a text and across ingestions', () => {
+    const network = new ConceptNetwork();
+    ingestText(network, NEURO_TEXT, { source: 'one', maxSpans: 2 });
+    const spans = network.getConcept('synapse').metadata.spans;
+    expect(spans.map(span => span.start)).toEqual([90, 141]);
+
+    ingestText(network, 'Synapses grow. Synapses prune.', { source: 'two', maxSpans: 3 });
+    const merged = network.getConcept('synapse').metadata;
+    expect(merged.mentions).toBe(6);
+    expect(merged.spans.map(span => [span.source, span.text])).toEqual([
+      ['one', 'synapses'],
+      ['two', 'Synapses'],
+      ['two', 'Synapses']
+    ]);
+  });
+
+  test('keeps no spans with maxSpans 0', () => {
+    const network = new ConceptNetwork();
+    ingestText(network, NEURO_TEXT, { maxSpans: 0 });
+    expect(network.getConcept('synapse').metadata.spans).toEqual([]);
+  });
+});